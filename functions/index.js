@@ -1,4 +1,6 @@
 const { onRequest } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { onInit } = require("firebase-functions/v2/core");
 const admin = require("firebase-admin");
 const axios = require("axios");
 
@@ -7,22 +9,41 @@ admin.initializeApp();
 
 // Import centralized configuration
 const config = require("./src/utils/config");
+const routing = require("./src/utils/routing");
+const templates = require("./src/utils/templates");
 
 // Import integration functions
 const githubWebhook = require("./src/github/webhook");
+const githubFilters = require("./src/github/filters");
+const gitlabWebhook = require("./src/gitlab/webhook");
 const trelloIntegration = require("./src/trello/integration");
+const trelloFilters = require("./src/trello/filters");
 const trelloRegistration = require("./src/trello/registration");
+const trelloManagement = require("./src/trello/management");
+const jiraIntegration = require("./src/jira/integration");
+const genericWebhook = require("./src/generic/webhook");
+const discordQueue = require("./src/delivery/queue");
+const queueManagement = require("./src/delivery/management");
+const activityDigest = require("./src/digest/digest");
+
+// Validate the message templates as soon as an instance starts, so a broken
+// MESSAGE_TEMPLATES is logged right after it is deployed
+onInit(() => {
+  templates.checkTemplates();
+});
 
 // GitHub webhook endpoint
 exports.githubNotification = onRequest(
   { cors: true },
   async (req, res) => {
     try {
-      // Get config values using the helper functions
-      const webhookUrl = config.getDiscordWebhookUrl();
-      const githubSecret = config.getGithubSecret();
+      // Resolve the Discord destinations for the repository
+      const repository = req.body?.repository?.full_name;
+      const destinations = routing.resolveDestinations("github", repository);
+      const filterRules = githubFilters.resolveFilterRules(repository);
+      const githubSecrets = config.getGithubSecrets();
       
-      await githubWebhook.handleWebhook(req, res, webhookUrl, githubSecret);
+      await githubWebhook.handleWebhook(req, res, destinations, githubSecrets, filterRules);
     } catch (error) {
       console.error("Error processing GitHub webhook:", error);
       res.status(500).send("Error processing webhook");
@@ -30,6 +51,24 @@ exports.githubNotification = onRequest(
   }
 );
 
+// GitLab webhook endpoint
+exports.gitlabNotification = onRequest(
+  { cors: true },
+  async (req, res) => {
+    try {
+      // Resolve the Discord destinations for the project
+      const project = req.body?.project?.path_with_namespace;
+      const destinations = routing.resolveDestinations("gitlab", project);
+      const gitlabSecret = config.getGitlabSecret();
+      
+      await gitlabWebhook.handleWebhook(req, res, destinations, gitlabSecret);
+    } catch (error) {
+      console.error("Error processing GitLab webhook:", error);
+      res.status(500).send("Error processing webhook");
+    }
+  }
+);
+
 // Trello integration endpoint
 exports.trelloNotification = onRequest(
   { cors: true },
@@ -68,15 +107,20 @@ exports.trelloNotification = onRequest(
         return;
       }
       
-      // Get config values using the helper functions
-      const webhookUrl = config.getDiscordWebhookUrl();
+      // Resolve the Discord destinations for the board
+      const boardId = req.body?.model?.id;
+      const destinations = routing.resolveDestinations("trello", boardId);
+      const boardFilters = trelloFilters.resolveTrelloFilters(boardId);
+      const trelloSecret = config.getTrelloSecret();
       
       // Let the request pass through - test mode will handle any invalid payloads
       console.log('Processing POST request as a Trello event');
       await trelloIntegration.handleTrelloEvent(
         req, 
         res, 
-        webhookUrl
+        destinations,
+        trelloSecret,
+        boardFilters
       );
     } catch (error) {
       console.error("Error processing Trello event:", error);
@@ -85,10 +129,78 @@ exports.trelloNotification = onRequest(
   }
 );
 
+// Jira webhook endpoint
+exports.jiraNotification = onRequest(
+  { cors: true },
+  async (req, res) => {
+    try {
+      // Resolve the Discord destinations for the issue's project
+      const projectKey = req.body?.issue?.fields?.project?.key;
+      const destinations = routing.resolveDestinations("jira", projectKey);
+      const jiraSecret = config.getJiraSecret();
+      
+      await jiraIntegration.handleJiraEvent(req, res, destinations, jiraSecret);
+    } catch (error) {
+      console.error("Error processing Jira event:", error);
+      res.status(500).send("Error processing Jira event");
+    }
+  }
+);
+
+// Generic webhook endpoint for configured JSON sources (cron jobs, deploy scripts, ...)
+exports.genericNotification = onRequest(
+  { cors: true },
+  async (req, res) => {
+    try {
+      // Resolve the Discord destinations for the source
+      const sourceName = genericWebhook.getSourceName(req);
+      const destinations = routing.resolveDestinations("generic", sourceName);
+      
+      await genericWebhook.handleGenericWebhook(req, res, destinations, sourceName);
+    } catch (error) {
+      console.error("Error processing generic webhook:", error);
+      res.status(500).send("Error processing webhook");
+    }
+  }
+);
+
 // Trello board registration endpoint (handles both initial request and OAuth callback)
 exports.registerTrelloBoard = onRequest(
   { cors: true },
   async (req, res) => {
     await trelloRegistration.registerBoard(req, res);
   }
+);
+
+// Trello webhook management endpoint (list, pause/resume, re-point and delete webhooks)
+exports.manageTrelloWebhooks = onRequest(
+  { cors: true },
+  async (req, res) => {
+    await trelloManagement.manageWebhooks(req, res);
+  }
+);
+
+// Worker that retries queued Discord messages whose delivery failed
+exports.drainDiscordQueue = onSchedule(
+  "every 1 minutes",
+  async () => {
+    await discordQueue.drainQueue();
+  }
+);
+
+// Posts the activity digests of routes with delivery "digest" or "both"
+// Daily digests go out every day, weekly ones on Mondays
+exports.sendActivityDigests = onSchedule(
+  { schedule: "every day 09:00", timeZone: "UTC" },
+  async () => {
+    await activityDigest.sendDigests();
+  }
+);
+
+// Discord queue admin endpoint (inspect, drain and replay dead-lettered messages)
+exports.manageDiscordQueue = onRequest(
+  { cors: true },
+  async (req, res) => {
+    await queueManagement.manageQueue(req, res);
+  }
 );
\ No newline at end of file
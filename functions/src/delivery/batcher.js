@@ -0,0 +1,49 @@
+// Items waiting for their batch window to close, keyed by batch key
+const batches = new Map();
+
+/**
+ * Flush every item collected for a key
+ * @param {string} key - Batch key
+ * @param {Function} flush - Sends the items and resolves to one result per item
+ * @returns {Promise<void>}
+ */
+async function flushBatch(key, flush) {
+  const batch = batches.get(key);
+  batches.delete(key);
+
+  try {
+    const results = await flush(batch.items);
+    batch.callbacks.forEach(({ resolve }, index) => resolve(results[index]));
+  } catch (error) {
+    batch.callbacks.forEach(({ reject }) => reject(error));
+  }
+}
+
+/**
+ * Add an item to the batch for a key
+ * The first item for a key opens a window. When it closes, every item added
+ * in the meantime is flushed together. Cloud Functions v2 instances handle
+ * concurrent requests, so events arriving together on an instance share a batch.
+ * @param {string} key - Batch key, e.g. the webhook URL
+ * @param {*} item - Item to add
+ * @param {number} windowMs - How long to collect items for
+ * @param {Function} flush - Sends the items and resolves to one result per item
+ * @returns {Promise<*>} - The flush result for this item
+ */
+function addToBatch(key, item, windowMs, flush) {
+  return new Promise((resolve, reject) => {
+    let batch = batches.get(key);
+    if (!batch) {
+      batch = { items: [], callbacks: [] };
+      batches.set(key, batch);
+      setTimeout(() => flushBatch(key, flush), windowMs);
+    }
+
+    batch.items.push(item);
+    batch.callbacks.push({ resolve, reject });
+  });
+}
+
+module.exports = {
+  addToBatch
+};
\ No newline at end of file
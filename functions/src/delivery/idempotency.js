@@ -0,0 +1,62 @@
+const config = require("../utils/config");
+const store = require("../utils/store");
+
+// Firestore collection of the webhook deliveries already processed
+const PROCESSED_DELIVERIES_COLLECTION = "processedDeliveries";
+
+/**
+ * Get a timestamp in milliseconds
+ * @param {Date|Object|string} value - Date, Firestore Timestamp or ISO string
+ * @returns {number} Milliseconds since the epoch
+ */
+function toMillis(value) {
+  return value && typeof value.toMillis === "function"
+    ? value.toMillis()
+    : new Date(value).getTime();
+}
+
+/**
+ * Claim a webhook delivery so it is only processed once
+ * Claims expire after the TTL. expiresAt is stored as a date so a Firestore
+ * TTL policy can delete expired claims.
+ * @param {string} key - Delivery key, e.g. "github:<x-github-delivery>" or "trello:<action id>"
+ * @param {number} ttlMs - How long the claim is kept
+ * @returns {Promise<boolean>} True if the delivery is new, false if it was already processed
+ */
+async function claimDelivery(key, ttlMs = config.getDeliveryDedupTtlHours() * 60 * 60 * 1000) {
+  const id = encodeURIComponent(key);
+  const now = Date.now();
+  const claim = {
+    key,
+    claimedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs)
+  };
+
+  if (await store.createDocument(PROCESSED_DELIVERIES_COLLECTION, id, claim)) {
+    return true;
+  }
+
+  // Claims the TTL policy hasn't deleted yet don't count once they've expired
+  const existing = await store.getDocument(PROCESSED_DELIVERIES_COLLECTION, id);
+  if (existing && toMillis(existing.expiresAt) > now) {
+    return false;
+  }
+
+  await store.setDocument(PROCESSED_DELIVERIES_COLLECTION, id, claim);
+  return true;
+}
+
+/**
+ * Release a claimed delivery, so a redelivery is processed again
+ * Used when processing fails before the message is queued.
+ * @param {string} key - Delivery key passed to claimDelivery
+ * @returns {Promise<void>}
+ */
+async function releaseDelivery(key) {
+  await store.deleteDocument(PROCESSED_DELIVERIES_COLLECTION, encodeURIComponent(key));
+}
+
+module.exports = {
+  claimDelivery,
+  releaseDelivery
+};
\ No newline at end of file
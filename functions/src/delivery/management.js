@@ -0,0 +1,112 @@
+const config = require("../utils/config");
+const { safeEqual } = require("../utils/crypto");
+const queue = require("./queue");
+const digest = require("../digest/digest");
+
+/**
+ * Check the admin API key sent as a bearer token
+ * @param {Object} req - Express request object
+ * @param {string} apiKey - Configured admin API key
+ * @returns {boolean} - True if the request carries the key
+ */
+function isAuthorized(req, apiKey) {
+  const header = req.headers["authorization"] || "";
+  return safeEqual(header.replace(/^Bearer\s+/i, ""), apiKey);
+}
+
+/**
+ * Manage the outbound Discord queue
+ * GET lists queued and dead-lettered messages, POST ?action=drain retries every
+ * queued message now, POST ?action=digest sends every pending digest now,
+ * POST ?action=replay&id= replays a dead letter and DELETE ?id= discards a dead letter.
+ * Every request needs the admin API key as a bearer token.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function manageQueue(req, res) {
+  const apiKey = config.getAdminApiKey();
+  if (!apiKey) {
+    return res.status(500).json({
+      error: "Admin API key not configured",
+      message: "The server administrator needs to set ADMIN_API_KEY first."
+    });
+  }
+
+  if (!isAuthorized(req, apiKey)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const id = req.query.id;
+
+  try {
+    switch (req.method) {
+      case "GET": {
+        const [pending, deadLetters] = await Promise.all([
+          queue.listQueuedMessages(),
+          queue.listDeadLetters()
+        ]);
+        return res.status(200).json({ pending, deadLetters });
+      }
+
+      case "POST": {
+        if (req.query.action === "drain") {
+          const results = await queue.drainQueue({ force: true });
+          return res.status(200).json({ results });
+        }
+
+        if (req.query.action === "digest") {
+          const results = await digest.sendDigests({ force: true });
+          return res.status(200).json({ results });
+        }
+
+        if (req.query.action !== "replay") {
+          return res.status(400).json({
+            error: "Unknown action",
+            usage: "Use ?action=drain, ?action=digest or ?action=replay&id=MESSAGE_ID"
+          });
+        }
+
+        if (!id) {
+          return res.status(400).json({
+            error: "Missing required parameter: id",
+            usage: "Add ?id=MESSAGE_ID to the URL"
+          });
+        }
+
+        const result = await queue.replayDeadLetter(id);
+        if (!result) {
+          return res.status(404).json({ error: `Dead letter ${id} not found` });
+        }
+        return res.status(200).json(result);
+      }
+
+      case "DELETE": {
+        if (!id) {
+          return res.status(400).json({
+            error: "Missing required parameter: id",
+            usage: "Add ?id=MESSAGE_ID to the URL"
+          });
+        }
+
+        if (!(await queue.deleteDeadLetter(id))) {
+          return res.status(404).json({ error: `Dead letter ${id} not found` });
+        }
+        return res.status(200).json({ deleted: id });
+      }
+
+      default:
+        return res.status(405).send("Method not allowed");
+    }
+  } catch (error) {
+    console.error("Error managing Discord queue:", error);
+    return res.status(500).json({
+      error: "Server error",
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  manageQueue
+};
\ No newline at end of file
@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+const { EMBED_LIMITS, buildEmbed, sendDiscordMessage, editDiscordMessage } = require("../utils/discord");
+const store = require("../utils/store");
+
+// Firestore collection of the Discord messages kept up to date per pull request, issue or card
+const MESSAGES_COLLECTION = "discordMessages";
+
+// Status changes shown in the History field of an edited message
+const MAX_HISTORY_ENTRIES = 10;
+
+/**
+ * Get the id of the document that tracks an entity's message on a webhook
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {string} entity - Entity key, e.g. "github:owner/repo:pr:12"
+ * @returns {string} Document id
+ */
+function getMessageDocumentId(webhookUrl, entity) {
+  return crypto.createHash("sha256").update(`${webhookUrl}\n${entity}`).digest("hex");
+}
+
+/**
+ * Get the status an embed reports, for the History field
+ * @param {Object} embed - Discord embed object
+ * @returns {string} The embed title without the "[repo] " prefix
+ */
+function getStatus(embed) {
+  return (embed.title || "Updated").replace(/^\[[^\]]*\]\s*/, "");
+}
+
+/**
+ * Add a History field listing an entity's status changes to an embed
+ * The oldest entries are left out if the field would go over Discord's limit.
+ * @param {Object} embed - Discord embed object
+ * @param {Object[]} history - Status changes ({ status, at }), oldest first
+ * @returns {Object} Discord embed within Discord's limits
+ */
+function addHistory(embed, history) {
+  const lines = history.map(entry => {
+    const seconds = Math.floor(new Date(entry.at).getTime() / 1000);
+    return `• ${entry.status} <t:${seconds}:R>`;
+  });
+  while (lines.length > 1 && lines.join("\n").length > EMBED_LIMITS.fieldValue) {
+    lines.shift();
+  }
+
+  return buildEmbed({
+    ...embed,
+    fields: [
+      ...(embed.fields || []).slice(0, EMBED_LIMITS.fields - 1),
+      { name: "History", value: lines.join("\n") }
+    ]
+  });
+}
+
+/**
+ * Send an entity's embed by editing the message sent for its earlier events
+ * The first event for an entity posts a new message. If that message has been
+ * deleted from Discord, a new one is posted and tracked instead.
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {Object} entity - Pull request, issue or card ({ key, name }) from getGitHubEntity or getTrelloEntity
+ * @param {Object} embed - Discord embed object
+ * @param {Object[]} mentions - Discord users and roles to ping ({ type, id })
+ * @returns {Promise<Object>} - The message Discord created or edited
+ */
+async function sendEntityMessage(webhookUrl, entity, embed, mentions = []) {
+  const id = getMessageDocumentId(webhookUrl, entity.key);
+  const existing = await store.getDocument(MESSAGES_COLLECTION, id);
+
+  const history = [
+    ...(existing?.history || []),
+    { status: getStatus(embed), at: new Date().toISOString() }
+  ].slice(-MAX_HISTORY_ENTRIES);
+  const message = addHistory(embed, history);
+
+  let response = null;
+  if (existing?.messageId) {
+    try {
+      response = await editDiscordMessage(webhookUrl, existing.messageId, message, mentions);
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+      console.warn(`Message ${existing.messageId} for ${entity.key} no longer exists, posting a new one`);
+    }
+  }
+  if (!response) {
+    response = await sendDiscordMessage(webhookUrl, message, mentions);
+  }
+
+  await store.setDocument(MESSAGES_COLLECTION, id, {
+    webhookUrl,
+    entity: entity.key,
+    messageId: response.id,
+    history,
+    updatedAt: new Date().toISOString()
+  });
+  return response;
+}
+
+module.exports = {
+  addHistory,
+  sendEntityMessage
+};
\ No newline at end of file
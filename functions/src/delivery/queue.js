@@ -0,0 +1,377 @@
+const crypto = require("crypto");
+const { batchEmbeds } = require("../utils/discord");
+const { getOutput } = require("../outputs");
+const { addToBatch } = require("./batcher");
+const { sendEntityMessage } = require("./messages");
+const { sendThreadMessage } = require("./threads");
+const config = require("../utils/config");
+const store = require("../utils/store");
+
+// Firestore collections for outbound messages
+const QUEUE_COLLECTION = "discordQueue";
+const DEAD_LETTER_COLLECTION = "discordDeadLetters";
+
+// Longest wait between queue attempts for a message
+const MAX_QUEUE_DELAY_MS = 60 * 60 * 1000;
+
+// How long a message being sent is kept from other senders. Longer than the
+// retries inside one send (rate limit waits of up to 30s) and any batch window.
+const LEASE_MS = 2 * 60 * 1000;
+
+// Most messages one drain sends; the rest wait for the next drain
+const DRAIN_LIMIT = 100;
+
+/**
+ * Get when a message that has failed a number of times should be tried again
+ * @param {number} attempts - Failed attempts so far
+ * @returns {string} ISO timestamp of the next attempt
+ */
+function getNextAttemptAt(attempts) {
+  const delay = Math.min(60 * 1000 * 2 ** (attempts - 1), MAX_QUEUE_DELAY_MS);
+  return new Date(Date.now() + delay).toISOString();
+}
+
+/**
+ * Get when a lease taken now runs out
+ * @param {number} extraMs - Time on top of LEASE_MS, e.g. a batch window
+ * @returns {string} ISO timestamp
+ */
+function getLeaseUntil(extraMs = 0) {
+  return new Date(Date.now() + LEASE_MS + extraMs).toISOString();
+}
+
+/**
+ * Write a message to the outbound queue
+ * The message is leased to the caller, who delivers it straight away, so
+ * drainQueue leaves it alone until the send succeeds or fails.
+ * @param {string} webhookUrl - Discord, Slack or Teams webhook URL
+ * @param {Object} embed - Discord embed object
+ * @param {Object} source - Where the message came from, e.g. { integration: "github", event: "push" }
+ * @param {Object[]} mentions - Discord users and roles to ping ({ type, id })
+ * @param {string} output - Route type the webhook belongs to ("discord", "slack", "teams" or "teams-workflow")
+ * @param {string} messageMode - "new" to post a message per event, "edit" to edit the
+ *   message of the pull request, issue or card in source.entity, "thread" to post into its thread
+ * @param {number} leaseExtraMs - Extra lease time, for messages that wait in a batch window first
+ * @returns {Promise<Object>} - The queued message
+ */
+async function enqueueMessage(
+  webhookUrl,
+  embed,
+  source = {},
+  mentions = [],
+  output = "discord",
+  messageMode = "new",
+  leaseExtraMs = 0
+) {
+  const id = crypto.randomUUID();
+  const message = {
+    webhookUrl,
+    output,
+    messageMode,
+    embed,
+    source,
+    mentions,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date().toISOString(),
+    leaseUntil: getLeaseUntil(leaseExtraMs),
+    lastError: null
+  };
+
+  await store.setDocument(QUEUE_COLLECTION, id, message);
+  return { id, ...message };
+}
+
+/**
+ * Record that a queued message failed
+ * The message is scheduled for another attempt and its lease released, or moved
+ * to the dead-letter collection once it runs out of attempts.
+ * @param {Object} message - Queued message with its id
+ * @param {Error} error - Delivery error
+ * @returns {Promise<Object>} - { id, delivered, deadLettered, error }
+ */
+async function recordFailure(message, error) {
+  const { id, leaseUntil, ...data } = message;
+  const attempts = data.attempts + 1;
+  const lastError = error.message;
+
+  if (attempts >= config.getQueueMaxAttempts()) {
+    await store.setDocument(DEAD_LETTER_COLLECTION, id, {
+      ...data,
+      attempts,
+      lastError,
+      failedAt: new Date().toISOString()
+    });
+    await store.deleteDocument(QUEUE_COLLECTION, id);
+    console.error(`Moved message ${id} to dead letters after ${attempts} attempt(s): ${lastError}`);
+    return { id, delivered: false, deadLettered: true, error: lastError };
+  }
+
+  await store.setDocument(QUEUE_COLLECTION, id, {
+    attempts,
+    lastError,
+    nextAttemptAt: getNextAttemptAt(attempts),
+    leaseUntil: null
+  }, { merge: true });
+  console.warn(`Message ${id} failed (attempt ${attempts}), left in queue: ${lastError}`);
+  return { id, delivered: false, deadLettered: false, error: lastError };
+}
+
+/**
+ * Collect the mentions of every message in a batch
+ * @param {Object[]} batch - Queued messages sent together
+ * @returns {Object[]} - Mentions ({ type, id }) without duplicates
+ */
+function getBatchMentions(batch) {
+  const mentions = [];
+  for (const mention of batch.flatMap(message => message.mentions || [])) {
+    if (!mentions.some(existing => existing.type === mention.type && existing.id === mention.id)) {
+      mentions.push(mention);
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Get how a queued message is sent if it goes to its entity's message or thread
+ * Every Discord message in thread mode goes to a thread, since forum channels
+ * don't take messages outside of one.
+ * @param {Object} message - Queued message
+ * @returns {Function|null} sendThreadMessage for Discord messages in thread mode,
+ *   sendEntityMessage for those in edit mode that are about a pull request, issue or card,
+ *   or null for messages sent in batches
+ */
+function getEntitySender(message) {
+  if ((message.output || "discord") !== "discord") {
+    return null;
+  }
+  if (message.messageMode === "thread") {
+    return sendThreadMessage;
+  }
+  if (message.messageMode === "edit" && message.source?.entity) {
+    return sendEntityMessage;
+  }
+  return null;
+}
+
+/**
+ * Send queued messages for the same webhook, several embeds per message
+ * Messages in edit and thread mode are sent one at a time, to their entity's message or thread.
+ * Delivered messages leave the queue, failed ones go through recordFailure.
+ * @param {Object[]} messages - Queued messages with their ids, all for one webhook
+ * @returns {Promise<Object[]>} - One result per message:
+ *   { id, delivered, response, deadLettered, error }
+ */
+async function sendQueuedMessages(messages) {
+  const results = new Map();
+
+  for (const message of messages.filter(getEntitySender)) {
+    try {
+      const send = getEntitySender(message);
+      const response = await send(message.webhookUrl, message.source.entity, message.embed, message.mentions || []);
+      await store.deleteDocument(QUEUE_COLLECTION, message.id);
+      results.set(message.id, { id: message.id, delivered: true, response });
+    } catch (error) {
+      results.set(message.id, await recordFailure(message, error));
+    }
+  }
+
+  const posts = messages.filter(message => !getEntitySender(message));
+  for (const batch of batchEmbeds(posts, message => message.embed)) {
+    try {
+      const send = getOutput(batch[0].output || "discord");
+      const response = await send(
+        batch[0].webhookUrl,
+        batch.map(message => message.embed),
+        getBatchMentions(batch)
+      );
+      await Promise.all(batch.map(message => store.deleteDocument(QUEUE_COLLECTION, message.id)));
+      batch.forEach(message => results.set(message.id, { id: message.id, delivered: true, response }));
+    } catch (error) {
+      for (const message of batch) {
+        results.set(message.id, await recordFailure(message, error));
+      }
+    }
+  }
+
+  return messages.map(message => results.get(message.id));
+}
+
+/**
+ * Try to send a single queued message to Discord
+ * @param {Object} message - Queued message with its id
+ * @returns {Promise<Object>} - { id, delivered, response, deadLettered, error }
+ */
+async function deliverQueuedMessage(message) {
+  const [result] = await sendQueuedMessages([message]);
+  return result;
+}
+
+/**
+ * Queue a message for each destination and deliver it
+ * Destinations with a batchWindowMs wait for that long so embeds for the same
+ * webhook can be sent together; others are delivered straight away.
+ * @param {Object[]} destinations - Routed destinations ({ url, type, batchWindowMs, messageMode })
+ * @param {Object} embed - Discord embed object
+ * @param {Object} source - Where the message came from
+ * @param {Object[]} mentions - Discord users and roles to ping ({ type, id })
+ * @returns {Promise<Object>} - { responses, queued } with the Discord responses
+ *   of delivered messages and the ids of messages left for a retry
+ */
+async function deliverMessages(destinations, embed, source, mentions = []) {
+  const results = await Promise.all(destinations.map(async destination => {
+    const message = await enqueueMessage(
+      destination.url,
+      embed,
+      source,
+      mentions,
+      destination.type || "discord",
+      destination.messageMode || "new",
+      destination.batchWindowMs > 0 ? destination.batchWindowMs : 0
+    );
+
+    if (destination.batchWindowMs > 0) {
+      return addToBatch(destination.url, message, destination.batchWindowMs, sendQueuedMessages);
+    }
+    return deliverQueuedMessage(message);
+  }));
+
+  return {
+    responses: results.filter(result => result.delivered).map(result => result.response),
+    queued: results.filter(result => !result.delivered).map(result => result.id)
+  };
+}
+
+/**
+ * Determines if nobody is sending a queued message
+ * @param {Object} message - Queued message
+ * @param {string} now - Current ISO timestamp
+ * @returns {boolean} True if the message has no lease, or its lease ran out
+ */
+function isUnleased(message, now) {
+  return !message.leaseUntil || message.leaseUntil <= now;
+}
+
+/**
+ * Split a webhook's queued messages into the sends they go out in
+ * @param {Object[]} messages - Queued messages, all for one webhook
+ * @returns {Object[][]} - Messages in edit and thread mode on their own, the others in batches of embeds
+ */
+function getSends(messages) {
+  return [
+    ...messages.filter(getEntitySender).map(message => [message]),
+    ...batchEmbeds(messages.filter(message => !getEntitySender(message)), message => message.embed)
+  ];
+}
+
+/**
+ * Retry the queued messages that are due, oldest first and at most DRAIN_LIMIT of them
+ * Each send's messages are leased in a transaction right before they go out, so
+ * messages still being delivered by a request or by an overlapping drain are
+ * skipped, and no lease runs out while earlier sends of a long drain are waiting.
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Retry all queued messages, even those not due yet
+ * @returns {Promise<Object[]>} - Delivery results
+ */
+async function drainQueue({ force = false } = {}) {
+  const now = new Date().toISOString();
+  const isDue = message => (force || message.nextAttemptAt <= now) && isUnleased(message, now);
+  const due = (await store.queryDocuments(QUEUE_COLLECTION, {}, {
+    orderBy: "nextAttemptAt",
+    endAt: force ? undefined : now,
+    limit: DRAIN_LIMIT
+  }))
+    .filter(isDue)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  // Group messages by webhook so they can be sent in batches
+  const byWebhook = new Map();
+  due.forEach(message => {
+    byWebhook.set(message.webhookUrl, [...(byWebhook.get(message.webhookUrl) || []), message]);
+  });
+
+  const results = [];
+  for (const messages of byWebhook.values()) {
+    for (const send of getSends(messages)) {
+      // Messages another sender claimed first drop out
+      const leaseUntil = getLeaseUntil();
+      const claimed = (await Promise.all(send.map(message =>
+        store.updateDocumentIf(QUEUE_COLLECTION, message.id, isDue, { leaseUntil })
+      ))).filter(Boolean);
+
+      if (claimed.length > 0) {
+        results.push(...await sendQueuedMessages(claimed));
+      }
+    }
+  }
+
+  console.log(`Drained Discord queue: ${results.filter(result => result.delivered).length}/${results.length} delivered`);
+  return results;
+}
+
+/**
+ * List the messages waiting in the queue
+ * @returns {Promise<Object[]>} - Queued messages
+ */
+async function listQueuedMessages() {
+  return store.queryDocuments(QUEUE_COLLECTION);
+}
+
+/**
+ * List the messages that ran out of attempts
+ * @returns {Promise<Object[]>} - Dead-lettered messages
+ */
+async function listDeadLetters() {
+  return store.queryDocuments(DEAD_LETTER_COLLECTION);
+}
+
+/**
+ * Put a dead-lettered message back in the queue and try to deliver it
+ * @param {string} id - Message id
+ * @returns {Promise<Object|null>} - Delivery result, or null if there is no such dead letter
+ */
+async function replayDeadLetter(id) {
+  const deadLetter = await store.getDocument(DEAD_LETTER_COLLECTION, id);
+  if (!deadLetter) {
+    return null;
+  }
+
+  const { id: _id, failedAt, ...data } = deadLetter;
+  const message = {
+    ...data,
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    leaseUntil: getLeaseUntil()
+  };
+
+  await store.setDocument(QUEUE_COLLECTION, id, message);
+  await store.deleteDocument(DEAD_LETTER_COLLECTION, id);
+  return deliverQueuedMessage({ id, ...message });
+}
+
+/**
+ * Discard a dead-lettered message
+ * @param {string} id - Message id
+ * @returns {Promise<boolean>} - True if the dead letter existed
+ */
+async function deleteDeadLetter(id) {
+  const deadLetter = await store.getDocument(DEAD_LETTER_COLLECTION, id);
+  if (!deadLetter) {
+    return false;
+  }
+
+  await store.deleteDocument(DEAD_LETTER_COLLECTION, id);
+  return true;
+}
+
+module.exports = {
+  enqueueMessage,
+  sendQueuedMessages,
+  deliverQueuedMessage,
+  deliverMessages,
+  drainQueue,
+  listQueuedMessages,
+  listDeadLetters,
+  replayDeadLetter,
+  deleteDeadLetter
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+const config = require("../utils/config");
+
+/**
+ * Answer a webhook request once its messages are queued
+ * Replies 200 if every message was delivered, or 202 if some are left in the
+ * queue for a retry. Test mode includes the Discord responses for verification.
+ * @param {Object} res - Express response object
+ * @param {Object} delivery - { responses, queued } from deliverMessages
+ * @param {string} subject - What was received, e.g. "Webhook" or "Trello event"
+ */
+function respondWithDelivery(res, { responses, queued }, subject = "Webhook") {
+  // Messages that could not be delivered stay queued and are retried later
+  if (queued.length > 0) {
+    const message = `${subject} accepted, Discord delivery queued for retry`;
+    if (config.isTestMode()) {
+      res.status(202).json({ message, discord_responses: responses, queued });
+    } else {
+      res.status(202).send(message);
+    }
+    return;
+  }
+
+  const message = `${subject} processed successfully`;
+  if (config.isTestMode()) {
+    res.status(200).json({ message, discord_response: responses[0], discord_responses: responses });
+  } else {
+    res.status(200).send(message);
+  }
+}
+
+module.exports = {
+  respondWithDelivery
+};
\ No newline at end of file
@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const { sendDiscordMessage } = require("../utils/discord");
+const store = require("../utils/store");
+
+// Firestore collection of the Discord threads started per pull request, issue or card
+const THREADS_COLLECTION = "discordThreads";
+
+// Discord error code for channels and threads that don't exist
+const UNKNOWN_CHANNEL = 10003;
+
+/**
+ * Get the id of the document that tracks an entity's thread on a webhook
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {string} key - Entity key, e.g. "github:owner/repo:pr:12"
+ * @returns {string} Document id
+ */
+function getThreadDocumentId(webhookUrl, key) {
+  return crypto.createHash("sha256").update(`${webhookUrl}\n${key}`).digest("hex");
+}
+
+/**
+ * Determines if a failed post was for a thread that has been deleted
+ * @param {Error} error - Axios error
+ * @returns {boolean} True if Discord doesn't know the thread
+ */
+function isMissingThread(error) {
+  const response = error.response;
+  return Boolean(response) && (response.status === 404 || response.data?.code === UNKNOWN_CHANNEL);
+}
+
+/**
+ * Send an entity's embed into its own thread
+ * The first event for an entity starts a forum post named after it. Later
+ * events post into that thread with the thread_id query parameter. If the
+ * thread has been deleted from Discord, a new one is started and tracked instead.
+ * Events that aren't about an entity, like pushes, start a post named after the embed.
+ * @param {string} webhookUrl - Discord webhook URL of a forum channel
+ * @param {Object|null} entity - Pull request, issue or card ({ key, name }) from getGitHubEntity or getTrelloEntity
+ * @param {Object} embed - Discord embed object
+ * @param {Object[]} mentions - Discord users and roles to ping ({ type, id })
+ * @returns {Promise<Object>} - The message Discord created
+ */
+async function sendThreadMessage(webhookUrl, entity, embed, mentions = []) {
+  if (!entity) {
+    return sendDiscordMessage(webhookUrl, embed, mentions, { threadName: embed.title || "Notification" });
+  }
+
+  const id = getThreadDocumentId(webhookUrl, entity.key);
+  const existing = await store.getDocument(THREADS_COLLECTION, id);
+
+  if (existing?.threadId) {
+    try {
+      return await sendDiscordMessage(webhookUrl, embed, mentions, { threadId: existing.threadId });
+    } catch (error) {
+      if (!isMissingThread(error)) {
+        throw error;
+      }
+      console.warn(`Thread ${existing.threadId} for ${entity.key} no longer exists, starting a new one`);
+    }
+  }
+
+  const response = await sendDiscordMessage(webhookUrl, embed, mentions, { threadName: entity.name });
+
+  // Forum posts are threads whose id is the channel the first message was posted in
+  await store.setDocument(THREADS_COLLECTION, id, {
+    webhookUrl,
+    entity: entity.key,
+    threadId: response.channel_id,
+    createdAt: new Date().toISOString()
+  });
+  return response;
+}
+
+module.exports = {
+  sendThreadMessage
+};
\ No newline at end of file
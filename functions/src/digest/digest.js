@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const { enqueueMessage, sendQueuedMessages } = require("../delivery/queue");
+const store = require("../utils/store");
+const { aggregateEvents, formatDigest } = require("./events");
+
+// Firestore collection of the events waiting for the next digest
+const DIGEST_EVENTS_COLLECTION = "digestEvents";
+
+// Day weekly digests are sent on (Monday, UTC)
+const WEEKLY_DIGEST_DAY = 1;
+
+/**
+ * Get how a destination gets events
+ * @param {Object} destination - Routed destination
+ * @returns {string} "realtime" (the default), "digest" or "both"
+ */
+function getDeliveryMode(destination) {
+  return ["digest", "both"].includes(destination.delivery) ? destination.delivery : "realtime";
+}
+
+/**
+ * Get the destinations that get events as they happen
+ * @param {Object[]} destinations - Routed destinations
+ * @returns {Object[]} Destinations with delivery "realtime" or "both"
+ */
+function getRealtimeDestinations(destinations) {
+  return destinations.filter(destination => getDeliveryMode(destination) !== "digest");
+}
+
+/**
+ * Record an event for the destinations that get a digest
+ * @param {Object[]} destinations - Routed destinations
+ * @param {Object} event - Digest event from toGitHubDigestEvent or toTrelloDigestEvent
+ * @returns {Promise<number>} - How many destinations the event was recorded for
+ */
+async function recordEvent(destinations, event) {
+  const digestDestinations = destinations.filter(destination => getDeliveryMode(destination) !== "realtime");
+
+  await Promise.all(digestDestinations.map(destination =>
+    store.setDocument(DIGEST_EVENTS_COLLECTION, crypto.randomUUID(), {
+      webhookUrl: destination.url,
+      output: destination.type || "discord",
+      period: destination.digest === "weekly" ? "weekly" : "daily",
+      event,
+      recordedAt: new Date().toISOString()
+    })
+  ));
+  return digestDestinations.length;
+}
+
+/**
+ * Determines if a digest is due
+ * The digest schedule runs once a day; weekly digests only go out on Mondays.
+ * @param {string} period - "daily" or "weekly"
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the digest should be sent now
+ */
+function isDue(period, now) {
+  return period !== "weekly" || now.getUTCDay() === WEEKLY_DIGEST_DAY;
+}
+
+/**
+ * Send the digest of every route that has recorded events and is due
+ * Only the events of due periods are read. Events are grouped by webhook, period
+ * and output, so a daily and a weekly route to the same channel each get their
+ * own digest. Digests go through the delivery queue, so failed ones are retried
+ * with the other queued messages. A route's events are removed once its digest
+ * is queued; if queueing fails they are kept for the next run.
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time
+ * @param {boolean} options.force - Send every digest, even weekly ones that aren't due
+ * @returns {Promise<Object[]>} - One result per digest:
+ *   { webhookUrl, period, events, id, delivered, response, error }
+ */
+async function sendDigests({ now = new Date(), force = false } = {}) {
+  const periods = ["daily", "weekly"].filter(period => force || isDue(period, now));
+  const records = (await Promise.all(periods.map(period =>
+    store.queryDocuments(DIGEST_EVENTS_COLLECTION, { period })
+  ))).flat().sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+
+  // Group events by route, so each route gets one digest
+  const byRoute = new Map();
+  records.forEach(record => {
+    const key = JSON.stringify([record.webhookUrl, record.period, record.output]);
+    byRoute.set(key, [...(byRoute.get(key) || []), record]);
+  });
+
+  const results = [];
+  for (const group of byRoute.values()) {
+    const { webhookUrl, period, output } = group[0];
+    const embed = formatDigest(aggregateEvents(group.map(record => record.event)), {
+      period,
+      since: group[0].recordedAt,
+      until: now
+    });
+
+    let message;
+    try {
+      message = await enqueueMessage(webhookUrl, embed, { integration: "digest", event: period }, [], output);
+    } catch (error) {
+      console.error(`Error queueing the ${period} digest, its events are kept:`, error);
+      results.push({ webhookUrl, period, events: group.length, delivered: false, error: error.message });
+      continue;
+    }
+
+    await Promise.all(group.map(record => store.deleteDocument(DIGEST_EVENTS_COLLECTION, record.id)));
+    const [result] = await sendQueuedMessages([message]);
+    results.push({ webhookUrl, period, events: group.length, ...result });
+  }
+
+  console.log(`Sent ${results.length} digest(s)`);
+  return results;
+}
+
+module.exports = {
+  getRealtimeDestinations,
+  recordEvent,
+  sendDigests
+};
\ No newline at end of file
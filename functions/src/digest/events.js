@@ -0,0 +1,189 @@
+const { EMBED_LIMITS, buildEmbed, getGitHubEntity } = require("../utils/discord");
+
+// Trello lists whose name starts with the word "Done" (e.g. "Done", "Done ✅") count as
+// finished; lists such as "Not done" or "Undone" don't
+const DONE_LIST_PATTERN = /^\s*done\b/i;
+
+// Most contributors listed in a digest
+const MAX_CONTRIBUTORS = 5;
+
+// Room kept at the end of a field for the "…and N more" line
+const MORE_LINE_LENGTH = 20;
+
+// Digest sections, in the order they're posted
+const DIGEST_SECTIONS = [
+  { kind: "pr_opened", label: "Pull requests opened" },
+  { kind: "pr_merged", label: "Pull requests merged" },
+  { kind: "issue_closed", label: "Issues closed" },
+  { kind: "card_done", label: "Cards moved to Done" }
+];
+
+/**
+ * Get the digest event for a GitHub event
+ * Events that aren't opened or merged pull requests or closed issues are kept
+ * as "activity", so they still count towards the top contributors.
+ * @param {Object} payload - GitHub webhook payload
+ * @param {string} eventType - GitHub event type
+ * @returns {Object} Digest event ({ integration, kind, actor, title, url, context, at })
+ */
+function toGitHubDigestEvent(payload, eventType) {
+  let kind = "activity";
+  if (eventType === "pull_request" && payload.action === "opened") {
+    kind = "pr_opened";
+  } else if (eventType === "pull_request" && payload.action === "closed" && payload.pull_request?.merged) {
+    kind = "pr_merged";
+  } else if (eventType === "issues" && payload.action === "closed") {
+    kind = "issue_closed";
+  }
+
+  return {
+    integration: "github",
+    kind,
+    actor: payload.sender?.login || null,
+    title: getGitHubEntity(payload, eventType)?.name || null,
+    url: payload.pull_request?.html_url || payload.issue?.html_url || null,
+    context: payload.repository?.name || null,
+    at: new Date().toISOString()
+  };
+}
+
+/**
+ * Get the digest event for a Trello action
+ * @param {Object} data - Trello event data
+ * @returns {Object} Digest event ({ integration, kind, actor, title, url, context, at })
+ */
+function toTrelloDigestEvent(data) {
+  const action = data.action || {};
+  const card = action.data?.card;
+  const listAfter = action.data?.listAfter?.name;
+
+  return {
+    integration: "trello",
+    kind: action.type === "updateCard" && listAfter && DONE_LIST_PATTERN.test(listAfter) ? "card_done" : "activity",
+    actor: action.memberCreator?.fullName || action.memberCreator?.username || null,
+    title: card?.name || null,
+    url: card?.shortLink ? `https://trello.com/c/${card.shortLink}` : data.model?.url || null,
+    context: action.data?.board?.name || data.model?.name || null,
+    at: action.date || new Date().toISOString()
+  };
+}
+
+/**
+ * Aggregate the events recorded for a digest
+ * Items are listed once even if several events were recorded for them.
+ * @param {Object[]} events - Digest events from toGitHubDigestEvent and toTrelloDigestEvent
+ * @returns {Object} Summary: { total, sections: { [kind]: items }, topContributors: [{ name, count }] }
+ */
+function aggregateEvents(events) {
+  const ordered = [...events].sort((a, b) => (a.at || "").localeCompare(b.at || ""));
+
+  const sections = {};
+  DIGEST_SECTIONS.forEach(({ kind }) => {
+    const items = new Map();
+    ordered
+      .filter(event => event.kind === kind)
+      .forEach(event => items.set(event.url || event.title, event));
+    sections[kind] = Array.from(items.values());
+  });
+
+  const counts = new Map();
+  ordered
+    .filter(event => event.actor)
+    .forEach(event => counts.set(event.actor, (counts.get(event.actor) || 0) + 1));
+  const topContributors = Array.from(counts, ([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, MAX_CONTRIBUTORS);
+
+  return { total: events.length, sections, topContributors };
+}
+
+/**
+ * Format a digest item as a line of a field
+ * @param {Object} event - Digest event
+ * @returns {string} "• context: [title](url)"
+ */
+function formatItem(event) {
+  const title = (event.title || "Untitled").replace(/[[\]]/g, "\\$&");
+  const link = event.url ? `[${title}](${event.url})` : title;
+  return event.context ? `• ${event.context}: ${link}` : `• ${link}`;
+}
+
+/**
+ * Join lines into a field value, leaving out the lines that don't fit
+ * @param {string[]} lines - Field lines
+ * @returns {string} Field value within Discord's limit
+ */
+function joinLines(lines) {
+  const value = lines.join("\n");
+  if (value.length <= EMBED_LIMITS.fieldValue) {
+    return value;
+  }
+
+  // Leave room for the "…and N more" line
+  const shown = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 1 > EMBED_LIMITS.fieldValue - MORE_LINE_LENGTH) {
+      break;
+    }
+    shown.push(line);
+    length += line.length + 1;
+  }
+  return [...shown, `…and ${lines.length - shown.length} more`].join("\n");
+}
+
+/**
+ * Format the date of a timestamp
+ * @param {Date|string} value - Date or ISO timestamp
+ * @returns {string} Date as YYYY-MM-DD (UTC)
+ */
+function formatDate(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+/**
+ * Create the Discord embed for a digest
+ * @param {Object} summary - Summary from aggregateEvents
+ * @param {Object} options - Options
+ * @param {string} options.period - "daily" or "weekly"
+ * @param {Date|string} options.since - Start of the digest
+ * @param {Date|string} options.until - End of the digest
+ * @returns {Object} Discord embed
+ */
+function formatDigest(summary, { period = "daily", since, until }) {
+  const fields = DIGEST_SECTIONS
+    .filter(({ kind }) => summary.sections[kind].length > 0)
+    .map(({ kind, label }) => ({
+      name: `${label} (${summary.sections[kind].length})`,
+      value: joinLines(summary.sections[kind].map(formatItem))
+    }));
+
+  if (summary.topContributors.length > 0) {
+    fields.push({
+      name: "Top contributors",
+      value: summary.topContributors
+        .map((contributor, index) => `${index + 1}. ${contributor.name} (${contributor.count})`)
+        .join("\n")
+    });
+  }
+
+  const from = formatDate(since);
+  const to = formatDate(until);
+  return buildEmbed({
+    title: period === "weekly" ? "Weekly digest" : "Daily digest",
+    description: `${summary.total} event(s) ${from === to ? `on ${to}` : `from ${from} to ${to}`}`,
+    color: 0x5865F2, // Discord blurple
+    timestamp: new Date(until).toISOString(),
+    footer: {
+      text: "Digest"
+    },
+    fields
+  });
+}
+
+module.exports = {
+  toGitHubDigestEvent,
+  toTrelloDigestEvent,
+  aggregateEvents,
+  formatDigest
+};
\ No newline at end of file
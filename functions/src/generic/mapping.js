@@ -0,0 +1,294 @@
+const config = require("../utils/config");
+const { buildEmbed } = require("../utils/discord");
+const { validateTemplate, renderTemplate } = require("../utils/templates");
+
+// Embed properties a field map can set, and whether they hold text, a color, a nested url or a name
+const FIELD_MAP_PROPERTIES = {
+  title: "text",
+  description: "text",
+  url: "text",
+  color: "color",
+  author: "name",
+  thumbnail: "url",
+  image: "url",
+  fields: "fields"
+};
+
+// One step of a JSONPath expression: .name, .*, [0], [*], ['name'] or ["name"]
+const JSONPATH_STEP = /\.([A-Za-z_$][\w$-]*)|\.\*|\[(\d+)\]|\[\*\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+
+// Color of generic notifications that don't set their own
+const DEFAULT_COLOR = 0x5865F2; // Discord blurple
+
+// Parsed sources, cached for as long as the config value doesn't change
+let cache = { raw: null, sources: null, error: null };
+
+/**
+ * Parse a JSONPath expression
+ * Supports the root ($), child names, array indexes and wildcards, e.g. "$.builds[*].name".
+ * @param {string} path - JSONPath expression
+ * @returns {Object[]} - Steps ({ key } or { wildcard: true })
+ * @throws {Error} - If the expression uses unsupported syntax
+ */
+function parseJsonPath(path) {
+  if (typeof path !== "string" || !path.startsWith("$")) {
+    throw new Error(`JSONPath "${path}" must start with "$"`);
+  }
+
+  const steps = [];
+  let position = 1;
+  while (position < path.length) {
+    JSONPATH_STEP.lastIndex = position;
+    const match = JSONPATH_STEP.exec(path);
+    if (!match) {
+      throw new Error(`JSONPath "${path}" has unsupported syntax at position ${position}`);
+    }
+
+    const key = match[1] ?? match[2] ?? match[3] ?? match[4];
+    steps.push(key === undefined ? { wildcard: true } : { key });
+    position = JSONPATH_STEP.lastIndex;
+  }
+  return steps;
+}
+
+/**
+ * Find the values a JSONPath expression selects in a payload
+ * @param {Object} payload - JSON payload
+ * @param {string} path - JSONPath expression
+ * @returns {Array} - Selected values (several when the path has a wildcard)
+ */
+function queryJsonPath(payload, path) {
+  let values = [payload];
+
+  for (const step of parseJsonPath(path)) {
+    values = values.flatMap(value => {
+      if (value === null || typeof value !== "object") {
+        return [];
+      }
+      if (step.wildcard) {
+        return Array.isArray(value) ? value : Object.values(value);
+      }
+      return value[step.key] === undefined ? [] : [value[step.key]];
+    });
+  }
+  return values;
+}
+
+/**
+ * Render the values a JSONPath expression selects as text
+ * @param {Object} payload - JSON payload
+ * @param {string} path - JSONPath expression
+ * @returns {string} - The values joined with ", "; objects render as JSON
+ */
+function renderJsonPath(payload, path) {
+  return queryJsonPath(payload, path)
+    .filter(value => value !== null && value !== undefined)
+    .map(value => (typeof value === "object" ? JSON.stringify(value) : String(value)))
+    .join(", ");
+}
+
+/**
+ * Turn a selected color into an embed color
+ * @param {number|string} value - A number, or a string such as "16711680", "#ff0000" or "0xff0000"
+ * @returns {number|null} - Embed color, or null if the value isn't a color
+ */
+function toColor(value) {
+  if (typeof value === "number" && Number.isInteger(value)) {
+    return value;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const hex = value.match(/^(?:#|0x)([0-9a-f]{6})$/i);
+  if (hex) {
+    return parseInt(hex[1], 16);
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Check a JSONPath field map
+ * @param {Object} fieldMap - Embed property names mapped to JSONPath expressions
+ * @param {string} location - Where the map is, for error messages
+ * @param {string[]} errors - List the problems are added to
+ */
+function validateFieldMap(fieldMap, location, errors) {
+  if (!fieldMap || typeof fieldMap !== "object" || Array.isArray(fieldMap)) {
+    errors.push(`${location}: must be an object`);
+    return;
+  }
+
+  const checkPath = (path, pathLocation) => {
+    try {
+      parseJsonPath(path);
+    } catch (error) {
+      errors.push(`${pathLocation}: ${error.message}`);
+    }
+  };
+
+  for (const [key, value] of Object.entries(fieldMap)) {
+    if (!FIELD_MAP_PROPERTIES[key]) {
+      errors.push(`${location}: unknown field "${key}" (expected ${Object.keys(FIELD_MAP_PROPERTIES).join(", ")})`);
+    } else if (key !== "fields") {
+      checkPath(value, `${location}.${key}`);
+    } else if (!Array.isArray(value)) {
+      errors.push(`${location}.fields: must be an array`);
+    } else {
+      value.forEach((field, index) => {
+        if (!field || typeof field.name !== "string" || typeof field.value !== "string") {
+          errors.push(`${location}.fields[${index}]: name and value are required`);
+          return;
+        }
+        if (field.inline !== undefined && typeof field.inline !== "boolean") {
+          errors.push(`${location}.fields[${index}].inline: must be true or false`);
+        }
+        checkPath(field.value, `${location}.fields[${index}].value`);
+      });
+    }
+  }
+}
+
+/**
+ * Validate the generic webhook sources
+ * @param {Object} sources - { sourceName: { secret, template } or { secret, fieldMap } }
+ * @throws {Error} - Listing every problem found
+ */
+function validateSources(sources) {
+  const errors = [];
+
+  if (!sources || typeof sources !== "object" || Array.isArray(sources)) {
+    errors.push("sources must be an object keyed by source name");
+  } else {
+    for (const [name, source] of Object.entries(sources)) {
+      if (!source || typeof source !== "object" || Array.isArray(source)) {
+        errors.push(`${name}: must be an object`);
+        continue;
+      }
+      if (typeof source.secret !== "string" || source.secret.length === 0) {
+        errors.push(`${name}.secret: is required`);
+      }
+      if (source.template && source.fieldMap) {
+        errors.push(`${name}: set either template or fieldMap, not both`);
+      }
+      if (source.template) {
+        validateTemplate(source.template, `${name}.template`, errors);
+      }
+      if (source.fieldMap) {
+        validateFieldMap(source.fieldMap, `${name}.fieldMap`, errors);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid GENERIC_SOURCES:\n- ${errors.join("\n- ")}`);
+  }
+}
+
+/**
+ * Load and validate the generic webhook sources from config
+ * Each config value is only parsed and validated once; an invalid one keeps
+ * failing with the same error until it changes.
+ * @returns {Object} - Validated sources
+ * @throws {Error} - If the sources are not valid JSON or fail validation
+ */
+function loadSources() {
+  const raw = config.getGenericSources();
+  if (cache.raw === raw) {
+    if (cache.error) {
+      throw cache.error;
+    }
+    return cache.sources;
+  }
+
+  try {
+    let sources;
+    try {
+      sources = JSON.parse(raw || "{}");
+    } catch (error) {
+      throw new Error(`GENERIC_SOURCES is not valid JSON: ${error.message}`);
+    }
+
+    validateSources(sources);
+    cache = { raw, sources, error: null };
+    return sources;
+  } catch (error) {
+    console.error(`${error.message}\nGeneric webhooks are disabled until GENERIC_SOURCES is fixed`);
+    cache = { raw, sources: null, error };
+    throw error;
+  }
+}
+
+/**
+ * Map a payload to embed properties with a JSONPath field map
+ * Properties whose paths select nothing are left out.
+ * @param {Object} fieldMap - Embed property names mapped to JSONPath expressions
+ * @param {Object} payload - JSON payload
+ * @returns {Object} - Embed properties
+ */
+function applyFieldMap(fieldMap, payload) {
+  const mapped = {};
+
+  for (const [key, path] of Object.entries(fieldMap)) {
+    const kind = FIELD_MAP_PROPERTIES[key];
+
+    if (kind === "fields") {
+      mapped.fields = path
+        .map(field => ({ name: field.name, value: renderJsonPath(payload, field.value), inline: Boolean(field.inline) }))
+        .filter(field => field.value); // Discord rejects empty fields
+    } else if (kind === "color") {
+      const color = toColor(queryJsonPath(payload, path)[0]);
+      if (color !== null) {
+        mapped.color = color;
+      }
+    } else {
+      const value = renderJsonPath(payload, path);
+      if (value) {
+        mapped[key] = kind === "text" ? value : { [kind]: value };
+      }
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Create a Discord embed for a generic webhook payload
+ * Uses the source's template or field map; sources with neither show the payload as JSON.
+ * @param {string} sourceName - Name of the source
+ * @param {Object} source - Source config
+ * @param {Object} payload - JSON payload
+ * @returns {Object} Discord embed
+ */
+function formatGenericMessage(sourceName, source, payload) {
+  const embed = {
+    title: `${sourceName} notification`,
+    color: DEFAULT_COLOR,
+    timestamp: new Date().toISOString(),
+    footer: {
+      text: sourceName
+    },
+    fields: []
+  };
+
+  let mapped;
+  if (source.template) {
+    mapped = renderTemplate(source.template, payload);
+  } else if (source.fieldMap) {
+    mapped = applyFieldMap(source.fieldMap, payload);
+  } else {
+    mapped = { description: `\`\`\`json\n${JSON.stringify(payload, null, 2)}\n\`\`\`` };
+  }
+
+  const merged = { ...embed, ...mapped };
+  if (mapped.footer) {
+    merged.footer = { ...embed.footer, ...mapped.footer };
+  }
+  return buildEmbed(merged);
+}
+
+module.exports = {
+  queryJsonPath,
+  validateSources,
+  loadSources,
+  formatGenericMessage
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const { deliverMessages } = require("../delivery/queue");
+const { respondWithDelivery } = require("../delivery/responses");
+const { safeEqual, getSignedBody } = require("../utils/crypto");
+const mapping = require("./mapping");
+
+/**
+ * Get the source a generic webhook request is for
+ * Sources are named in the path (/genericNotification/deploys) or the source query parameter.
+ * Requests through the hosting rewrite keep the function name in the path, so it is skipped.
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Source name
+ */
+function getSourceName(req) {
+  if (req.query?.source) {
+    return String(req.query.source);
+  }
+  const segments = (req.path || "").split("/").filter(Boolean);
+  if (segments[0] === "genericNotification") {
+    segments.shift();
+  }
+  return segments[0] ? decodeURIComponent(segments[0]) : null;
+}
+
+/**
+ * Verify a generic webhook signature
+ * Senders sign the raw request body with HMAC-SHA256 using the source's secret
+ * and send "sha256=<hex digest>" in the X-Signature-256 header
+ * @param {Object} req - Request object
+ * @param {string} secret - Secret of the source
+ * @returns {boolean} - Valid signature or not
+ */
+function verifyGenericSignature(req, secret) {
+  const signature = req.headers["x-signature-256"];
+  if (!signature) {
+    console.error("No signature found in generic webhook request");
+    return false;
+  }
+
+  const body = getSignedBody(req);
+  if (!body) {
+    console.error("No raw body to verify the generic webhook signature against");
+    return false;
+  }
+  const digest = "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+  return safeEqual(signature, digest);
+}
+
+/**
+ * Handle generic webhook requests from configured sources
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object[]} destinations - Discord destinations routed for the source
+ * @param {string} sourceName - Name of the source the request is for
+ * @returns {Promise<void>}
+ */
+async function handleGenericWebhook(req, res, destinations, sourceName) {
+  // Only accept POST requests
+  if (req.method !== "POST") {
+    res.status(405).send("Method not allowed");
+    return;
+  }
+
+  let sources;
+  try {
+    sources = mapping.loadSources();
+  } catch (error) {
+    // The error is logged by loadSources
+    res.status(500).send("GENERIC_SOURCES is invalid");
+    return;
+  }
+
+  // Only the configured sources themselves, not Object.prototype properties such as "constructor"
+  const source = sourceName && Object.hasOwn(sources, sourceName) ? sources[sourceName] : null;
+  if (!source) {
+    res.status(404).send("Unknown source");
+    return;
+  }
+
+  // Every source has its own secret, and requests are always verified
+  if (!verifyGenericSignature(req, source.secret)) {
+    res.status(403).send("Invalid signature");
+    return;
+  }
+
+  const payload = req.body;
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    res.status(400).send("Payload must be a JSON object");
+    return;
+  }
+
+  try {
+    const embed = mapping.formatGenericMessage(sourceName, source, payload);
+
+    // Queue the message for every routed destination and deliver it
+    const delivery = await deliverMessages(destinations, embed, {
+      integration: "generic",
+      event: sourceName
+    });
+
+    respondWithDelivery(res, delivery);
+  } catch (error) {
+    console.error(`Error processing generic webhook for ${sourceName}:`, error);
+    res.status(500).send("Error processing webhook");
+  }
+}
+
+module.exports = {
+  getSourceName,
+  handleGenericWebhook
+};
\ No newline at end of file
@@ -0,0 +1,177 @@
+const config = require("../utils/config");
+const { getCiRun } = require("../utils/discord");
+
+/**
+ * Convert a glob pattern to a regular expression
+ * "*" matches within one path segment, "**" matches across segments and "?" matches one character
+ * @param {string} pattern - Glob pattern, e.g. "release/*" or "docs/**"
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Determines if a value matches one of a rule's patterns
+ * @param {string|string[]} patterns - Glob pattern or list of patterns
+ * @param {string} value - Value to match
+ * @returns {boolean} True if any pattern matches
+ */
+function matchesAny(patterns, value) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.some(pattern => globToRegExp(String(pattern)).test(String(value)));
+}
+
+/**
+ * Get the branch a GitHub event applies to
+ * @param {Object} payload - GitHub webhook payload
+ * @param {string} eventType - GitHub event type
+ * @returns {string|null} - Branch name, or null if the event has none
+ */
+function getEventBranch(payload, eventType) {
+  if (eventType === "push") {
+    return payload.ref && payload.ref.startsWith("refs/heads/")
+      ? payload.ref.replace("refs/heads/", "")
+      : null;
+  }
+
+  if (eventType === "create" || eventType === "delete") {
+    return payload.ref_type === "branch" ? payload.ref : null;
+  }
+
+  // Pull request events match on the branch being merged into
+  if (payload.pull_request && payload.pull_request.base) {
+    return payload.pull_request.base.ref;
+  }
+
+  const ciRun = getCiRun(payload, eventType);
+  return ciRun ? ciRun.branch : null;
+}
+
+/**
+ * Get the file paths changed by a GitHub event
+ * @param {Object} payload - GitHub webhook payload
+ * @returns {string[]} - Added, modified and removed paths (only push events list them)
+ */
+function getChangedPaths(payload) {
+  const paths = new Set();
+  for (const commit of payload.commits || []) {
+    for (const path of [...(commit.added || []), ...(commit.modified || []), ...(commit.removed || [])]) {
+      paths.add(path);
+    }
+  }
+  return [...paths];
+}
+
+/**
+ * Determines if a rule matches an event
+ * Every condition set on the rule must match; a rule with no conditions matches everything.
+ * @param {Object} rule - Filter rule
+ * @param {Object} payload - GitHub webhook payload
+ * @param {string} eventType - GitHub event type
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(rule, payload, eventType) {
+  const sender = payload.sender || {};
+
+  if (rule.event && !matchesAny(rule.event, eventType)) {
+    return false;
+  }
+  if (rule.action && !matchesAny(rule.action, payload.action)) {
+    return false;
+  }
+  if (rule.branch && !matchesAny(rule.branch, getEventBranch(payload, eventType))) {
+    return false;
+  }
+  if (rule.sender && !matchesAny(rule.sender, sender.login)) {
+    return false;
+  }
+  if (rule.senderType && !matchesAny(rule.senderType, sender.type)) {
+    return false;
+  }
+  if (rule.paths && !getChangedPaths(payload).some(path => matchesAny(rule.paths, path))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Describe the conditions of a rule for rejection messages
+ * @param {Object} rule - Filter rule
+ * @param {number} index - Position of the rule in its list
+ * @returns {string} - e.g. 'rule 2 (event "push", branch "main")'
+ */
+function describeRule(rule, index) {
+  const conditions = ["event", "action", "branch", "sender", "senderType", "paths"]
+    .filter(name => rule[name])
+    .map(name => `${name} ${JSON.stringify(rule[name])}`);
+
+  return conditions.length > 0
+    ? `rule ${index + 1} (${conditions.join(", ")})`
+    : `rule ${index + 1}`;
+}
+
+/**
+ * Evaluate filter rules against a GitHub event
+ * Rules are checked in order and the first one that matches decides.
+ * Events that match no rule are allowed.
+ * @param {Object[]} rules - Filter rules ({ effect: "allow"|"deny", event, action, branch, sender, senderType, paths, reason })
+ * @param {Object} payload - GitHub webhook payload
+ * @param {string} eventType - GitHub event type
+ * @returns {Object} - { allowed, reason }
+ */
+function evaluateFilters(rules, payload, eventType) {
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (!ruleMatches(rule, payload, eventType)) {
+      continue;
+    }
+
+    if (rule.effect === "allow") {
+      return { allowed: true, reason: null };
+    }
+    return {
+      allowed: false,
+      reason: rule.reason || `Rejected by ${describeRule(rule, i)}`
+    };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Resolve the filter rules for a repository
+ * Falls back to the "default" rules when the repository has none of its own
+ * @param {string} repository - Repository full name
+ * @returns {Object[]} - Filter rules
+ */
+function resolveFilterRules(repository) {
+  const filters = config.getGithubFilters();
+
+  if (repository && Array.isArray(filters[repository])) {
+    return filters[repository];
+  }
+  return Array.isArray(filters.default) ? filters.default : [];
+}
+
+module.exports = {
+  evaluateFilters,
+  resolveFilterRules
+};
\ No newline at end of file
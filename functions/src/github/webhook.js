@@ -1,51 +1,73 @@
 const crypto = require("crypto");
-const { formatGitHubMessage, sendDiscordMessage } = require("../utils/discord");
+const { formatGitHubMessage, getGitHubMentions, getGitHubEntity, getCiRun } = require("../utils/discord");
+const { deliverMessages } = require("../delivery/queue");
+const { respondWithDelivery } = require("../delivery/responses");
+const idempotency = require("../delivery/idempotency");
+const digest = require("../digest/digest");
+const { toGitHubDigestEvent } = require("../digest/events");
+const ci = require("../utils/ci");
+const filters = require("./filters");
 const config = require("../utils/config");
+const { safeEqual, getSignedBody } = require("../utils/crypto");
+const templates = require("../utils/templates");
+
+// Signature headers GitHub sends, preferred first, with the HMAC algorithm of each
+const SIGNATURE_HEADERS = [
+  { header: "x-hub-signature-256", algorithm: "sha256" },
+  { header: "x-hub-signature", algorithm: "sha1" } // Legacy, only checked when there's no SHA-256 signature
+];
 
 /**
  * Verify GitHub webhook signature
+ * GitHub signs the raw request body, so it is checked byte for byte rather than re-serialized.
+ * Any of the active secrets may have signed it, so a secret can be rotated without downtime.
  * @param {Object} req - Request object
- * @param {string} secret - GitHub webhook secret
+ * @param {string[]} secrets - Active GitHub webhook secrets
  * @returns {boolean} - Valid signature or not
  */
-function verifyGitHubSignature(req, secret) {
-  if (!secret) {
+function verifyGitHubSignature(req, secrets) {
+  if (secrets.length === 0) {
     console.warn("No GitHub webhook secret provided, skipping signature verification");
     return true;
   }
 
-  const signature = req.headers["x-hub-signature-256"];
-  if (!signature) {
+  const scheme = SIGNATURE_HEADERS.find(({ header }) => req.headers[header]);
+  if (!scheme) {
     console.error("No signature found in GitHub webhook request");
     return false;
   }
 
-  const hmac = crypto.createHmac("sha256", secret);
-  const digest = "sha256=" + hmac.update(JSON.stringify(req.body)).digest("hex");
-  
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(digest)
-  );
+  const signature = req.headers[scheme.header];
+  const body = getSignedBody(req);
+  if (!body) {
+    console.error("No raw body to verify the GitHub webhook signature against");
+    return false;
+  }
+
+  return secrets.some(secret => {
+    const digest = `${scheme.algorithm}=` + crypto.createHmac(scheme.algorithm, secret).update(body).digest("hex");
+    return safeEqual(signature, digest);
+  });
 }
 
 /**
  * Handle GitHub webhook requests
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @param {string} discordWebhookUrl - Discord webhook URL
- * @param {string} secret - GitHub webhook secret
+ * @param {Object[]} destinations - Discord destinations routed for the repository
+ * @param {string[]} secrets - Active GitHub webhook secrets
+ * @param {Object[]} filterRules - Filter rules for the repository
  * @returns {Promise<void>}
  */
-async function handleWebhook(req, res, discordWebhookUrl, secret) {
+async function handleWebhook(req, res, destinations, secrets, filterRules = []) {
   // Only accept POST requests
   if (req.method !== "POST") {
     res.status(405).send("Method not allowed");
     return;
   }
 
-  // Verify signature if secret is provided and not in test mode
-  if (secret && !config.isTestMode() && !verifyGitHubSignature(req, secret)) {
+  // Verify the signature whenever a secret is set, test mode included
+  if (!verifyGitHubSignature(req, secrets)) {
     res.status(403).send("Invalid signature");
     return;
   }
@@ -57,29 +79,102 @@ async function handleWebhook(req, res, discordWebhookUrl, secret) {
   }
 
   // Handle GitHub events we want to process
-  const supportedEvents = ["push", "pull_request", "issues", "issue_comment"];
+  const supportedEvents = [
+    "push",
+    "pull_request",
+    "pull_request_review",
+    "pull_request_review_comment",
+    "issues",
+    "issue_comment",
+    "workflow_run",
+    "check_suite",
+    "check_run",
+    "status",
+    "release",
+    "create",
+    "delete",
+    "fork"
+  ];
   
   if (supportedEvents.includes(eventType)) {
     const payload = req.body;
     
+    // GitHub redeliveries reuse the delivery id, so each delivery is only processed once
+    const deliveryId = req.headers["x-github-delivery"];
+    const deliveryKey = deliveryId ? `github:${deliveryId}` : null;
+    if (deliveryKey && !(await idempotency.claimDelivery(deliveryKey))) {
+      console.log(`Ignoring duplicate GitHub delivery ${deliveryId}`);
+      res.status(200).send("Duplicate delivery, already processed");
+      return;
+    }
+    
     try {
-      // Format the message
-      const embed = formatGitHubMessage(payload, eventType);
+      // Drop events the repository's filter rules reject
+      const filterResult = filters.evaluateFilters(filterRules, payload, eventType);
+      if (!filterResult.allowed) {
+        console.log(`Filtered ${eventType} event: ${filterResult.reason}`);
+        res.status(202).send(`Event filtered: ${filterResult.reason}`);
+        return;
+      }
+      
+      // CI events are only posted once they finish, and only to routes that want the result
+      const ciRun = getCiRun(payload, eventType);
+      if (ciRun) {
+        if (!ciRun.completed) {
+          res.status(202).send("CI run not completed, notification not sent");
+          return;
+        }
+        
+        const previousConclusion = await ci.getPreviousConclusion(payload.repository.full_name, ciRun);
+        destinations = destinations.filter(destination =>
+          ci.shouldNotify(ciRun, previousConclusion, destination.ciNotify || config.getGithubCiNotify())
+        );
+        
+        if (destinations.length === 0) {
+          await ci.recordConclusion(payload.repository.full_name, ciRun);
+          res.status(202).send(`CI result "${ciRun.conclusion}" filtered, notification not sent`);
+          return;
+        }
+      }
+      
+      // Format the message, using the user's template for the event if there is one
+      const embed = templates.applyTemplate(
+        "github",
+        [payload.action ? `${eventType}.${payload.action}` : null, eventType],
+        payload,
+        formatGitHubMessage(payload, eventType)
+      );
       
-      // Send to Discord and get response
-      const discordResponse = await sendDiscordMessage(discordWebhookUrl, embed);
+      // Queue the message, pinging mapped users, for every route that gets events as they happen
+      const realtimeDestinations = digest.getRealtimeDestinations(destinations);
+      const entity = getGitHubEntity(payload, eventType);
+      const delivery = realtimeDestinations.length > 0
+        ? await deliverMessages(realtimeDestinations, embed, {
+          integration: "github",
+          event: eventType,
+          // The pull request or issue, for routes that edit one message or keep one thread per entity
+          ...(entity && { entity })
+        }, getGitHubMentions(payload, eventType))
+        : null;
       
-      // In test mode, include response details for verification
-      if (config.isTestMode()) {
-        res.status(200).json({
-          message: "Webhook processed successfully",
-          discord_response: discordResponse
-        });
-      } else {
-        res.status(200).send("Webhook processed successfully");
+      // The digest and the run's conclusion are only recorded once the message is queued,
+      // so a redelivery after a failure is neither counted twice nor loses a recovery
+      await digest.recordEvent(destinations, toGitHubDigestEvent(payload, eventType));
+      if (ciRun) {
+        await ci.recordConclusion(payload.repository.full_name, ciRun);
       }
+      
+      if (!delivery) {
+        res.status(200).send("Event recorded for the digest");
+        return;
+      }
+      respondWithDelivery(res, delivery);
     } catch (error) {
       console.error(`Error processing ${eventType} event:`, error);
+      // Let GitHub's redelivery of a failed event through
+      if (deliveryKey) {
+        await idempotency.releaseDelivery(deliveryKey);
+      }
       res.status(500).send("Error processing webhook");
     }
   } else {
@@ -0,0 +1,130 @@
+const { formatGitLabMessage, getGitLabPipeline } = require("../utils/discord");
+const { deliverMessages } = require("../delivery/queue");
+const { respondWithDelivery } = require("../delivery/responses");
+const ci = require("../utils/ci");
+const config = require("../utils/config");
+const { safeEqual } = require("../utils/crypto");
+const templates = require("../utils/templates");
+
+// X-Gitlab-Event header values we process, mapped to the payload's object_kind
+const SUPPORTED_EVENTS = {
+  "Push Hook": "push",
+  "Merge Request Hook": "merge_request",
+  "Issue Hook": "issue",
+  "Confidential Issue Hook": "issue",
+  "Note Hook": "note",
+  "Confidential Note Hook": "note",
+  "Pipeline Hook": "pipeline"
+};
+
+/**
+ * Verify the GitLab webhook secret token
+ * GitLab sends the token configured on the webhook as-is in the X-Gitlab-Token header.
+ * @param {Object} req - Request object
+ * @param {string} secret - GitLab webhook secret token
+ * @returns {boolean} - Valid token or not
+ */
+function verifyGitLabToken(req, secret) {
+  if (!secret) {
+    console.warn("No GitLab webhook secret provided, skipping token verification");
+    return true;
+  }
+
+  const token = req.headers["x-gitlab-token"];
+  if (!token) {
+    console.error("No token found in GitLab webhook request");
+    return false;
+  }
+
+  return safeEqual(token, secret);
+}
+
+/**
+ * Handle GitLab webhook requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object[]} destinations - Discord destinations routed for the project
+ * @param {string} secret - GitLab webhook secret token
+ * @returns {Promise<void>}
+ */
+async function handleWebhook(req, res, destinations, secret) {
+  // Only accept POST requests
+  if (req.method !== "POST") {
+    res.status(405).send("Method not allowed");
+    return;
+  }
+
+  // The token is compared as-is, so it is checked in test mode too
+  if (!verifyGitLabToken(req, secret)) {
+    res.status(403).send("Invalid token");
+    return;
+  }
+
+  const eventHeader = req.headers["x-gitlab-event"];
+  if (!eventHeader) {
+    res.status(400).send("No event type specified");
+    return;
+  }
+
+  const eventType = SUPPORTED_EVENTS[eventHeader];
+  if (!eventType) {
+    // Acknowledge receipt but don't process unsupported events
+    console.log(`Received unsupported GitLab event: ${eventHeader}`);
+    res.status(202).send("Event type not processed");
+    return;
+  }
+
+  const payload = req.body;
+
+  try {
+    // Pipelines are only posted once they finish, and only to routes that want the result
+    const pipeline = getGitLabPipeline(payload);
+    if (pipeline) {
+      if (!pipeline.completed) {
+        res.status(202).send("Pipeline not finished, notification not sent");
+        return;
+      }
+
+      const previousConclusion = await ci.getPreviousConclusion(payload.project.path_with_namespace, pipeline);
+      destinations = destinations.filter(destination =>
+        ci.shouldNotify(pipeline, previousConclusion, destination.ciNotify || config.getGitlabCiNotify())
+      );
+
+      if (destinations.length === 0) {
+        await ci.recordConclusion(payload.project.path_with_namespace, pipeline);
+        res.status(202).send(`Pipeline result "${pipeline.conclusion}" filtered, notification not sent`);
+        return;
+      }
+    }
+
+    // Format the message, using the user's template for the event if there is one
+    const action = payload.object_attributes?.action;
+    const embed = templates.applyTemplate(
+      "gitlab",
+      [action ? `${eventType}.${action}` : null, eventType],
+      payload,
+      formatGitLabMessage(payload, eventType)
+    );
+
+    // Queue the message for every routed destination and deliver it
+    const delivery = await deliverMessages(destinations, embed, {
+      integration: "gitlab",
+      event: eventType
+    });
+
+    // The pipeline only becomes the previous one once its message is queued, so a
+    // retry after a failure still sees the conclusion before it
+    if (pipeline) {
+      await ci.recordConclusion(payload.project.path_with_namespace, pipeline);
+    }
+
+    respondWithDelivery(res, delivery);
+  } catch (error) {
+    console.error(`Error processing GitLab ${eventType} event:`, error);
+    res.status(500).send("Error processing webhook");
+  }
+}
+
+module.exports = {
+  handleWebhook
+};
\ No newline at end of file
@@ -0,0 +1,259 @@
+const crypto = require("crypto");
+const { formatJiraMessage, getJiraMentions } = require("../utils/discord");
+const { deliverMessages } = require("../delivery/queue");
+const { respondWithDelivery } = require("../delivery/responses");
+const config = require("../utils/config");
+const { safeEqual, getSignedBody } = require("../utils/crypto");
+const templates = require("../utils/templates");
+
+// Jira webhook events we post to Discord
+const SUPPORTED_EVENTS = [
+  "jira:issue_created",
+  "jira:issue_updated",
+  "comment_created"
+];
+
+// Path of the Jira function under the functions' URL, which Firebase strips from req.path
+const FUNCTION_PATH = "/jiraNotification";
+
+/**
+ * Verify a Jira webhook signed with a shared secret
+ * Jira signs the raw request body with HMAC-SHA256 and sends
+ * "sha256=<hex digest>" in the X-Hub-Signature header
+ * @param {Object} req - Request object
+ * @param {string} secret - Shared webhook secret
+ * @returns {boolean} - Valid signature or not
+ */
+function verifyJiraSignature(req, secret) {
+  const signature = req.headers["x-hub-signature"];
+  const body = getSignedBody(req);
+  if (!body) {
+    console.error("No raw body to verify the Jira webhook signature against");
+    return false;
+  }
+
+  const digest = "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+  return safeEqual(signature, digest);
+}
+
+/**
+ * Get the JWT a Jira Connect app request carries
+ * @param {Object} req - Request object
+ * @returns {string|null} - The token from the Authorization header or jwt query parameter
+ */
+function getJiraJwt(req) {
+  const authorization = req.headers.authorization || "";
+  if (authorization.startsWith("JWT ")) {
+    return authorization.substring(4);
+  }
+  return req.query?.jwt || null;
+}
+
+/**
+ * Percent-encode a query string component the way Atlassian canonicalizes it
+ * @param {string} value - Parameter name or value
+ * @returns {string} - RFC 3986 encoded value
+ */
+function encodeQueryComponent(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Get the path of a request relative to the Connect app's base URL
+ * Firebase strips the function's name from req.path, so it is added back
+ * unless the app's base URL is the function's own URL.
+ * @param {Object} req - Request object
+ * @returns {string} - Path the Connect app signed, without a trailing slash
+ */
+function getCanonicalPath(req) {
+  const basePath = new URL(config.getJiraAppBaseUrl() || "http://localhost").pathname.replace(/\/+$/, "");
+  const requestPath = req.path && req.path !== "/" ? req.path : "";
+
+  let path = basePath.endsWith(FUNCTION_PATH) ? requestPath : `${FUNCTION_PATH}${requestPath}`;
+  if (path.length > 1 && path.endsWith("/")) {
+    path = path.slice(0, -1);
+  }
+  return path || "/";
+}
+
+/**
+ * Get the query string hash (qsh) a Connect app JWT must carry for a request
+ * The hash is the SHA-256 of "METHOD&path&query", where the path is relative to
+ * the app's base URL and the query is sorted by parameter name and leaves out the jwt parameter.
+ * @param {Object} req - Request object
+ * @returns {string} - Hex digest of the canonical request
+ */
+function getQueryStringHash(req) {
+  const path = getCanonicalPath(req);
+  const query = Object.keys(req.query || {})
+    .filter(name => name !== "jwt")
+    .sort()
+    .map(name => {
+      const values = [].concat(req.query[name]).map(value => encodeQueryComponent(String(value))).sort();
+      return `${encodeQueryComponent(name)}=${values.join(",")}`;
+    })
+    .join("&");
+
+  const canonicalRequest = `${req.method.toUpperCase()}&${path.replace(/&/g, "%26")}&${query}`;
+  return crypto.createHash("sha256").update(canonicalRequest).digest("hex");
+}
+
+/**
+ * Verify a Jira Connect app request signed with a JWT
+ * Checks the HS256 signature against the app's shared secret, that the token
+ * was issued by the installation and has not expired, and that its query
+ * string hash matches the request, so a token can't be replayed elsewhere.
+ * @param {Object} req - Request object
+ * @param {string} token - JWT from the request
+ * @param {string} secret - Shared secret of the Connect app installation
+ * @param {string} clientKey - Client key of the installation, or "" to accept any issuer
+ * @returns {boolean} - Valid token or not
+ */
+function verifyJiraJwt(req, token, secret, clientKey) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    console.error("Malformed JWT in Jira webhook request");
+    return false;
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], "base64url").toString());
+    claims = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+  } catch (error) {
+    console.error("Malformed JWT in Jira webhook request:", error.message);
+    return false;
+  }
+
+  // Only accept the algorithm Jira uses, so a token can't pick "none"
+  if (header.alg !== "HS256") {
+    console.error(`Unsupported JWT algorithm in Jira webhook request: ${header.alg}`);
+    return false;
+  }
+
+  const digest = crypto.createHmac("sha256", secret)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest("base64url");
+  if (!safeEqual(parts[2], digest)) {
+    return false;
+  }
+
+  if (typeof claims.iat !== "number" || typeof claims.exp !== "number") {
+    console.error("JWT in Jira webhook request is missing iat or exp");
+    return false;
+  }
+  if (claims.exp * 1000 < Date.now()) {
+    console.error("Expired JWT in Jira webhook request");
+    return false;
+  }
+
+  if (typeof claims.iss !== "string" || !claims.iss || (clientKey && claims.iss !== clientKey)) {
+    console.error(`Unexpected JWT issuer in Jira webhook request: ${claims.iss}`);
+    return false;
+  }
+
+  if (typeof claims.qsh !== "string" || !safeEqual(claims.qsh, getQueryStringHash(req))) {
+    console.error("JWT query string hash does not match the Jira webhook request");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Verify a Jira webhook request
+ * Accepts either a shared-secret signature (X-Hub-Signature) or a Connect app JWT
+ * @param {Object} req - Request object
+ * @param {string} secret - Shared webhook secret or Connect app secret
+ * @param {string} clientKey - Client key of the Connect app installation, or ""
+ * @returns {boolean} - Valid request or not
+ */
+function verifyJiraRequest(req, secret, clientKey) {
+  if (req.headers["x-hub-signature"]) {
+    return verifyJiraSignature(req, secret);
+  }
+
+  const token = getJiraJwt(req);
+  if (token) {
+    return verifyJiraJwt(req, token, secret, clientKey);
+  }
+
+  console.error("No signature or JWT found in Jira webhook request");
+  return false;
+}
+
+/**
+ * Determines if a Jira request carries a signature or JWT
+ * @param {Object} req - Request object
+ * @returns {boolean} - True if the request is signed
+ */
+function isSigned(req) {
+  return Boolean(req.headers["x-hub-signature"] || getJiraJwt(req));
+}
+
+/**
+ * Handle Jira webhook events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object[]} destinations - Discord destinations routed for the project
+ * @param {string} secret - Shared webhook secret or Connect app secret
+ * @returns {Promise<void>}
+ */
+async function handleJiraEvent(req, res, destinations, secret) {
+  // Only accept POST requests
+  if (req.method !== "POST") {
+    res.status(405).send("Method not allowed");
+    return;
+  }
+
+  // Verify the request if a secret is set. Test mode still lets unsigned
+  // requests through, but any request that carries a signature is checked
+  if (!secret) {
+    console.warn("No Jira webhook secret provided, skipping signature verification");
+  } else if ((isSigned(req) || !config.isTestMode()) &&
+    !verifyJiraRequest(req, secret, config.getJiraClientKey())) {
+    res.status(403).send("Invalid signature");
+    return;
+  }
+
+  const eventType = req.body?.webhookEvent;
+  if (!eventType) {
+    res.status(400).send("Invalid Jira payload");
+    return;
+  }
+
+  if (!SUPPORTED_EVENTS.includes(eventType)) {
+    // Acknowledge receipt but don't process unsupported events
+    console.log(`Received unsupported Jira event: ${eventType}`);
+    res.status(202).send("Event type not processed");
+    return;
+  }
+
+  try {
+    const payload = req.body;
+
+    // Format the message, using the user's template for the event if there is one
+    const embed = templates.applyTemplate(
+      "jira",
+      [eventType],
+      payload,
+      formatJiraMessage(payload)
+    );
+
+    // Queue the message, pinging mapped users, for every routed destination and deliver it
+    const delivery = await deliverMessages(destinations, embed, {
+      integration: "jira",
+      event: eventType
+    }, getJiraMentions(payload));
+
+    respondWithDelivery(res, delivery, "Jira event");
+  } catch (error) {
+    console.error(`Error processing Jira ${eventType} event:`, error);
+    res.status(500).send("Error processing Jira event");
+  }
+}
+
+module.exports = {
+  handleJiraEvent
+};
\ No newline at end of file
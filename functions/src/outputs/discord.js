@@ -0,0 +1,16 @@
+const { sendDiscordMessage } = require("../utils/discord");
+
+/**
+ * Send embeds to a Discord webhook
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {Object[]} embeds - Discord embed objects
+ * @param {Object[]} mentions - Discord users and roles to ping ({ type, id })
+ * @returns {Promise<Object>} - The response from the webhook
+ */
+async function send(webhookUrl, embeds, mentions = []) {
+  return sendDiscordMessage(webhookUrl, embeds, mentions);
+}
+
+module.exports = {
+  send
+};
\ No newline at end of file
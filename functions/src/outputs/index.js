@@ -0,0 +1,29 @@
+const discord = require("./discord");
+const slack = require("./slack");
+const teams = require("./teams");
+
+// Send functions for each route type
+const OUTPUTS = {
+  discord: discord.send,
+  slack: slack.send,
+  teams: teams.send,
+  "teams-workflow": teams.sendAdaptiveCard
+};
+
+/**
+ * Get the send function for a route type
+ * @param {string} type - Route type ("discord", "slack", "teams" or "teams-workflow")
+ * @returns {Function} - send(webhookUrl, embeds, mentions)
+ * @throws {Error} - For unknown types
+ */
+function getOutput(type = "discord") {
+  const output = OUTPUTS[type];
+  if (!output) {
+    throw new Error(`Unknown output type "${type}" (expected ${Object.keys(OUTPUTS).join(", ")})`);
+  }
+  return output;
+}
+
+module.exports = {
+  getOutput
+};
\ No newline at end of file
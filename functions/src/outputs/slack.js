@@ -0,0 +1,107 @@
+const { postWithRetry, truncateText } = require("../utils/discord");
+
+// Slack Block Kit limits
+const SECTION_TEXT_LIMIT = 3000;
+const FIELD_TEXT_LIMIT = 2000;
+const MAX_SECTION_FIELDS = 10;
+
+/**
+ * Escape the characters Slack reads as control sequences
+ * User text can't then form links or mentions such as <!channel>.
+ * @param {string} text - Plain text
+ * @returns {string} - Text with &, < and > escaped
+ */
+function escapeText(text) {
+  return (text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Convert Discord markdown to Slack mrkdwn
+ * @param {string} text - Discord markdown
+ * @returns {string} - Slack mrkdwn
+ */
+function toMrkdwn(text) {
+  return escapeText(text)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, "<$2|$1>")
+    .replace(/\*\*(.+?)\*\*/g, "*$1*")
+    .replace(/__(.+?)__/g, "_$1_")
+    .replace(/~~(.+?)~~/g, "~$1~");
+}
+
+/**
+ * Convert a Discord embed to a Slack attachment with Block Kit blocks
+ * @param {Object} embed - Discord embed object
+ * @returns {Object} - Slack attachment
+ */
+function toAttachment(embed) {
+  const blocks = [];
+
+  const title = embed.url ? `*<${escapeText(embed.url)}|${escapeText(embed.title)}>*` : `*${escapeText(embed.title)}*`;
+  const text = [embed.title ? title : "", toMrkdwn(embed.description)].filter(Boolean).join("\n");
+  if (text) {
+    const section = {
+      type: "section",
+      text: { type: "mrkdwn", text: truncateText(text, SECTION_TEXT_LIMIT) }
+    };
+    if (embed.thumbnail?.url) {
+      section.accessory = { type: "image", image_url: embed.thumbnail.url, alt_text: "thumbnail" };
+    }
+    blocks.push(section);
+  }
+
+  const fields = embed.fields || [];
+  for (let i = 0; i < fields.length; i += MAX_SECTION_FIELDS) {
+    blocks.push({
+      type: "section",
+      fields: fields.slice(i, i + MAX_SECTION_FIELDS).map(field => ({
+        type: "mrkdwn",
+        text: truncateText(`*${escapeText(field.name)}*\n${toMrkdwn(field.value)}`, FIELD_TEXT_LIMIT)
+      }))
+    });
+  }
+
+  const context = [embed.author?.name, embed.footer?.text].filter(Boolean).map(escapeText);
+  if (context.length > 0) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: context.join(" | ") }]
+    });
+  }
+
+  return {
+    color: `#${(embed.color || 0).toString(16).padStart(6, "0")}`,
+    fallback: embed.title || embed.description || "",
+    blocks
+  };
+}
+
+/**
+ * Build a Slack incoming webhook message from Discord embeds
+ * @param {Object[]} embeds - Discord embed objects
+ * @returns {Object} - Slack message
+ */
+function toSlackMessage(embeds) {
+  return {
+    text: embeds.map(embed => escapeText(embed.title)).filter(Boolean).join("\n"),
+    attachments: embeds.map(toAttachment)
+  };
+}
+
+/**
+ * Send embeds to a Slack incoming webhook
+ * Discord mentions don't apply to Slack and are left out.
+ * @param {string} webhookUrl - Slack incoming webhook URL
+ * @param {Object[]} embeds - Discord embed objects
+ * @returns {Promise<Object>} - The response from the webhook
+ */
+async function send(webhookUrl, embeds) {
+  return postWithRetry(webhookUrl, toSlackMessage(embeds), "Slack");
+}
+
+module.exports = {
+  toSlackMessage,
+  send
+};
\ No newline at end of file
@@ -0,0 +1,108 @@
+const { postWithRetry } = require("../utils/discord");
+
+/**
+ * Format a Discord embed color as a hex string
+ * @param {number} color - Embed color
+ * @returns {string} - e.g. "2EA44F"
+ */
+function toHexColor(color) {
+  return (color || 0).toString(16).padStart(6, "0").toUpperCase();
+}
+
+/**
+ * Build a Teams MessageCard from Discord embeds, one section per embed
+ * @param {Object[]} embeds - Discord embed objects
+ * @returns {Object} - MessageCard
+ */
+function toMessageCard(embeds) {
+  return {
+    "@type": "MessageCard",
+    "@context": "https://schema.org/extensions",
+    summary: embeds[0]?.title || "Notification",
+    themeColor: toHexColor(embeds[0]?.color),
+    sections: embeds.map(embed => ({
+      activityTitle: embed.title || "",
+      activitySubtitle: [embed.author?.name, embed.footer?.text].filter(Boolean).join(" | "),
+      activityImage: embed.thumbnail?.url || embed.author?.icon_url || undefined,
+      text: embed.description || "",
+      facts: (embed.fields || []).map(field => ({ name: field.name, value: field.value })),
+      markdown: true,
+      potentialAction: embed.url
+        ? [{ "@type": "OpenUri", name: "Open", targets: [{ os: "default", uri: embed.url }] }]
+        : []
+    }))
+  };
+}
+
+/**
+ * Build a Teams workflow message holding an Adaptive Card from Discord embeds
+ * @param {Object[]} embeds - Discord embed objects
+ * @returns {Object} - Message with an Adaptive Card attachment
+ */
+function toAdaptiveCardMessage(embeds) {
+  const body = embeds.flatMap((embed, index) => {
+    const elements = [{
+      type: "TextBlock",
+      text: embed.url ? `[${embed.title || embed.url}](${embed.url})` : (embed.title || ""),
+      weight: "Bolder",
+      size: "Medium",
+      wrap: true,
+      separator: index > 0
+    }];
+
+    if (embed.description) {
+      elements.push({ type: "TextBlock", text: embed.description, wrap: true });
+    }
+    if (embed.fields && embed.fields.length > 0) {
+      elements.push({
+        type: "FactSet",
+        facts: embed.fields.map(field => ({ title: field.name, value: field.value }))
+      });
+    }
+    if (embed.footer?.text) {
+      elements.push({ type: "TextBlock", text: embed.footer.text, isSubtle: true, size: "Small", wrap: true });
+    }
+    return elements;
+  });
+
+  return {
+    type: "message",
+    attachments: [{
+      contentType: "application/vnd.microsoft.card.adaptive",
+      content: {
+        $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+        type: "AdaptiveCard",
+        version: "1.4",
+        body
+      }
+    }]
+  };
+}
+
+/**
+ * Send embeds to a Teams incoming webhook as a MessageCard
+ * Discord mentions don't apply to Teams and are left out.
+ * @param {string} webhookUrl - Teams incoming webhook URL
+ * @param {Object[]} embeds - Discord embed objects
+ * @returns {Promise<Object>} - The response from the webhook
+ */
+async function send(webhookUrl, embeds) {
+  return postWithRetry(webhookUrl, toMessageCard(embeds), "Teams");
+}
+
+/**
+ * Send embeds to a Teams workflow webhook as an Adaptive Card
+ * @param {string} webhookUrl - Teams workflow webhook URL
+ * @param {Object[]} embeds - Discord embed objects
+ * @returns {Promise<Object>} - The response from the webhook
+ */
+async function sendAdaptiveCard(webhookUrl, embeds) {
+  return postWithRetry(webhookUrl, toAdaptiveCardMessage(embeds), "Teams");
+}
+
+module.exports = {
+  toMessageCard,
+  toAdaptiveCardMessage,
+  send,
+  sendAdaptiveCard
+};
\ No newline at end of file
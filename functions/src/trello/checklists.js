@@ -0,0 +1,60 @@
+const axios = require("axios");
+const config = require("../utils/config");
+const registry = require("./registry");
+
+// Actions whose embeds show how many checklist items there are
+const CHECKLIST_ACTIONS = ["addChecklistToCard", "updateCheckItemStateOnCard"];
+
+/**
+ * Add the checklist's items to a Trello payload so its embed can show progress
+ * Webhook payloads only name the checklist, so the items are fetched from the
+ * Trello API with the token the board was registered with. Payloads are returned
+ * unchanged when the board isn't registered or the lookup fails.
+ * @param {Object} payload - Trello webhook payload
+ * @returns {Promise<Object>} - Payload with action.data.checklist.checkItems set when available
+ */
+async function withChecklistItems(payload) {
+  const action = payload?.action;
+  const checklist = action?.data?.checklist;
+  if (!action || !CHECKLIST_ACTIONS.includes(action.type) || !checklist || !checklist.id) {
+    return payload;
+  }
+
+  const registrations = await registry.findRegistrationsByBoard(payload.model?.id);
+  const registration = registrations.find(item => item.token);
+  if (!registration) {
+    return payload;
+  }
+
+  try {
+    const response = await axios.get(`${config.getTrelloApiUrl()}/checklists/${checklist.id}`, {
+      params: {
+        key: config.getTrelloApiKey(),
+        token: registration.token,
+        checkItems: "all",
+        checkItem_fields: "name,state"
+      }
+    });
+
+    return {
+      ...payload,
+      action: {
+        ...action,
+        data: {
+          ...action.data,
+          checklist: {
+            ...checklist,
+            checkItems: response.data.checkItems || []
+          }
+        }
+      }
+    };
+  } catch (error) {
+    console.error(`Error fetching Trello checklist ${checklist.id}:`, error.message);
+    return payload;
+  }
+}
+
+module.exports = {
+  withChecklistItems
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+const config = require("../utils/config");
+
+// Action types that are not posted unless a board's filters say otherwise. Checklist
+// items being added or renamed are noise; attachments, new checklists and completed
+// items have their own embeds and are posted.
+const DEFAULT_DENIED_ACTION_TYPES = [
+  "createCheckItem",
+  "updateCheckItem"
+];
+
+/**
+ * Get the values of a Trello action that each filter checks
+ * @param {Object} action - Trello action
+ * @returns {Object} - { actionTypes, lists, labels, members } as lists of values
+ */
+function getFilterValues(action) {
+  const data = action.data || {};
+
+  // Cards are matched on the list they end up in, so "Done" matches cards moved into Done
+  const list = data.listAfter || data.list;
+
+  return {
+    actionTypes: [action.type],
+    lists: list ? [list.name] : [],
+    labels: data.label ? [data.label.name] : [],
+    members: [action.idMemberCreator, data.idMember, data.member ? data.member.id : null]
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Evaluate a board's filters against a Trello action
+ * A filter rejects the action if any value is on its deny list, or if it has an
+ * allow list and no value is on it.
+ * @param {Object} filters - { actionTypes, lists, labels, members }, each { allow: [], deny: [] }
+ * @param {Object} action - Trello action
+ * @returns {Object} - { allowed, reason }
+ */
+function evaluateTrelloFilters(filters, action) {
+  if (!action || !action.type) {
+    return { allowed: true, reason: null };
+  }
+
+  const values = getFilterValues(action);
+  const names = {
+    actionTypes: "action type",
+    lists: "list",
+    labels: "label",
+    members: "member"
+  };
+
+  for (const [key, name] of Object.entries(names)) {
+    const filter = filters[key] || {};
+
+    const denied = values[key].find(value => (filter.deny || []).includes(value));
+    if (denied) {
+      return { allowed: false, reason: `${name} "${denied}" is denied` };
+    }
+
+    const allow = filter.allow || [];
+    if (allow.length > 0 && !values[key].some(value => allow.includes(value))) {
+      return {
+        allowed: false,
+        reason: values[key].length > 0
+          ? `${name} "${values[key][0]}" is not allowed`
+          : `no ${name} on the allow list`
+      };
+    }
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Resolve the filters for a board
+ * Falls back to the "default" filters when the board has none of its own.
+ * Filters without actionTypes deny the default noisy action types.
+ * @param {string} boardId - Trello board id
+ * @returns {Object} - Filters for the board
+ */
+function resolveTrelloFilters(boardId) {
+  const allFilters = config.getTrelloFilters();
+  const filters = (boardId && allFilters[boardId]) || allFilters.default || {};
+
+  return {
+    actionTypes: { deny: DEFAULT_DENIED_ACTION_TYPES },
+    ...filters
+  };
+}
+
+module.exports = {
+  evaluateTrelloFilters,
+  resolveTrelloFilters
+};
\ No newline at end of file
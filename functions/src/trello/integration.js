@@ -1,48 +1,145 @@
-const { formatTrelloMessage, sendDiscordMessage } = require("../utils/discord");
+const crypto = require("crypto");
+const { formatTrelloMessage, getTrelloMentions, getTrelloEntity } = require("../utils/discord");
+const { deliverMessages } = require("../delivery/queue");
+const { respondWithDelivery } = require("../delivery/responses");
+const idempotency = require("../delivery/idempotency");
+const digest = require("../digest/digest");
+const { toTrelloDigestEvent } = require("../digest/events");
 const config = require("../utils/config");
+const { safeEqual, getSignedBody } = require("../utils/crypto");
+const templates = require("../utils/templates");
+const registry = require("./registry");
+const filters = require("./filters");
+const checklists = require("./checklists");
+
+/**
+ * Get the callback URL Trello webhooks are registered with for this deployment
+ * @param {Object} req - Express request object
+ * @returns {string} - The trelloNotification callback URL
+ */
+function getTrelloCallbackUrl(req) {
+  return `${req.protocol}://${req.hostname}/trelloNotification`;
+}
+
+/**
+ * Verify Trello webhook signature
+ * Trello signs the raw request body followed by the webhook callback URL
+ * with HMAC-SHA1 and sends the base64 digest in the x-trello-webhook header
+ * @param {Object} req - Request object
+ * @param {string} secret - Trello application secret
+ * @param {string} callbackUrl - Callback URL the webhook was registered with
+ * @returns {boolean} - Valid signature or not
+ */
+function verifyTrelloSignature(req, secret, callbackUrl) {
+  const signature = req.headers["x-trello-webhook"];
+  if (!signature) {
+    console.error("No signature found in Trello webhook request");
+    return false;
+  }
+
+  const body = getSignedBody(req);
+  if (!body) {
+    console.error("No raw body to verify the Trello webhook signature against");
+    return false;
+  }
+  const hmac = crypto.createHmac("sha1", secret);
+  const digest = hmac.update(Buffer.concat([body, Buffer.from(callbackUrl)])).digest("base64");
+
+  return safeEqual(signature, digest);
+}
 
 /**
  * Handle Trello webhook events
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @param {string} discordWebhookUrl - Discord webhook URL
+ * @param {Object[]} destinations - Discord destinations routed for the board
+ * @param {string} secret - Trello application secret
+ * @param {Object} boardFilters - Action filters for the board (defaults to the "default" filters)
  * @returns {Promise<void>}
  */
-async function handleTrelloEvent(req, res, discordWebhookUrl) {
+async function handleTrelloEvent(req, res, destinations, secret, boardFilters = filters.resolveTrelloFilters()) {
   // We no longer need to check for non-POST requests here
   // as they are handled in the main function
   // This function will only be called for POST requests
 
+  // Verify signature if secret is provided. Test mode still lets unsigned
+  // requests through, but any request that carries a signature is checked
+  const isSigned = Boolean(req.headers["x-trello-webhook"]);
+  if (secret && (isSigned || !config.isTestMode())) {
+    // Trello signs with the callback URL the webhook was registered with
+    const registrations = await registry.findRegistrationsByBoard(req.body?.model?.id);
+    const callbackUrls = new Set([
+      ...registrations.map(registration => registration.callbackURL),
+      getTrelloCallbackUrl(req)
+    ]);
+
+    const isValid = Array.from(callbackUrls)
+      .some(callbackUrl => verifyTrelloSignature(req, secret, callbackUrl));
+    if (!isValid) {
+      res.status(403).send("Invalid signature");
+      return;
+    }
+  }
+
   // Validate the payload unless we're in test mode
   if (!config.isTestMode() && (!req.body || !req.body.action)) {
     res.status(400).send("Invalid Trello payload");
     return;
   }
   
+  // Trello retries actions it timed out on with the same action id, so each is only processed once
+  const actionId = req.body?.action?.id;
+  const deliveryKey = actionId ? `trello:${actionId}` : null;
+  if (deliveryKey && !(await idempotency.claimDelivery(deliveryKey))) {
+    console.log(`Ignoring duplicate Trello action ${actionId}`);
+    res.status(200).send("Duplicate delivery, already processed");
+    return;
+  }
+  
   try {
-    // Format the message
-    const embed = formatTrelloMessage(req.body);
-    
-    // If embed is null, this is a filtered event type, so just acknowledge without sending to Discord
-    if (embed === null) {
-      res.status(200).send("Trello event filtered (notification not sent)");
+    // Acknowledge actions the board's filters reject without sending them to Discord
+    const filterResult = filters.evaluateTrelloFilters(boardFilters, req.body?.action);
+    if (!filterResult.allowed) {
+      res.status(200).send(`Trello event filtered (notification not sent): ${filterResult.reason}`);
       return;
     }
     
-    // Send to Discord
-    const discordResponse = await sendDiscordMessage(discordWebhookUrl, embed);
+    // Format the message, with checklist progress looked up from Trello and the user's template if there is one
+    const payload = await checklists.withChecklistItems(req.body);
+    const embed = templates.applyTemplate(
+      "trello",
+      [payload?.action?.type],
+      payload,
+      formatTrelloMessage(payload)
+    );
+    
+    // Queue the message, pinging mapped users, for every route that gets events as they happen
+    const realtimeDestinations = digest.getRealtimeDestinations(destinations);
+    const entity = getTrelloEntity(payload);
+    const delivery = realtimeDestinations.length > 0
+      ? await deliverMessages(realtimeDestinations, embed, {
+        integration: "trello",
+        event: req.body?.action?.type || "unknown",
+        // The card, for routes that edit one message or keep one thread per card
+        ...(entity && { entity })
+      }, getTrelloMentions(payload))
+      : null;
     
-    // In test mode, include response details for verification
-    if (config.isTestMode()) {
-      res.status(200).json({
-        message: "Trello event processed successfully",
-        discord_response: discordResponse
-      });
-    } else {
-      res.status(200).send("Trello event processed successfully");
+    // The action is only recorded for the digest once the message is queued, so a
+    // retry after a failure isn't counted twice
+    await digest.recordEvent(destinations, toTrelloDigestEvent(payload));
+    
+    if (!delivery) {
+      res.status(200).send("Trello event recorded for the digest");
+      return;
     }
+    respondWithDelivery(res, delivery, "Trello event");
   } catch (error) {
     console.error("Error processing Trello event:", error);
+    // Let Trello's retry of a failed action through
+    if (deliveryKey) {
+      await idempotency.releaseDelivery(deliveryKey);
+    }
     res.status(500).send("Error processing Trello event");
   }
 }
@@ -64,6 +161,7 @@ function handleTrelloWebhookVerification(req, res) {
 // The registerTrelloWebhook function has been moved to registration.js
 
 module.exports = {
+  getTrelloCallbackUrl,
   handleTrelloEvent,
   handleTrelloWebhookVerification
 };
\ No newline at end of file
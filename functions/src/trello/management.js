@@ -0,0 +1,164 @@
+const axios = require("axios");
+const config = require("../utils/config");
+const registry = require("./registry");
+
+/**
+ * Remove the Trello token before a registration is returned to a caller
+ * @param {Object} registration - Stored registration
+ * @returns {Object} - Registration without its token
+ */
+function toPublicRegistration(registration) {
+  const { token, ...publicRegistration } = registration;
+  return publicRegistration;
+}
+
+/**
+ * Call the Trello webhooks API for a single webhook
+ * @param {string} method - HTTP method
+ * @param {string} webhookId - Trello webhook id
+ * @param {string} token - Trello token that owns the webhook
+ * @param {Object} params - Extra query parameters
+ * @returns {Promise<Object>} - The Trello API response data
+ */
+async function callTrelloWebhookApi(method, webhookId, token, params = {}) {
+  const response = await axios({
+    method,
+    url: `${config.getTrelloApiUrl()}/webhooks/${webhookId}`,
+    params: {
+      key: config.getTrelloApiKey(),
+      token,
+      ...params
+    }
+  });
+  return response.data;
+}
+
+/**
+ * List the registered webhooks owned by a token along with their Trello state
+ * @param {string} token - Trello token
+ * @returns {Promise<Object[]>} - Registrations with the matching Trello webhook
+ */
+async function listWebhooks(token) {
+  const registrations = (await registry.listRegistrations())
+    .filter(registration => registration.token === token);
+
+  return Promise.all(registrations.map(async registration => {
+    try {
+      const webhook = await callTrelloWebhookApi("get", registration.webhookId, token);
+      return { ...toPublicRegistration(registration), webhook };
+    } catch (error) {
+      return {
+        ...toPublicRegistration(registration),
+        webhook: null,
+        error: error.response?.data?.message || error.response?.data || error.message
+      };
+    }
+  }));
+}
+
+/**
+ * Build the Trello update parameters from a request body
+ * @param {Object} body - Request body with active and/or callbackURL
+ * @returns {Object} - Trello query parameters
+ */
+function getUpdateParams(body = {}) {
+  const params = {};
+
+  if (body.active !== undefined) {
+    params.active = body.active === true || body.active === "true";
+  }
+  if (body.callbackURL) {
+    params.callbackURL = body.callbackURL;
+  }
+
+  return params;
+}
+
+/**
+ * Manage registered Trello webhooks
+ * GET lists webhooks (or returns one with ?webhookId=), PUT turns a webhook
+ * on or off and/or changes its callbackURL, DELETE removes it.
+ * Every request needs the Trello ?token= that owns the webhooks.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function manageWebhooks(req, res) {
+  const token = req.query.token;
+  if (!token) {
+    return res.status(400).json({
+      error: "Missing required parameter: token",
+      usage: "Add ?token=YOUR_TRELLO_TOKEN to the URL"
+    });
+  }
+
+  if (!config.getTrelloApiKey()) {
+    return res.status(500).json({
+      error: "Trello API key not configured",
+      message: "The server administrator needs to set up a Trello API key first."
+    });
+  }
+
+  const webhookId = req.query.webhookId;
+  if (req.method !== "GET" && !webhookId) {
+    return res.status(400).json({
+      error: "Missing required parameter: webhookId",
+      usage: "Add ?webhookId=YOUR_WEBHOOK_ID to the URL"
+    });
+  }
+
+  try {
+    switch (req.method) {
+      case "GET": {
+        if (!webhookId) {
+          const webhooks = await listWebhooks(token);
+          return res.status(200).json({ webhooks });
+        }
+
+        const webhook = await callTrelloWebhookApi("get", webhookId, token);
+        const registration = await registry.getRegistration(webhookId);
+        return res.status(200).json({
+          registration: registration ? toPublicRegistration(registration) : null,
+          webhook
+        });
+      }
+
+      case "PUT": {
+        const params = getUpdateParams(req.body);
+        if (Object.keys(params).length === 0) {
+          return res.status(400).json({
+            error: "Nothing to update",
+            usage: "Send a JSON body with active (true/false) and/or callbackURL"
+          });
+        }
+
+        const webhook = await callTrelloWebhookApi("put", webhookId, token, params);
+        if (await registry.getRegistration(webhookId)) {
+          await registry.updateRegistration(webhookId, params);
+        }
+        console.log(`Updated Trello webhook ${webhookId}:`, JSON.stringify(params));
+        return res.status(200).json({ webhook });
+      }
+
+      case "DELETE": {
+        await callTrelloWebhookApi("delete", webhookId, token);
+        await registry.deleteRegistration(webhookId);
+        console.log(`Deleted Trello webhook ${webhookId}`);
+        return res.status(200).json({ deleted: webhookId });
+      }
+
+      default:
+        return res.status(405).send("Method not allowed");
+    }
+  } catch (error) {
+    console.error(`Error managing Trello webhook ${webhookId || ""}:`, error.response?.data || error.message);
+    return res.status(error.response?.status || 500).json({
+      error: "Trello API error",
+      message: error.response?.data?.message || error.response?.data || error.message
+    });
+  }
+}
+
+module.exports = {
+  manageWebhooks
+};
\ No newline at end of file
@@ -1,5 +1,23 @@
 const axios = require("axios");
 const config = require("../utils/config");
+const { getTrelloCallbackUrl } = require("./integration");
+const registry = require("./registry");
+
+/**
+ * Escape text for an HTML page
+ * Board names and ids come from Trello and the query string, so they must not be
+ * able to add markup or scripts to the pages we render.
+ * @param {*} value - Text to show
+ * @returns {string} - HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
 
 /**
  * Register a Trello board for webhook notifications
@@ -50,8 +68,8 @@ async function registerBoard(req, res) {
                 if (tokenMatch && tokenMatch[1]) {
                   // Redirect with token as a query parameter
                   const token = tokenMatch[1];
-                  const boardId = "${boardId}";
-                  window.location.href = "/registerTrelloBoard?boardId=" + boardId + "&token=" + token;
+                  const boardId = ${JSON.stringify(String(boardId)).replace(/</g, "\\u003c")};
+                  window.location.href = "/registerTrelloBoard?boardId=" + encodeURIComponent(boardId) + "&token=" + token;
                 } else {
                   document.body.innerHTML = '<h1>Error</h1><p>No token found in the URL. Please try again.</p>';
                 }
@@ -66,7 +84,7 @@ async function registerBoard(req, res) {
       }
       
       // Generate the auth URL for the initial redirect to Trello
-      const redirectUri = `${req.protocol}://${req.hostname}/registerTrelloBoard?boardId=${boardId}`;
+      const redirectUri = `${req.protocol}://${req.hostname}/registerTrelloBoard?boardId=${encodeURIComponent(boardId)}`;
       const scope = "read,write";
       const expiration = "never";
       const name = "Discord Notifications";
@@ -85,8 +103,7 @@ async function registerBoard(req, res) {
     
     // At this point we have the token from Trello
     // Determine the callback URL for the webhook
-    const baseUrl = `${req.protocol}://${req.hostname}`;
-    const callbackUrl = `${baseUrl}/trelloNotification`;
+    const callbackUrl = getTrelloCallbackUrl(req);
     
     // Description
     const description = `Discord notification webhook (created: ${new Date().toISOString()})`;
@@ -100,6 +117,7 @@ async function registerBoard(req, res) {
       
       // Try to get the board first to validate if it exists and is accessible
       let fullBoardId;
+      let boardName;
       try {
         const boardResponse = await axios.get(
           `${trelloApiUrl}/boards/${boardId}`,
@@ -115,6 +133,7 @@ async function registerBoard(req, res) {
         
         // Use the full ID from the board response instead of the shortlink
         fullBoardId = boardResponse.data.id;
+        boardName = boardResponse.data.name;
         console.log(`Using full board ID for webhook: ${fullBoardId}`);
         
         if (!fullBoardId) {
@@ -147,6 +166,10 @@ async function registerBoard(req, res) {
       
       console.log("Webhook registration successful:", response.data);
       
+      // Keep a record of the webhook so it can be looked up and managed later
+      const registration = await registry.saveRegistration(response.data, boardName, token);
+      console.log(`Saved registration ${registration.id} for board ${registration.boardId}`);
+      
       // Display success page to user
       res.send(`
         <html>
@@ -161,8 +184,10 @@ async function registerBoard(req, res) {
           <body>
             <h1 class="success">Success!</h1>
             <p>Your Trello board has been successfully connected to Discord notifications.</p>
+            <p>Board: <strong>${escapeHtml(registration.boardName)}</strong> (${escapeHtml(registration.boardId)})</p>
+            <p>Registration ID: <code>${escapeHtml(registration.id)}</code></p>
             <h2>Webhook Details:</h2>
-            <pre>${JSON.stringify(response.data, null, 2)}</pre>
+            <pre>${escapeHtml(JSON.stringify(response.data, null, 2))}</pre>
           </body>
         </html>
       `);
@@ -184,17 +209,17 @@ async function registerBoard(req, res) {
           <body>
             <h1 class="error">Error Registering Trello Board</h1>
             <p>There was a problem connecting your Trello board to Discord notifications.</p>
-            <p>Error details: ${trelloError.message}</p>
-            <pre>${JSON.stringify(trelloError.response?.data || {}, null, 2)}</pre>
+            <p>Error details: ${escapeHtml(trelloError.message)}</p>
+            <pre>${escapeHtml(JSON.stringify(trelloError.response?.data || {}, null, 2))}</pre>
             
             <div class="help">
               <h2>Troubleshooting</h2>
               <p>Here are some things to check:</p>
               <ul>
-                <li>Make sure the board ID is correct. You provided: <code>${boardId}</code></li>
+                <li>Make sure the board ID is correct. You provided: <code>${escapeHtml(boardId)}</code></li>
                 <li>The board ID should be the ID from the URL, for example: <code>https://trello.com/b/<strong>abc123</strong>/board-name</code></li>
                 <li>Ensure you have admin access to the board</li>
-                <li>Try authorizing with Trello again by <a href="/registerTrelloBoard?boardId=${boardId}">clicking here</a></li>
+                <li>Try authorizing with Trello again by <a href="/registerTrelloBoard?boardId=${escapeHtml(encodeURIComponent(boardId))}">clicking here</a></li>
               </ul>
             </div>
           </body>
@@ -0,0 +1,87 @@
+const store = require("../utils/store");
+
+// Firestore collection holding one document per registered Trello webhook
+const REGISTRATIONS_COLLECTION = "trelloRegistrations";
+
+/**
+ * Save a Trello board registration
+ * @param {Object} webhook - Webhook returned by the Trello API
+ * @param {string} boardName - Board name
+ * @param {string} token - Trello token the webhook was created with
+ * @returns {Promise<Object>} - The stored registration
+ */
+async function saveRegistration(webhook, boardName, token) {
+  const registration = {
+    webhookId: webhook.id,
+    boardId: webhook.idModel,
+    boardName: boardName || "",
+    token,
+    callbackURL: webhook.callbackURL,
+    description: webhook.description || "",
+    active: webhook.active !== false,
+    createdAt: new Date().toISOString()
+  };
+
+  await store.setDocument(REGISTRATIONS_COLLECTION, webhook.id, registration);
+  return { id: webhook.id, ...registration };
+}
+
+/**
+ * Get a registration by Trello webhook id
+ * @param {string} webhookId - Trello webhook id
+ * @returns {Promise<Object|null>} - The registration or null if not registered
+ */
+async function getRegistration(webhookId) {
+  return store.getDocument(REGISTRATIONS_COLLECTION, webhookId);
+}
+
+/**
+ * Find the registrations for a board
+ * @param {string} boardId - Full Trello board id
+ * @returns {Promise<Object[]>} - Registrations for the board
+ */
+async function findRegistrationsByBoard(boardId) {
+  if (!boardId) {
+    return [];
+  }
+  return store.queryDocuments(REGISTRATIONS_COLLECTION, { boardId });
+}
+
+/**
+ * List all registrations
+ * @returns {Promise<Object[]>} - All registrations
+ */
+async function listRegistrations() {
+  return store.queryDocuments(REGISTRATIONS_COLLECTION);
+}
+
+/**
+ * Update fields on a registration
+ * @param {string} webhookId - Trello webhook id
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<void>}
+ */
+async function updateRegistration(webhookId, changes) {
+  await store.setDocument(REGISTRATIONS_COLLECTION, webhookId, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+}
+
+/**
+ * Delete a registration
+ * @param {string} webhookId - Trello webhook id
+ * @returns {Promise<void>}
+ */
+async function deleteRegistration(webhookId) {
+  await store.deleteDocument(REGISTRATIONS_COLLECTION, webhookId);
+}
+
+module.exports = {
+  saveRegistration,
+  getRegistration,
+  findRegistrationsByBoard,
+  listRegistrations,
+  updateRegistration,
+  deleteRegistration
+};
\ No newline at end of file
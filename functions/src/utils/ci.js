@@ -0,0 +1,91 @@
+const store = require("../utils/store");
+
+// Firestore collection holding the last conclusion of each workflow, check or pipeline per branch
+const CI_STATUS_COLLECTION = "ciStatus";
+
+// Conclusions that count as a failing build
+const FAILING_CONCLUSIONS = ["failure", "error", "timed_out", "startup_failure"];
+
+/**
+ * Determines if a CI conclusion is a failure
+ * @param {string} conclusion - CI conclusion
+ * @returns {boolean} True if the run failed
+ */
+function isFailure(conclusion) {
+  return FAILING_CONCLUSIONS.includes(conclusion);
+}
+
+/**
+ * Get the id of the document holding the last conclusion of a CI run
+ * @param {string} repository - GitHub repository full name or GitLab project path
+ * @param {Object} run - CI run from getCiRun or getGitLabPipeline
+ * @returns {string} - Document id for the run and branch
+ */
+function getConclusionId(repository, run) {
+  return encodeURIComponent(`${repository}:${run.kind}:${run.name}:${run.branch || ""}`);
+}
+
+/**
+ * Get the conclusion recorded for the previous run of a CI run
+ * @param {string} repository - GitHub repository full name or GitLab project path
+ * @param {Object} run - CI run from getCiRun or getGitLabPipeline
+ * @returns {Promise<string|null>} - The previous conclusion for the same run and branch
+ */
+async function getPreviousConclusion(repository, run) {
+  const previous = await store.getDocument(CI_STATUS_COLLECTION, getConclusionId(repository, run));
+  return previous ? previous.conclusion : null;
+}
+
+/**
+ * Record the conclusion of a completed CI run
+ * Only passing and failing runs are recorded, so a cancelled run between a
+ * failure and a fix doesn't hide the recovery. Record a run only once its
+ * message is queued: a webhook that fails before that is redelivered, and the
+ * redelivery must still see the conclusion before it.
+ * @param {string} repository - GitHub repository full name or GitLab project path
+ * @param {Object} run - CI run from getCiRun or getGitLabPipeline
+ * @returns {Promise<void>}
+ */
+async function recordConclusion(repository, run) {
+  if (run.conclusion !== "success" && !isFailure(run.conclusion)) {
+    return;
+  }
+
+  await store.setDocument(CI_STATUS_COLLECTION, getConclusionId(repository, run), {
+    repository,
+    kind: run.kind,
+    name: run.name,
+    branch: run.branch || "",
+    conclusion: run.conclusion,
+    sha: run.sha || "",
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Determines if a completed CI run should be posted to a destination
+ * @param {Object} run - CI run from getCiRun or getGitLabPipeline
+ * @param {string|null} previousConclusion - Conclusion of the previous run
+ * @param {string} mode - Comma separated list of "all", "failures" and/or "recoveries"
+ * @returns {boolean} True if the run should be posted
+ */
+function shouldNotify(run, previousConclusion, mode = "all") {
+  const modes = mode.split(",").map(value => value.trim());
+
+  if (modes.includes("all")) {
+    return true;
+  }
+  if (modes.includes("failures") && isFailure(run.conclusion)) {
+    return true;
+  }
+  if (modes.includes("recoveries") && run.conclusion === "success" && isFailure(previousConclusion)) {
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  getPreviousConclusion,
+  recordConclusion,
+  shouldNotify
+};
\ No newline at end of file
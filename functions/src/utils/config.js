@@ -3,10 +3,25 @@ const { defineString } = require("firebase-functions/params");
 // Define Firebase config parameters
 const FIREBASE_PARAMS = {
   DISCORD_WEBHOOK_URL: defineString("DISCORD_WEBHOOK_URL"),
+  DISCORD_ROUTES: defineString("DISCORD_ROUTES", { default: "{}" }),
   GITHUB_SECRET: defineString("GITHUB_SECRET", { default: "" }),
+  GITLAB_SECRET: defineString("GITLAB_SECRET", { default: "" }),
   TRELLO_API_KEY: defineString("TRELLO_API_KEY", { default: "" }),
   TRELLO_SECRET: defineString("TRELLO_SECRET", { default: "" }),
-  TRELLO_API_URL: defineString("TRELLO_API_URL", { default: "https://api.trello.com/1" })
+  JIRA_SECRET: defineString("JIRA_SECRET", { default: "" }),
+  JIRA_CLIENT_KEY: defineString("JIRA_CLIENT_KEY", { default: "" }),
+  JIRA_APP_BASE_URL: defineString("JIRA_APP_BASE_URL", { default: "" }),
+  TRELLO_API_URL: defineString("TRELLO_API_URL", { default: "https://api.trello.com/1" }),
+  DISCORD_QUEUE_MAX_ATTEMPTS: defineString("DISCORD_QUEUE_MAX_ATTEMPTS", { default: "5" }),
+  ADMIN_API_KEY: defineString("ADMIN_API_KEY", { default: "" }),
+  DELIVERY_DEDUP_TTL_HOURS: defineString("DELIVERY_DEDUP_TTL_HOURS", { default: "24" }),
+  GITHUB_CI_NOTIFY: defineString("GITHUB_CI_NOTIFY", { default: "all" }),
+  GITLAB_CI_NOTIFY: defineString("GITLAB_CI_NOTIFY", { default: "all" }),
+  GITHUB_FILTERS: defineString("GITHUB_FILTERS", { default: "{}" }),
+  TRELLO_FILTERS: defineString("TRELLO_FILTERS", { default: "{}" }),
+  MESSAGE_TEMPLATES: defineString("MESSAGE_TEMPLATES", { default: "{}" }),
+  DISCORD_MENTIONS: defineString("DISCORD_MENTIONS", { default: "{}" }),
+  GENERIC_SOURCES: defineString("GENERIC_SOURCES", { default: "{}" })
 };
 
 /**
@@ -27,6 +42,26 @@ function getDiscordWebhookUrl() {
     : FIREBASE_PARAMS.DISCORD_WEBHOOK_URL.value();
 }
 
+/**
+ * Gets the Discord routing table
+ * Maps GitHub repository full names, GitLab project paths, Trello board ids, Jira project keys and
+ * generic source names to Discord webhook URLs:
+ * { "github": { "owner/repo": [url, ...] }, "gitlab": { "group/project": url }, "trello": { "boardId": url },
+ *   "jira": { "PROJ": url }, "generic": { "deploys": url }, "default": [url] }
+ * @returns {Object} The parsed routing table
+ */
+function getDiscordRoutes() {
+  const routes = isTestMode()
+    ? process.env.DISCORD_ROUTES_TEST || '{}'
+    : FIREBASE_PARAMS.DISCORD_ROUTES.value();
+
+  try {
+    return JSON.parse(routes || '{}');
+  } catch (error) {
+    throw new Error(`DISCORD_ROUTES is not valid JSON: ${error.message}`);
+  }
+}
+
 /**
  * Gets the GitHub secret
  * @returns {string} The GitHub secret (or Firebase param object in production)
@@ -37,6 +72,29 @@ function getGithubSecret() {
     : FIREBASE_PARAMS.GITHUB_SECRET.value();
 }
 
+/**
+ * Gets the active GitHub webhook secrets
+ * GITHUB_SECRET can list several comma separated secrets, so a new one can be
+ * added before the old one is removed from GitHub
+ * @returns {string[]} The active secrets (empty if signatures aren't checked)
+ */
+function getGithubSecrets() {
+  return (getGithubSecret() || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Gets the GitLab webhook secret token
+ * @returns {string} The secret token GitLab sends in the X-Gitlab-Token header
+ */
+function getGitlabSecret() {
+  return isTestMode()
+    ? process.env.GITLAB_SECRET_TEST || ''
+    : FIREBASE_PARAMS.GITLAB_SECRET.value();
+}
+
 /**
  * Gets the Trello API key
  * @returns {string} The Trello API key (or Firebase param object in production)
@@ -59,6 +117,36 @@ function getTrelloSecret() {
     : FIREBASE_PARAMS.TRELLO_SECRET.value();
 }
 
+/**
+ * Gets the Jira webhook secret
+ * @returns {string} The shared secret Jira webhooks are signed with, or the Connect app's JWT secret
+ */
+function getJiraSecret() {
+  return isTestMode()
+    ? process.env.JIRA_SECRET_TEST || ''
+    : FIREBASE_PARAMS.JIRA_SECRET.value();
+}
+
+/**
+ * Gets the client key of the Jira Connect app installation
+ * @returns {string} The clientKey Connect app JWTs must be issued by, or "" to accept any issuer
+ */
+function getJiraClientKey() {
+  return isTestMode()
+    ? process.env.JIRA_CLIENT_KEY_TEST || ''
+    : FIREBASE_PARAMS.JIRA_CLIENT_KEY.value();
+}
+
+/**
+ * Gets the base URL of the Jira Connect app
+ * @returns {string} The baseUrl from the app's descriptor, or "" if it is the URL the functions are served at
+ */
+function getJiraAppBaseUrl() {
+  return isTestMode()
+    ? process.env.JIRA_APP_BASE_URL_TEST || ''
+    : FIREBASE_PARAMS.JIRA_APP_BASE_URL.value();
+}
+
 /**
  * Gets the Trello API URL
  * @returns {string} The Trello API URL
@@ -69,6 +157,137 @@ function getTrelloApiUrl() {
     : FIREBASE_PARAMS.TRELLO_API_URL.value();
 }
 
+/**
+ * Gets how many times a queued Discord message is attempted before it is dead-lettered
+ * @returns {number} Maximum delivery attempts
+ */
+function getQueueMaxAttempts() {
+  const maxAttempts = isTestMode()
+    ? process.env.DISCORD_QUEUE_MAX_ATTEMPTS_TEST || '5'
+    : FIREBASE_PARAMS.DISCORD_QUEUE_MAX_ATTEMPTS.value();
+
+  return parseInt(maxAttempts, 10) || 5;
+}
+
+/**
+ * Gets the API key for admin endpoints
+ * @returns {string} The admin API key (empty if admin endpoints are disabled)
+ */
+function getAdminApiKey() {
+  return isTestMode()
+    ? process.env.ADMIN_API_KEY_TEST || ''
+    : FIREBASE_PARAMS.ADMIN_API_KEY.value();
+}
+
+/**
+ * Gets how long delivery ids are remembered to drop redelivered webhooks
+ * @returns {number} Hours a delivery id is kept
+ */
+function getDeliveryDedupTtlHours() {
+  const hours = isTestMode()
+    ? process.env.DELIVERY_DEDUP_TTL_HOURS_TEST || '24'
+    : FIREBASE_PARAMS.DELIVERY_DEDUP_TTL_HOURS.value();
+
+  return parseFloat(hours) || 24;
+}
+
+/**
+ * Gets which GitHub CI results are posted when a route doesn't set its own ciNotify
+ * @returns {string} Comma separated list of "all", "failures" and/or "recoveries"
+ */
+function getGithubCiNotify() {
+  return isTestMode()
+    ? process.env.GITHUB_CI_NOTIFY_TEST || 'all'
+    : FIREBASE_PARAMS.GITHUB_CI_NOTIFY.value();
+}
+
+/**
+ * Gets which GitLab pipeline results are posted when a route doesn't set its own ciNotify
+ * @returns {string} Comma separated list of "all", "failures" and/or "recoveries"
+ */
+function getGitlabCiNotify() {
+  return isTestMode()
+    ? process.env.GITLAB_CI_NOTIFY_TEST || 'all'
+    : FIREBASE_PARAMS.GITLAB_CI_NOTIFY.value();
+}
+
+/**
+ * Gets the GitHub event filter rules
+ * Maps repository full names to ordered rule lists, with an optional "default" list:
+ * { "owner/repo": [{ "effect": "allow", "event": "push", "branch": ["main", "release/*"] }, ...] }
+ * @returns {Object} The parsed filter rules
+ */
+function getGithubFilters() {
+  const filters = isTestMode()
+    ? process.env.GITHUB_FILTERS_TEST || '{}'
+    : FIREBASE_PARAMS.GITHUB_FILTERS.value();
+
+  try {
+    return JSON.parse(filters || '{}');
+  } catch (error) {
+    throw new Error(`GITHUB_FILTERS is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the Trello action filters
+ * Maps Trello board ids to filters, with an optional "default" entry:
+ * { "boardId": { "actionTypes": { "deny": [...] }, "lists": { "allow": ["Done"] }, "labels": {...}, "members": {...} } }
+ * @returns {Object} The parsed filters
+ */
+function getTrelloFilters() {
+  const filters = isTestMode()
+    ? process.env.TRELLO_FILTERS_TEST || '{}'
+    : FIREBASE_PARAMS.TRELLO_FILTERS.value();
+
+  try {
+    return JSON.parse(filters || '{}');
+  } catch (error) {
+    throw new Error(`TRELLO_FILTERS is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the message templates as a JSON string
+ * Parsed and validated by src/utils/templates.js
+ * @returns {string} The message templates JSON
+ */
+function getMessageTemplates() {
+  return isTestMode()
+    ? process.env.MESSAGE_TEMPLATES_TEST || '{}'
+    : FIREBASE_PARAMS.MESSAGE_TEMPLATES.value();
+}
+
+/**
+ * Gets the map from GitHub logins, Trello members and Jira account ids to Discord users and roles
+ * { "github": { "login": "discordUserId", "team:slug": { "role": "roleId" } }, "trello": { "memberIdOrUsername": "discordUserId" }, "jira": { "accountId": "discordUserId" } }
+ * @returns {Object} The parsed identity map
+ */
+function getDiscordMentions() {
+  const mentions = isTestMode()
+    ? process.env.DISCORD_MENTIONS_TEST || '{}'
+    : FIREBASE_PARAMS.DISCORD_MENTIONS.value();
+
+  try {
+    return JSON.parse(mentions || '{}');
+  } catch (error) {
+    throw new Error(`DISCORD_MENTIONS is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the sources the generic webhook endpoint accepts as a JSON string
+ * Maps source names to their HMAC secret and how their payloads become embeds:
+ * { "deploys": { "secret": "...", "template": {...} }, "cron": { "secret": "...", "fieldMap": {...} } }
+ * Parsed and validated by src/generic/mapping.js
+ * @returns {string} The generic sources JSON
+ */
+function getGenericSources() {
+  return isTestMode()
+    ? process.env.GENERIC_SOURCES_TEST || '{}'
+    : FIREBASE_PARAMS.GENERIC_SOURCES.value();
+}
+
 /**
  * Generic config value getter
  * @param {string} name - Config name matching both env var and Firebase param
@@ -84,9 +303,25 @@ function getConfig(name, defaultValue = '') {
 module.exports = {
   isTestMode,
   getDiscordWebhookUrl,
+  getDiscordRoutes,
   getGithubSecret,
+  getGithubSecrets,
+  getGitlabSecret,
   getTrelloApiKey,
   getTrelloSecret,
   getTrelloApiUrl,
+  getJiraSecret,
+  getJiraClientKey,
+  getJiraAppBaseUrl,
+  getQueueMaxAttempts,
+  getAdminApiKey,
+  getDeliveryDedupTtlHours,
+  getGithubCiNotify,
+  getGitlabCiNotify,
+  getGithubFilters,
+  getTrelloFilters,
+  getMessageTemplates,
+  getDiscordMentions,
+  getGenericSources,
   getConfig
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+const config = require("./config");
+
+/**
+ * Compare a received secret, token or signature with the expected one in constant time
+ * Missing values never match.
+ * @param {string} received - Value from the request
+ * @param {string} expected - Value we computed or configured
+ * @returns {boolean} - True if they are equal
+ */
+function safeEqual(received, expected) {
+  if (typeof received !== "string" || typeof expected !== "string") {
+    return false;
+  }
+
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(expected);
+
+  // timingSafeEqual throws on buffers of different length
+  return receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Get the exact request body a webhook signature was computed over
+ * Re-serializing the parsed body doesn't give back the bytes that were signed,
+ * so outside test mode a request without its raw body can't be verified.
+ * @param {Object} req - Request object
+ * @returns {Buffer|null} - The raw body, or null if it isn't available
+ */
+function getSignedBody(req) {
+  if (req.rawBody) {
+    return req.rawBody;
+  }
+  return config.isTestMode() ? Buffer.from(JSON.stringify(req.body)) : null;
+}
+
+module.exports = {
+  safeEqual,
+  getSignedBody
+};
\ No newline at end of file
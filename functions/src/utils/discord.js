@@ -1,40 +1,710 @@
 const axios = require("axios");
 const config = require("./config");
+const { resolveMentions, formatMentions, getAllowedMentions } = require("./mentions");
+
+// Delivery retry settings
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Rate limit state per webhook, taken from Discord's X-RateLimit-* headers
+const rateLimits = new Map();
+
+// Discord webhook message limits
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_MESSAGE_EMBED_CHARACTERS = 6000;
+
+// Discord limits for a single embed
+const EMBED_LIMITS = {
+  title: 256,
+  description: 4096,
+  fieldName: 256,
+  fieldValue: 1024,
+  fields: 25,
+  footerText: 2048,
+  authorName: 256,
+  total: 6000
+};
+
+// Description length kept when an embed has to shrink to fit in 6000 characters;
+// trailing fields are dropped before the description is cut below it
+const MIN_DESCRIPTION_LENGTH = 1024;
+
+// Discord limit for thread and forum post names
+const MAX_THREAD_NAME_LENGTH = 100;
+
+// Appended to truncated text
+const ELLIPSIS = "...";
+
+// Markdown markers that must be closed when text is cut between them
+const MARKDOWN_MARKERS = ["**", "__", "~~", "||"];
+
+// Splits text into user-perceived characters so emoji and accents aren't cut in half
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
 
 /**
- * Send a message to a Discord webhook
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the exponential backoff delay for a retry, with jitter
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+  const baseDelay = config.isTestMode() ? 10 : BASE_RETRY_DELAY_MS;
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+
+  // Spread retries between half and the full delay
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Get how long Discord asked us to wait after a 429 response
+ * @param {Object} response - Axios error response
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryAfterDelay(response) {
+  const headers = response.headers || {};
+  const retryAfter = response.data?.retry_after ??
+    headers["x-ratelimit-reset-after"] ??
+    headers["retry-after"];
+
+  const seconds = parseFloat(retryAfter);
+  return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : BASE_RETRY_DELAY_MS;
+}
+
+/**
+ * Get the rate limit bucket a webhook request counts against
+ * Query parameters like wait and thread_id don't change the bucket
+ * @param {string} webhookUrl - Webhook URL
+ * @returns {string} Webhook URL without its query string
+ */
+function getRateLimitKey(webhookUrl) {
+  return webhookUrl.split("?")[0];
+}
+
+/**
+ * Remember when a webhook's rate limit bucket resets if it has been used up
  * @param {string} webhookUrl - Discord webhook URL
- * @param {Object} embed - Discord embed object
+ * @param {Object} headers - Response headers
+ */
+function updateRateLimit(webhookUrl, headers = {}) {
+  const resetAfter = parseFloat(headers["x-ratelimit-reset-after"]);
+  const key = getRateLimitKey(webhookUrl);
+
+  if (headers["x-ratelimit-remaining"] === "0" && Number.isFinite(resetAfter)) {
+    rateLimits.set(key, Date.now() + Math.ceil(resetAfter * 1000));
+  } else {
+    rateLimits.delete(key);
+  }
+}
+
+/**
+ * Wait until a webhook's rate limit bucket has reset
+ * @param {string} webhookUrl - Discord webhook URL
+ * @returns {Promise<void>}
+ */
+async function waitForRateLimit(webhookUrl) {
+  const resetAt = rateLimits.get(getRateLimitKey(webhookUrl));
+  if (resetAt && resetAt > Date.now()) {
+    await sleep(resetAt - Date.now());
+  }
+}
+
+/**
+ * Determines if a failed request is worth retrying
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for rate limits, server errors and network failures
+ */
+function isRetryable(error) {
+  if (!error.response) {
+    return true;
+  }
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Send a payload to a webhook, retrying rate limits and transient failures
+ * @param {string} method - HTTP method, "post" or "patch"
+ * @param {string} webhookUrl - Webhook URL
+ * @param {Object} payload - Webhook payload
+ * @param {string} service - Service name for error messages
  * @returns {Promise<Object>} - The response from the webhook
  */
-async function sendDiscordMessage(webhookUrl, embed) {
-  try {
-    // Minimal logging in test mode
-    if (config.isTestMode()) {
-      console.log(`TEST MODE - Sending to webhook URL: ${webhookUrl}`);
+async function requestWithRetry(method, webhookUrl, payload, service = "Discord") {
+  for (let attempt = 1; ; attempt++) {
+    await waitForRateLimit(webhookUrl);
+
+    try {
+      const response = await axios.request({ method, url: webhookUrl, data: payload });
+      updateRateLimit(webhookUrl, response.headers);
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        updateRateLimit(webhookUrl, error.response.headers);
+      }
+
+      const status = error.response ? error.response.status : error.code;
+      if (!isRetryable(error) || attempt >= MAX_ATTEMPTS) {
+        error.message = `${service} delivery failed after ${attempt} attempt(s) (${status}): ${error.message}`;
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = error.response?.status === 429
+        ? getRetryAfterDelay(error.response)
+        : getBackoffDelay(attempt);
+
+      // Don't hold the function open for longer than Discord's limits allow for
+      if (delay > MAX_RETRY_DELAY_MS) {
+        error.message = `${service} rate limit of ${delay}ms exceeds the retry limit: ${error.message}`;
+        error.attempts = attempt;
+        throw error;
+      }
+
+      console.warn(`${service} webhook returned ${status}, retrying in ${delay}ms (attempt ${attempt}/${MAX_ATTEMPTS})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Post a payload to a webhook, retrying rate limits and transient failures
+ * Used for Discord and for the other chat outputs in src/outputs
+ * @param {string} webhookUrl - Webhook URL
+ * @param {Object} payload - Webhook payload
+ * @param {string} service - Service name for error messages
+ * @returns {Promise<Object>} - The response from the webhook
+ */
+async function postWithRetry(webhookUrl, payload, service = "Discord") {
+  return requestWithRetry("post", webhookUrl, payload, service);
+}
+
+/**
+ * Count the characters of an embed that Discord adds up against the message limit
+ * @param {Object} embed - Discord embed object
+ * @returns {number} Characters in the title, description, fields, footer and author name
+ */
+function getEmbedLength(embed) {
+  const fields = embed.fields || [];
+  return (embed.title || "").length +
+    (embed.description || "").length +
+    fields.reduce((total, field) => total + (field.name || "").length + (field.value || "").length, 0) +
+    (embed.footer?.text || "").length +
+    (embed.author?.name || "").length;
+}
+
+/**
+ * Split items into batches that fit in a single Discord message:
+ * at most 10 embeds and 6000 embed characters per message
+ * @param {Array} items - Embeds, or items that carry an embed
+ * @param {Function} getEmbed - Gets the embed of an item
+ * @returns {Array[]} Batches of items, in their original order
+ */
+function batchEmbeds(items, getEmbed = item => item) {
+  const batches = [];
+  let batch = [];
+  let batchLength = 0;
+
+  items.forEach(item => {
+    const length = getEmbedLength(getEmbed(item));
+    const isFull = batch.length >= MAX_EMBEDS_PER_MESSAGE ||
+      batchLength + length > MAX_MESSAGE_EMBED_CHARACTERS;
+
+    if (batch.length > 0 && isFull) {
+      batches.push(batch);
+      batch = [];
+      batchLength = 0;
     }
-    
-    // Always send the request and return the response
-    const payload = { embeds: [embed] };
-    const response = await axios.post(webhookUrl, payload);
-    return response.data;
+
+    batch.push(item);
+    batchLength += length;
+  });
+
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * Get the markdown needed to close the code blocks, inline code and markers left open in text
+ * @param {string} text - Markdown text
+ * @returns {string} - Closing markdown, e.g. "**" or "\n```"
+ */
+function getMarkdownClosers(text) {
+  let inFence = false;
+  let inCode = false;
+  const open = [];
+
+  for (let i = 0; i < text.length; i++) {
+    if (text.startsWith("```", i)) {
+      inFence = !inFence;
+      i += 2;
+    } else if (inFence) {
+      continue;
+    } else if (text[i] === "`") {
+      inCode = !inCode;
+    } else if (!inCode) {
+      const marker = MARKDOWN_MARKERS.find(candidate => text.startsWith(candidate, i));
+      if (marker) {
+        if (open[open.length - 1] === marker) {
+          open.pop();
+        } else {
+          open.push(marker);
+        }
+        i += marker.length - 1;
+      }
+    }
+  }
+
+  if (inFence) {
+    return "\n```";
+  }
+  return (inCode ? "`" : "") + open.reverse().join("");
+}
+
+/**
+ * Remove a link or URL that was cut in half from the end of truncated text
+ * @param {string} cut - Start of the text
+ * @param {string} rest - The part of the text that was cut off
+ * @returns {string} - Text without the partial link
+ */
+function removePartialLink(cut, rest) {
+  // A markdown link whose text or URL is unfinished: "[title" or "[title](https://exa"
+  const partialLink = cut.match(/\[[^\]]*(\]\([^)]*)?$/);
+  if (partialLink) {
+    return cut.substring(0, partialLink.index);
+  }
+
+  // A bare URL that continues past the cut
+  const partialUrl = cut.match(/https?:\/\/\S*$/);
+  if (partialUrl && /^\S/.test(rest)) {
+    return cut.substring(0, partialUrl.index);
+  }
+  return cut;
+}
+
+/**
+ * Truncate text to a Discord limit
+ * Cuts between user-perceived characters, drops links that would be cut in half
+ * and closes markdown left open, then adds "..."
+ * @param {string} text - Text to truncate
+ * @param {number} limit - Maximum length
+ * @returns {string} - Text of at most limit characters
+ */
+function truncateText(text, limit) {
+  if (typeof text !== "string" || text.length <= limit) {
+    return text;
+  }
+  if (limit < ELLIPSIS.length) {
+    return "";
+  }
+
+  const segments = Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment);
+  let budget = limit - ELLIPSIS.length;
+
+  while (budget >= 0) {
+    let cut = "";
+    for (const segment of segments) {
+      if (cut.length + segment.length > budget) {
+        break;
+      }
+      cut += segment;
+    }
+
+    cut = removePartialLink(cut, text.substring(cut.length));
+    const closers = getMarkdownClosers(cut);
+    const truncated = cut + ELLIPSIS + closers;
+    if (truncated.length <= limit) {
+      return truncated;
+    }
+    budget -= truncated.length - limit;
+  }
+
+  return ELLIPSIS;
+}
+
+/**
+ * Check an embed against Discord's limits
+ * @param {Object} embed - Discord embed object
+ * @returns {string[]} - A description of each limit the embed goes over
+ */
+function validateEmbed(embed) {
+  const errors = [];
+  const check = (name, value, limit) => {
+    if (value && value.length > limit) {
+      errors.push(`${name} is ${value.length} characters (limit ${limit})`);
+    }
+  };
+
+  check("title", embed.title, EMBED_LIMITS.title);
+  check("description", embed.description, EMBED_LIMITS.description);
+  check("footer.text", embed.footer?.text, EMBED_LIMITS.footerText);
+  check("author.name", embed.author?.name, EMBED_LIMITS.authorName);
+
+  const fields = embed.fields || [];
+  if (fields.length > EMBED_LIMITS.fields) {
+    errors.push(`embed has ${fields.length} fields (limit ${EMBED_LIMITS.fields})`);
+  }
+  fields.forEach((field, index) => {
+    check(`fields[${index}].name`, field.name, EMBED_LIMITS.fieldName);
+    check(`fields[${index}].value`, field.value, EMBED_LIMITS.fieldValue);
+  });
+
+  const length = getEmbedLength(embed);
+  if (length > EMBED_LIMITS.total) {
+    errors.push(`embed is ${length} characters (limit ${EMBED_LIMITS.total})`);
+  }
+  return errors;
+}
+
+/**
+ * Build an embed that fits Discord's limits
+ * Truncates each part to its limit and keeps the first 25 fields. If the embed is
+ * still over 6000 characters, the description is shortened to 1024 characters,
+ * then trailing fields are dropped, and only then is the description cut further.
+ * @param {Object} embed - Discord embed object
+ * @returns {Object} - A copy of the embed within every limit
+ */
+function buildEmbed(embed) {
+  const built = { ...embed };
+
+  if (built.title) {
+    built.title = truncateText(built.title, EMBED_LIMITS.title);
+  }
+  if (built.description) {
+    built.description = truncateText(built.description, EMBED_LIMITS.description);
+  }
+  if (built.footer?.text) {
+    built.footer = { ...built.footer, text: truncateText(built.footer.text, EMBED_LIMITS.footerText) };
+  }
+  if (built.author?.name) {
+    built.author = { ...built.author, name: truncateText(built.author.name, EMBED_LIMITS.authorName) };
+  }
+  if (built.fields) {
+    built.fields = built.fields.slice(0, EMBED_LIMITS.fields).map(field => ({
+      ...field,
+      name: truncateText(field.name, EMBED_LIMITS.fieldName),
+      value: truncateText(field.value, EMBED_LIMITS.fieldValue)
+    }));
+  }
+
+  const shortenDescription = minimum => {
+    if (excess > 0 && built.description && built.description.length > minimum) {
+      built.description = truncateText(built.description, Math.max(built.description.length - excess, minimum));
+      excess = getEmbedLength(built) - EMBED_LIMITS.total;
+    }
+  };
+
+  let excess = getEmbedLength(built) - EMBED_LIMITS.total;
+  shortenDescription(MIN_DESCRIPTION_LENGTH);
+  while (excess > 0 && built.fields && built.fields.length > 0) {
+    built.fields = built.fields.slice(0, -1);
+    excess = getEmbedLength(built) - EMBED_LIMITS.total;
+  }
+  shortenDescription(0);
+  if (excess > 0 && built.title) {
+    built.title = truncateText(built.title, Math.max(built.title.length - excess, 0));
+  }
+
+  return built;
+}
+
+/**
+ * Build the payload of a Discord webhook message
+ * Only the given mentions can ping; names in the embeds never do. Embeds that
+ * didn't go through buildEmbed and are over Discord's limits are logged and
+ * fitted, so Discord doesn't reject the whole message.
+ * @param {Object|Object[]} embed - Discord embed object, or a batch from batchEmbeds
+ * @param {Object[]} mentions - Discord users and roles to ping ({ type, id })
+ * @returns {Object} - Webhook message payload
+ */
+function buildMessagePayload(embed, mentions = []) {
+  const embeds = (Array.isArray(embed) ? embed : [embed]).map(item => {
+    const errors = validateEmbed(item);
+    if (errors.length === 0) {
+      return item;
+    }
+    console.warn(`Embed is over Discord's limits, fitting it before sending: ${errors.join("; ")}`);
+    return buildEmbed(item);
+  });
+
+  const payload = {
+    embeds,
+    allowed_mentions: getAllowedMentions(mentions)
+  };
+  if (mentions.length > 0) {
+    payload.content = formatMentions(mentions);
+  }
+  return payload;
+}
+
+/**
+ * Send a message to a Discord webhook
+ * Honors Discord rate limits and retries server errors with exponential backoff.
+ * Posts with ?wait=true, so Discord answers with the created message and its id.
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {Object|Object[]} embed - Discord embed object, or a batch from batchEmbeds
+ * @param {Object[]} mentions - Discord users and roles to ping ({ type, id })
+ * @param {Object} options - Options
+ * @param {string} options.threadName - Start a forum post with this name; its id is the channel_id of the response
+ * @param {string} options.threadId - Post into this thread
+ * @returns {Promise<Object>} - The message Discord created
+ */
+async function sendDiscordMessage(webhookUrl, embed, mentions = [], { threadName, threadId } = {}) {
+  // Minimal logging in test mode
+  if (config.isTestMode()) {
+    console.log(`TEST MODE - Sending to webhook URL: ${webhookUrl}`);
+  }
+
+  const url = new URL(webhookUrl);
+  url.searchParams.set("wait", "true");
+  if (threadId) {
+    url.searchParams.set("thread_id", threadId);
+  }
+
+  const payload = buildMessagePayload(embed, mentions);
+  if (threadName) {
+    payload.thread_name = truncateText(threadName, MAX_THREAD_NAME_LENGTH);
+  }
+
+  try {
+    return await postWithRetry(url.toString(), payload);
+  } catch (error) {
+    console.error("Error sending Discord message:", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Replace the embeds of a message sent through a Discord webhook
+ * Keeps the thread_id of webhook URLs that post into a thread.
+ * @param {string} webhookUrl - Discord webhook URL the message was sent with
+ * @param {string} messageId - Id of the message to edit
+ * @param {Object|Object[]} embed - Discord embed object, or several
+ * @param {Object[]} mentions - Discord users and roles allowed to ping
+ * @returns {Promise<Object>} - The edited message
+ */
+async function editDiscordMessage(webhookUrl, messageId, embed, mentions = []) {
+  if (config.isTestMode()) {
+    console.log(`TEST MODE - Editing message ${messageId} of webhook URL: ${webhookUrl}`);
+  }
+
+  const url = new URL(webhookUrl);
+  url.pathname = `${url.pathname.replace(/\/$/, "")}/messages/${encodeURIComponent(messageId)}`;
+
+  // Clear the mentions of the previous version when this one has none
+  const payload = { content: "", ...buildMessagePayload(embed, mentions) };
+
+  try {
+    return await requestWithRetry("patch", url.toString(), payload);
   } catch (error) {
-    if (config.isTestMode()) {
-      console.error(`Error sending Discord message to ${webhookUrl}:`, error.message);
-      // In test mode, provide a mock response if the request fails
+    console.error("Error editing Discord message:", error.message);
+    throw error;
+  }
+}
+
+// Labels and embed colors for pull request review verdicts
+const REVIEW_VERDICTS = {
+  approved: { label: "Approved", verb: "approved", color: 0x2EA44F }, // Green
+  changes_requested: { label: "Changes requested", verb: "requested changes on", color: 0xCB2431 }, // Red
+  commented: { label: "Commented", verb: "reviewed", color: 0x6A737D }, // Gray
+  dismissed: { label: "Dismissed", verb: "had a review dismissed on", color: 0x6A737D } // Gray
+};
+
+// Labels and embed colors for CI conclusions
+const CI_CONCLUSIONS = {
+  success: { label: "passed", color: 0x2EA44F }, // Green
+  failure: { label: "failed", color: 0xCB2431 }, // Red
+  error: { label: "errored", color: 0xCB2431 }, // Red
+  timed_out: { label: "timed out", color: 0xCB2431 }, // Red
+  startup_failure: { label: "failed to start", color: 0xCB2431 }, // Red
+  action_required: { label: "needs action", color: 0xE99455 }, // Orange
+  cancelled: { label: "was cancelled", color: 0x6A737D }, // Gray
+  skipped: { label: "was skipped", color: 0x6A737D }, // Gray
+  neutral: { label: "finished", color: 0x6A737D }, // Gray
+  stale: { label: "went stale", color: 0x6A737D } // Gray
+};
+
+/**
+ * Get the CI run described by a workflow_run, check_suite, check_run or status event
+ * @param {Object} payload - GitHub webhook payload
+ * @param {string} eventType - GitHub event type
+ * @returns {Object|null} - { kind, name, completed, conclusion, branch, sha, url,
+ *   startedAt, completedAt }, or null for other events
+ */
+function getCiRun(payload, eventType) {
+  switch (eventType) {
+    case "workflow_run": {
+      const run = payload.workflow_run;
       return {
-        success: true, 
-        echo: payload,
-        mocked: true,
-        error: error.message
+        kind: "Workflow",
+        name: run.name,
+        completed: run.status === "completed",
+        conclusion: run.conclusion,
+        branch: run.head_branch,
+        sha: run.head_sha,
+        url: run.html_url,
+        startedAt: run.run_started_at || run.created_at,
+        completedAt: run.updated_at
       };
-    } else {
-      console.error("Error sending Discord message:", error);
-      throw error;
     }
+
+    case "check_suite": {
+      const suite = payload.check_suite;
+      return {
+        kind: "Check suite",
+        name: suite.app ? suite.app.name : "Checks",
+        completed: suite.status === "completed",
+        conclusion: suite.conclusion,
+        branch: suite.head_branch,
+        sha: suite.head_sha,
+        url: `${payload.repository.html_url}/commit/${suite.head_sha}/checks`,
+        startedAt: suite.created_at,
+        completedAt: suite.updated_at
+      };
+    }
+
+    case "check_run": {
+      const run = payload.check_run;
+      return {
+        kind: "Check",
+        name: run.name,
+        completed: run.status === "completed",
+        conclusion: run.conclusion,
+        branch: run.check_suite ? run.check_suite.head_branch : null,
+        sha: run.head_sha,
+        url: run.html_url || run.details_url,
+        startedAt: run.started_at,
+        completedAt: run.completed_at
+      };
+    }
+
+    case "status":
+      return {
+        kind: "Status",
+        name: payload.context,
+        completed: payload.state !== "pending",
+        conclusion: payload.state,
+        branch: payload.branches && payload.branches.length > 0 ? payload.branches[0].name : null,
+        sha: payload.sha,
+        url: payload.target_url || `${payload.repository.html_url}/commit/${payload.sha}`,
+        startedAt: null,
+        completedAt: null
+      };
+
+    default:
+      return null;
   }
 }
 
+/**
+ * Format the time between two timestamps, e.g. "3m 12s"
+ * @param {string} start - ISO start time
+ * @param {string} end - ISO end time
+ * @returns {string|null} - Formatted duration, or null if it can't be worked out
+ */
+function formatDuration(start, end) {
+  const ms = new Date(end) - new Date(start);
+  if (!start || !end || !Number.isFinite(ms) || ms < 0) {
+    return null;
+  }
+  return formatSeconds(Math.round(ms / 1000));
+}
+
+/**
+ * Format a number of seconds, e.g. "3m 12s"
+ * @param {number} seconds - Whole seconds
+ * @returns {string} - Formatted duration
+ */
+function formatSeconds(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const parts = [];
+  if (hours > 0) parts.push(`${hours}h`);
+  if (minutes > 0) parts.push(`${minutes}m`);
+  parts.push(`${seconds % 60}s`);
+  return parts.join(" ");
+}
+
+/**
+ * Format a size in bytes, e.g. "2.4 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let size = bytes || 0;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${size} ${units[unit]}` : `${size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Get the Discord users and roles to ping for a GitHub event
+ * Pings requested reviewers, new assignees and pull request authors whose pull
+ * request was reviewed, unless they triggered the event themselves
+ * @param {Object} payload - GitHub webhook payload
+ * @param {string} eventType - GitHub event type
+ * @returns {Object[]} - Mentions ({ type, id }) from the identity map
+ */
+function getGitHubMentions(payload, eventType) {
+  const identities = [];
+
+  if (payload.action === "review_requested") {
+    identities.push(payload.requested_reviewer?.login);
+    if (payload.requested_team) {
+      identities.push(`team:${payload.requested_team.slug}`);
+    }
+  } else if (payload.action === "assigned") {
+    identities.push(payload.assignee?.login);
+  } else if (eventType === "pull_request_review" && payload.action === "submitted") {
+    identities.push(payload.pull_request?.user?.login);
+  }
+
+  const sender = payload.sender?.login;
+  return resolveMentions("github", identities.filter(identity => identity && identity !== sender));
+}
+
+// GitHub events about a pull request, keyed by where the pull request is in the payload
+const GITHUB_PULL_REQUEST_EVENTS = ["pull_request", "pull_request_review", "pull_request_review_comment"];
+
+/**
+ * Get the pull request or issue a GitHub event is about
+ * Comments on pull requests arrive as issue_comment events, with issue.pull_request set
+ * @param {Object} payload - GitHub webhook payload
+ * @param {string} eventType - GitHub event type
+ * @returns {Object|null} - { key, name }, e.g. { key: "github:owner/repo:pr:12", name: "#12: Fix login" }, or null
+ */
+function getGitHubEntity(payload, eventType) {
+  const repo = payload.repository?.full_name;
+  if (!repo) {
+    return null;
+  }
+
+  if (GITHUB_PULL_REQUEST_EVENTS.includes(eventType) && payload.pull_request) {
+    const pr = payload.pull_request;
+    return { key: `github:${repo}:pr:${pr.number}`, name: `#${pr.number}: ${pr.title}` };
+  }
+  if ((eventType === "issues" || eventType === "issue_comment") && payload.issue) {
+    const issue = payload.issue;
+    const kind = issue.pull_request ? "pr" : "issue";
+    return { key: `github:${repo}:${kind}:${issue.number}`, name: `#${issue.number}: ${issue.title}` };
+  }
+  return null;
+}
+
 /**
  * Create a Discord embed for GitHub events
  * @param {Object} payload - GitHub webhook payload
@@ -98,78 +768,562 @@ function formatGitHubMessage(payload, eventType) {
       embed.fields.push(
         {
           name: "State",
-          value: payload.pull_request.state,
+          value: payload.pull_request.state,
+          inline: true
+        },
+        {
+          name: "Merged",
+          value: payload.pull_request.merged ? "Yes" : "No",
+          inline: true
+        }
+      );
+      
+      if (payload.pull_request.body) {
+        embed.fields.push({
+          name: "Description",
+          value: payload.pull_request.body
+        });
+      }
+      break;
+      
+    case "issues":
+      embed.title = `[${payload.repository.name}] Issue ${payload.action}`;
+      embed.url = payload.issue.html_url;
+      embed.description = `[#${payload.issue.number}: ${payload.issue.title}](${payload.issue.html_url})`;
+      embed.color = 0xE99455; // Orange for issues
+      
+      if (payload.issue.body) {
+        embed.fields.push({
+          name: "Description",
+          value: payload.issue.body
+        });
+      }
+      break;
+      
+    case "issue_comment":
+      embed.title = `[${payload.repository.name}] Comment on issue #${payload.issue.number}`;
+      embed.url = payload.comment.html_url;
+      embed.description = `${payload.comment.user.login} commented on [#${payload.issue.number}: ${payload.issue.title}](${payload.issue.html_url})`;
+      
+      if (payload.comment.body) {
+        embed.fields.push({
+          name: "Comment",
+          value: payload.comment.body
+        });
+      }
+      break;
+      
+    case "pull_request_review": {
+      const review = payload.review;
+      const verdict = REVIEW_VERDICTS[review.state.toLowerCase()] || REVIEW_VERDICTS.commented;
+      const pr = payload.pull_request;
+      
+      embed.title = `[${payload.repository.name}] Review on pull request #${pr.number}: ${verdict.label}`;
+      embed.url = review.html_url;
+      embed.color = verdict.color;
+      embed.description = `${review.user.login} ${verdict.verb} [#${pr.number}: ${pr.title}](${pr.html_url})`;
+      
+      embed.fields.push(
+        {
+          name: "Reviewer",
+          value: review.user.login,
+          inline: true
+        },
+        {
+          name: "Verdict",
+          value: verdict.label,
+          inline: true
+        }
+      );
+      
+      if (review.body) {
+        embed.fields.push({
+          name: "Review",
+          value: review.body
+        });
+      }
+      break;
+    }
+      
+    case "pull_request_review_comment": {
+      const comment = payload.comment;
+      const pr = payload.pull_request;
+      const line = comment.line || comment.original_line;
+      const location = line ? `${comment.path}:${line}` : comment.path;
+      
+      embed.title = `[${payload.repository.name}] Review comment on pull request #${pr.number}`;
+      embed.url = comment.html_url;
+      embed.color = REVIEW_VERDICTS.commented.color;
+      embed.description = `${comment.user.login} commented on [\`${location}\`](${comment.html_url}) in [#${pr.number}: ${pr.title}](${pr.html_url})`;
+      
+      embed.fields.push(
+        {
+          name: "Reviewer",
+          value: comment.user.login,
+          inline: true
+        },
+        {
+          name: "File",
+          value: location,
+          inline: true
+        }
+      );
+      
+      if (comment.body) {
+        embed.fields.push({
+          name: "Comment",
+          value: comment.body
+        });
+      }
+      break;
+    }
+      
+    case "workflow_run":
+    case "check_suite":
+    case "check_run":
+    case "status": {
+      const run = getCiRun(payload, eventType);
+      const conclusion = CI_CONCLUSIONS[run.conclusion] || { label: run.conclusion || "is running", color: 0xDBAB09 };
+      const branch = run.branch ? ` on ${run.branch}` : "";
+      
+      embed.title = `[${payload.repository.name}] ${run.kind} "${run.name}" ${conclusion.label}${branch}`;
+      embed.url = run.url;
+      embed.color = conclusion.color;
+      embed.description = `[${run.kind} ${run.name}](${run.url}) ${conclusion.label}${branch}`;
+      
+      embed.fields.push({
+        name: "Conclusion",
+        value: run.conclusion || "pending",
+        inline: true
+      });
+      
+      if (run.branch) {
+        embed.fields.push({
+          name: "Branch",
+          value: run.branch,
+          inline: true
+        });
+      }
+      
+      if (run.sha) {
+        embed.fields.push({
+          name: "Commit",
+          value: `[\`${run.sha.substring(0, 7)}\`](${payload.repository.html_url}/commit/${run.sha})`,
+          inline: true
+        });
+      }
+      
+      const duration = formatDuration(run.startedAt, run.completedAt);
+      if (duration) {
+        embed.fields.push({
+          name: "Duration",
+          value: duration,
+          inline: true
+        });
+      }
+      
+      if (eventType === "status" && payload.description) {
+        embed.fields.push({
+          name: "Description",
+          value: payload.description
+        });
+      }
+      break;
+    }
+      
+    case "release": {
+      const release = payload.release;
+      const releaseName = release.name || release.tag_name;
+      const kind = release.prerelease ? "Pre-release" : "Release";
+      
+      embed.title = `[${payload.repository.name}] ${kind} ${payload.action}: ${releaseName}`;
+      embed.url = release.html_url;
+      embed.color = payload.action === "deleted" ? 0xCB2431 : 0x6F42C1; // Red or purple
+      embed.description = `[${releaseName}](${release.html_url})`;
+      
+      embed.fields.push({
+        name: "Tag",
+        value: `\`${release.tag_name}\``,
+        inline: true
+      });
+      
+      if (release.body) {
+        embed.fields.push({
+          name: "Release notes",
+          value: release.body
+        });
+      }
+      
+      if (release.assets && release.assets.length > 0) {
+        const assets = release.assets
+          .map(asset => `[${asset.name}](${asset.browser_download_url}) (${formatBytes(asset.size)})`)
+          .join("\n");
+        
+        embed.fields.push({
+          name: `Assets (${release.assets.length})`,
+          value: assets
+        });
+      }
+      break;
+    }
+      
+    case "create":
+    case "delete": {
+      const verb = eventType === "create" ? "created" : "deleted";
+      
+      embed.title = `[${payload.repository.name}] ${payload.sender.login} ${verb} ${payload.ref_type} ${payload.ref}`;
+      embed.url = eventType === "create"
+        ? `${payload.repository.html_url}/tree/${payload.ref}`
+        : payload.repository.html_url;
+      embed.color = eventType === "create" ? 0x2EA44F : 0xCB2431; // Green or red
+      delete embed.description; // One-line embed
+      break;
+    }
+      
+    case "fork":
+      embed.title = `[${payload.repository.name}] ${payload.sender.login} forked to ${payload.forkee.full_name}`;
+      embed.url = payload.forkee.html_url;
+      embed.color = 0x6A737D; // Gray
+      delete embed.description; // One-line embed
+      break;
+      
+    default:
+      embed.title = `[${payload.repository.name}] ${eventType} event received`;
+      embed.description = "Unsupported event type";
+  }
+
+  return buildEmbed(embed);
+}
+
+// Past-tense labels for GitLab merge request and issue actions
+const GITLAB_ACTIONS = {
+  open: "opened",
+  close: "closed",
+  reopen: "reopened",
+  update: "updated",
+  merge: "merged",
+  approved: "approved",
+  approval: "approved",
+  unapproved: "unapproved",
+  unapproval: "unapproved"
+};
+
+// GitLab pipeline statuses that mean the pipeline finished, mapped to CI conclusions
+const GITLAB_PIPELINE_CONCLUSIONS = {
+  success: "success",
+  failed: "failure",
+  canceled: "cancelled",
+  skipped: "skipped"
+};
+
+// A commit SHA of all zeros means the branch didn't exist before (or after) a push
+const GITLAB_BLANK_SHA = /^0+$/;
+
+/**
+ * Get the pipeline described by a GitLab pipeline event
+ * @param {Object} payload - GitLab webhook payload
+ * @returns {Object|null} - { kind, name, completed, conclusion, branch, sha, url,
+ *   startedAt, completedAt } like getCiRun, or null for other events
+ */
+function getGitLabPipeline(payload) {
+  if (payload.object_kind !== "pipeline") {
+    return null;
+  }
+
+  const pipeline = payload.object_attributes;
+  const conclusion = GITLAB_PIPELINE_CONCLUSIONS[pipeline.status] || null;
+  return {
+    kind: "Pipeline",
+    name: pipeline.name || "Pipeline",
+    completed: conclusion !== null,
+    conclusion,
+    branch: pipeline.tag ? null : pipeline.ref,
+    sha: pipeline.sha,
+    url: pipeline.url || `${payload.project.web_url}/-/pipelines/${pipeline.id}`,
+    startedAt: pipeline.created_at,
+    completedAt: pipeline.finished_at
+  };
+}
+
+/**
+ * Get the user who triggered a GitLab event
+ * Push events carry the user as flat fields, every other event as a user object.
+ * @param {Object} payload - GitLab webhook payload
+ * @returns {Object} - { username, avatarUrl }
+ */
+function getGitLabUser(payload) {
+  if (payload.user) {
+    return { username: payload.user.username, avatarUrl: payload.user.avatar_url };
+  }
+  return { username: payload.user_username, avatarUrl: payload.user_avatar };
+}
+
+/**
+ * Create a Discord embed for GitLab events
+ * @param {Object} payload - GitLab webhook payload
+ * @param {string} eventType - GitLab object kind ("push", "merge_request", "issue", "note" or "pipeline")
+ * @returns {Object} Discord embed
+ */
+function formatGitLabMessage(payload, eventType) {
+  const project = payload.project;
+  const user = getGitLabUser(payload);
+  const instanceUrl = new URL(project.web_url).origin;
+
+  const embed = {
+    title: "",
+    description: "",
+    url: "",
+    color: 0xFC6D26, // GitLab orange
+    timestamp: new Date().toISOString(),
+    footer: {
+      text: "GitLab",
+      icon_url: "https://about.gitlab.com/images/press/logo/png/gitlab-icon-rgb.png"
+    },
+    author: {
+      name: user.username || "Unknown",
+      url: user.username ? `${instanceUrl}/${user.username}` : "",
+      icon_url: user.avatarUrl || ""
+    },
+    fields: []
+  };
+
+  switch (eventType) {
+    case "push": {
+      const branch = payload.ref.replace("refs/heads/", "");
+      embed.title = `[${project.name}] Push to ${branch}`;
+      embed.url = GITLAB_BLANK_SHA.test(payload.before)
+        ? `${project.web_url}/-/commits/${branch}`
+        : `${project.web_url}/-/compare/${payload.before}...${payload.after}`;
+
+      const total = payload.total_commits_count || payload.commits.length;
+      const commits = payload.commits.slice(0, 5); // Limit to 5 commits
+      if (commits.length > 0) {
+        embed.description = `${total} commit(s) pushed`;
+
+        commits.forEach(commit => {
+          embed.fields.push({
+            name: commit.id.substring(0, 7),
+            value: `[${(commit.title || commit.message).split("\n")[0]}](${commit.url}) - ${commit.author.name}`
+          });
+        });
+
+        if (total > 5) {
+          embed.fields.push({
+            name: "...",
+            value: `${total - 5} more commits not shown`
+          });
+        }
+      }
+      break;
+    }
+
+    case "merge_request": {
+      const mr = payload.object_attributes;
+      const action = GITLAB_ACTIONS[mr.action] || mr.action || mr.state;
+
+      embed.title = `[${project.name}] Merge Request ${action}`;
+      embed.url = mr.url;
+      embed.description = `[!${mr.iid}: ${mr.title}](${mr.url})`;
+
+      embed.fields.push(
+        {
+          name: "State",
+          value: mr.state,
           inline: true
         },
         {
-          name: "Merged",
-          value: payload.pull_request.merged ? "Yes" : "No",
+          name: "Branches",
+          value: `${mr.source_branch} → ${mr.target_branch}`,
           inline: true
         }
       );
-      
-      if (payload.pull_request.body) {
-        // Truncate description if too long
-        const description = payload.pull_request.body.length > 1000 
-          ? payload.pull_request.body.substring(0, 997) + "..." 
-          : payload.pull_request.body;
-          
+
+      if (mr.description) {
         embed.fields.push({
           name: "Description",
-          value: description
+          value: mr.description
         });
       }
       break;
-      
-    case "issues":
-      embed.title = `[${payload.repository.name}] Issue ${payload.action}`;
-      embed.url = payload.issue.html_url;
-      embed.description = `[#${payload.issue.number}: ${payload.issue.title}](${payload.issue.html_url})`;
+    }
+
+    case "issue": {
+      const issue = payload.object_attributes;
+      const action = GITLAB_ACTIONS[issue.action] || issue.action || issue.state;
+
+      embed.title = `[${project.name}] Issue ${action}`;
+      embed.url = issue.url;
+      embed.description = `[#${issue.iid}: ${issue.title}](${issue.url})`;
       embed.color = 0xE99455; // Orange for issues
-      
-      if (payload.issue.body) {
-        // Truncate description if too long
-        const description = payload.issue.body.length > 1000 
-          ? payload.issue.body.substring(0, 997) + "..." 
-          : payload.issue.body;
-          
+
+      if (issue.description) {
         embed.fields.push({
           name: "Description",
-          value: description
+          value: issue.description
         });
       }
       break;
-      
-    case "issue_comment":
-      embed.title = `[${payload.repository.name}] Comment on issue #${payload.issue.number}`;
-      embed.url = payload.comment.html_url;
-      embed.description = `${payload.comment.user.login} commented on [#${payload.issue.number}: ${payload.issue.title}](${payload.issue.html_url})`;
-      
-      if (payload.comment.body) {
-        // Truncate comment if too long
-        const comment = payload.comment.body.length > 1000 
-          ? payload.comment.body.substring(0, 997) + "..." 
-          : payload.comment.body;
-          
+    }
+
+    case "note": {
+      const note = payload.object_attributes;
+      let target;
+      if (note.noteable_type === "MergeRequest" && payload.merge_request) {
+        target = `merge request !${payload.merge_request.iid}`;
+        embed.description = `${user.username} commented on [!${payload.merge_request.iid}: ${payload.merge_request.title}](${note.url})`;
+      } else if (note.noteable_type === "Issue" && payload.issue) {
+        target = `issue #${payload.issue.iid}`;
+        embed.description = `${user.username} commented on [#${payload.issue.iid}: ${payload.issue.title}](${note.url})`;
+      } else if (note.noteable_type === "Commit" && payload.commit) {
+        target = `commit ${payload.commit.id.substring(0, 7)}`;
+        embed.description = `${user.username} commented on [\`${payload.commit.id.substring(0, 7)}\`](${note.url})`;
+      } else {
+        target = (note.noteable_type || "item").toLowerCase();
+        embed.description = `${user.username} commented on a [${target}](${note.url})`;
+      }
+
+      embed.title = `[${project.name}] Comment on ${target}`;
+      embed.url = note.url;
+
+      // Comments on a merge request diff point at a line of a file
+      const position = note.position;
+      if (position && (position.new_path || position.old_path)) {
+        const line = position.new_line || position.old_line;
+        const path = position.new_path || position.old_path;
+        embed.fields.push({
+          name: "File",
+          value: line ? `${path}:${line}` : path,
+          inline: true
+        });
+      }
+
+      if (note.note) {
         embed.fields.push({
           name: "Comment",
-          value: comment
+          value: note.note
         });
       }
       break;
-      
+    }
+
+    case "pipeline": {
+      const run = getGitLabPipeline(payload);
+      const pipeline = payload.object_attributes;
+      const conclusion = CI_CONCLUSIONS[run.conclusion] || { label: pipeline.status || "is running", color: 0xDBAB09 };
+      const ref = pipeline.tag ? ` for tag ${pipeline.ref}` : ` on ${pipeline.ref}`;
+
+      embed.title = `[${project.name}] Pipeline #${pipeline.id} ${conclusion.label}${ref}`;
+      embed.url = run.url;
+      embed.color = conclusion.color;
+      embed.description = `[Pipeline #${pipeline.id}](${run.url}) ${conclusion.label}${ref}`;
+
+      embed.fields.push({
+        name: "Status",
+        value: pipeline.status,
+        inline: true
+      });
+
+      embed.fields.push({
+        name: pipeline.tag ? "Tag" : "Branch",
+        value: pipeline.ref,
+        inline: true
+      });
+
+      if (pipeline.sha) {
+        embed.fields.push({
+          name: "Commit",
+          value: `[\`${pipeline.sha.substring(0, 7)}\`](${project.web_url}/-/commit/${pipeline.sha})`,
+          inline: true
+        });
+      }
+
+      if (pipeline.duration) {
+        embed.fields.push({
+          name: "Duration",
+          value: formatSeconds(Math.round(pipeline.duration)),
+          inline: true
+        });
+      }
+
+      const failedJobs = (payload.builds || []).filter(build => build.status === "failed");
+      if (failedJobs.length > 0) {
+        embed.fields.push({
+          name: `Failed jobs (${failedJobs.length})`,
+          value: failedJobs.map(build => `${build.stage}: ${build.name}`).join("\n")
+        });
+      }
+      break;
+    }
+
     default:
-      embed.title = `[${payload.repository.name}] ${eventType} event received`;
+      embed.title = `[${project.name}] ${eventType} event received`;
       embed.description = "Unsupported event type";
   }
 
-  return embed;
+  return buildEmbed(embed);
+}
+
+// Attachment types Discord can show as an embed thumbnail
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".gif", ".webp"];
+
+/**
+ * Format a before or after value of a Trello change for an embed field
+ * @param {string} value - Field value
+ * @returns {string} - The value, or "(empty)"
+ */
+function formatChangedValue(value) {
+  return value || "*(empty)*";
+}
+
+/**
+ * Get the thumbnail URL for a Trello attachment if it is an image
+ * @param {Object} attachment - Trello attachment
+ * @returns {string|null} - Image URL, or null for other attachments
+ */
+function getAttachmentThumbnail(attachment) {
+  if (attachment.previewUrl) {
+    return attachment.previewUrl;
+  }
+
+  const url = (attachment.url || "").toLowerCase().split("?")[0];
+  const isImage = (attachment.mimeType && attachment.mimeType.startsWith("image/")) ||
+    IMAGE_EXTENSIONS.some(extension => url.endsWith(extension));
+  return isImage ? attachment.url : null;
+}
+
+/**
+ * Get the Discord users and roles to ping for a Trello action
+ * Pings members added to a card, unless they added themselves
+ * @param {Object} data - Trello event data
+ * @returns {Object[]} - Mentions ({ type, id }) from the identity map
+ */
+function getTrelloMentions(data) {
+  const action = data.action;
+  if (!action || action.type !== "addMemberToCard") {
+    return [];
+  }
+
+  const memberId = action.data?.idMember || action.data?.member?.id || action.member?.id;
+  if (!memberId || memberId === action.idMemberCreator) {
+    return [];
+  }
+  return resolveMentions("trello", [memberId, action.member?.username]);
+}
+
+/**
+ * Get the card a Trello action is about
+ * @param {Object} data - Trello event data
+ * @returns {Object|null} - { key, name }, e.g. { key: "trello:card:<card id>", name: "<card name>" }, or null
+ */
+function getTrelloEntity(data) {
+  const card = data.action?.data?.card;
+  return card?.id ? { key: `trello:card:${card.id}`, name: card.name || card.id } : null;
 }
 
 /**
  * Create a Discord embed for Trello events
  * @param {Object} data - Trello event data
- * @returns {Object|null} Discord embed or null if notification should be filtered out
+ * @returns {Object} Discord embed
  */
 function formatTrelloMessage(data) {
   if (!data.action || !data.action.type) {
@@ -189,19 +1343,6 @@ function formatTrelloMessage(data) {
 
   const action = data.action;
   const actionType = action.type;
-  
-  // Skip unwanted notification types
-  const filteredTypes = [
-    "createCheckItem", 
-    "updateCheckItem", 
-    "addAttachmentToCard", 
-    "addChecklistToCard", 
-    "updateCheckItemStateOnCard"
-  ];
-  
-  if (filteredTypes.includes(actionType)) {
-    return null;
-  }
 
   const embed = {
     title: "",
@@ -271,6 +1412,41 @@ function formatTrelloMessage(data) {
             inline: true
           }
         );
+      } else if (action.data.old && action.data.old.hasOwnProperty("closed")) {
+        // Card archived or restored
+        embed.title = action.data.card.closed ? "Card Archived" : "Card Unarchived";
+        embed.color = action.data.card.closed ? 0x6A737D : 0x0079BF; // Gray or Trello blue
+        embed.description = `${memberName} ${action.data.card.closed ? "archived" : "unarchived"} card [${action.data.card.name}](${data.model.url})`;
+      } else if (action.data.old && action.data.old.hasOwnProperty("name")) {
+        // Card renamed
+        embed.title = "Card Renamed";
+        embed.description = `${memberName} renamed card [${action.data.card.name}](${data.model.url})`;
+        
+        embed.fields.push(
+          {
+            name: "Before",
+            value: formatChangedValue(action.data.old.name)
+          },
+          {
+            name: "After",
+            value: formatChangedValue(action.data.card.name)
+          }
+        );
+      } else if (action.data.old && action.data.old.hasOwnProperty("desc")) {
+        // Description changed
+        embed.title = "Description Changed";
+        embed.description = `${memberName} changed the description of card [${action.data.card.name}](${data.model.url})`;
+        
+        embed.fields.push(
+          {
+            name: "Before",
+            value: formatChangedValue(action.data.old.desc)
+          },
+          {
+            name: "After",
+            value: formatChangedValue(action.data.card.desc)
+          }
+        );
       } else {
         // Other card update
         embed.title = "Card Updated";
@@ -283,14 +1459,9 @@ function formatTrelloMessage(data) {
       embed.description = `${memberName} commented on card [${action.data.card.name}](${data.model.url})`;
       
       if (action.data.text) {
-        // Truncate comment if too long
-        const comment = action.data.text.length > 1000 
-          ? action.data.text.substring(0, 997) + "..." 
-          : action.data.text;
-          
         embed.fields.push({
           name: "Comment",
-          value: comment
+          value: action.data.text
         });
       }
       break;
@@ -318,16 +1489,355 @@ function formatTrelloMessage(data) {
       }
       break;
       
+    case "deleteCard":
+      embed.title = "Card Deleted";
+      embed.color = 0xEB5A46; // Trello red
+      embed.description = `${memberName} deleted card #${action.data.card.idShort}`;
+      
+      if (action.data.list) {
+        embed.fields.push({
+          name: "List",
+          value: action.data.list.name,
+          inline: true
+        });
+      }
+      break;
+      
+    case "createList":
+      embed.title = "List Created";
+      embed.description = `${memberName} created list **${action.data.list.name}**`;
+      break;
+      
+    case "updateList":
+      if (action.data.old && action.data.old.hasOwnProperty("closed")) {
+        embed.title = action.data.list.closed ? "List Archived" : "List Unarchived";
+        embed.color = action.data.list.closed ? 0x6A737D : 0x0079BF; // Gray or Trello blue
+        embed.description = `${memberName} ${action.data.list.closed ? "archived" : "unarchived"} list **${action.data.list.name}**`;
+      } else if (action.data.old && action.data.old.hasOwnProperty("name")) {
+        embed.title = "List Renamed";
+        embed.description = `${memberName} renamed list **${action.data.old.name}** to **${action.data.list.name}**`;
+      } else if (action.data.old && action.data.old.hasOwnProperty("pos")) {
+        embed.title = "List Moved";
+        embed.description = `${memberName} moved list **${action.data.list.name}**`;
+      } else {
+        embed.title = "List Updated";
+        embed.description = `${memberName} updated list **${action.data.list.name}**`;
+      }
+      break;
+      
+    case "moveListToBoard":
+    case "moveListFromBoard": {
+      const toBoard = actionType === "moveListToBoard";
+      const otherBoard = toBoard ? action.data.boardSource : action.data.boardTarget;
+      
+      embed.title = toBoard ? "List Moved to Board" : "List Moved to Another Board";
+      embed.description = `${memberName} moved list **${action.data.list.name}** ${toBoard ? "from" : "to"} another board`;
+      
+      if (otherBoard) {
+        embed.fields.push({
+          name: toBoard ? "From Board" : "To Board",
+          value: otherBoard.name || otherBoard.id,
+          inline: true
+        });
+      }
+      break;
+    }
+      
+    case "moveCardToBoard":
+    case "moveCardFromBoard": {
+      const toBoard = actionType === "moveCardToBoard";
+      const otherBoard = toBoard ? action.data.boardSource : action.data.boardTarget;
+      
+      embed.title = toBoard ? "Card Moved to Board" : "Card Moved to Another Board";
+      embed.description = `${memberName} moved card [${action.data.card.name}](${data.model.url}) ${toBoard ? "from" : "to"} another board`;
+      
+      if (otherBoard) {
+        embed.fields.push({
+          name: toBoard ? "From Board" : "To Board",
+          value: otherBoard.name || otherBoard.id,
+          inline: true
+        });
+      }
+      if (toBoard && action.data.list) {
+        embed.fields.push({
+          name: "List",
+          value: action.data.list.name,
+          inline: true
+        });
+      }
+      break;
+    }
+      
+    case "addAttachmentToCard": {
+      const attachment = action.data.attachment;
+      
+      embed.title = "Attachment Added";
+      embed.description = `${memberName} attached [${attachment.name || attachment.url}](${attachment.url}) to card [${action.data.card.name}](${data.model.url})`;
+      
+      const thumbnail = getAttachmentThumbnail(attachment);
+      if (thumbnail) {
+        embed.thumbnail = { url: thumbnail };
+      }
+      break;
+    }
+      
+    case "addChecklistToCard": {
+      const checklist = action.data.checklist;
+      
+      embed.title = "Checklist Added";
+      embed.description = `${memberName} added checklist **${checklist.name}** to card [${action.data.card.name}](${data.model.url})`;
+      
+      if (checklist.checkItems) {
+        embed.fields.push({
+          name: "Items",
+          value: String(checklist.checkItems.length),
+          inline: true
+        });
+      }
+      break;
+    }
+      
+    case "updateCheckItemStateOnCard": {
+      const checklist = action.data.checklist;
+      const complete = action.data.checkItem.state === "complete";
+      
+      embed.title = complete ? "Checklist Item Completed" : "Checklist Item Marked Incomplete";
+      embed.color = complete ? 0x61BD4F : 0x0079BF; // Trello green or blue
+      embed.description = `${memberName} ${complete ? "completed" : "unchecked"} **${action.data.checkItem.name}** on card [${action.data.card.name}](${data.model.url})`;
+      
+      embed.fields.push({
+        name: "Checklist",
+        value: checklist.name,
+        inline: true
+      });
+      
+      if (checklist.checkItems) {
+        const completed = checklist.checkItems.filter(item => item.state === "complete").length;
+        embed.fields.push({
+          name: "Progress",
+          value: `${completed}/${checklist.checkItems.length} complete`,
+          inline: true
+        });
+      }
+      break;
+    }
+      
+    case "addMemberToBoard":
+    case "removeMemberFromBoard":
+    case "makeAdminOfBoard":
+    case "makeNormalMemberOfBoard":
+    case "makeObserverOfBoard": {
+      const member = action.member ? action.member.fullName : (action.data.member?.name || "a member");
+      const changes = {
+        addMemberToBoard: { title: "Member Added to Board", verb: "added", suffix: "to the board" },
+        removeMemberFromBoard: { title: "Member Removed from Board", verb: "removed", suffix: "from the board" },
+        makeAdminOfBoard: { title: "Board Admin Added", verb: "made", suffix: "a board admin" },
+        makeNormalMemberOfBoard: { title: "Board Member Role Changed", verb: "made", suffix: "a normal board member" },
+        makeObserverOfBoard: { title: "Board Member Role Changed", verb: "made", suffix: "a board observer" }
+      };
+      const change = changes[actionType];
+      
+      embed.title = change.title;
+      embed.description = `${memberName} ${change.verb} ${member} ${change.suffix}`;
+      break;
+    }
+      
     default:
       embed.title = "Trello Activity";
       embed.description = `${memberName} performed action: ${actionType}`;
   }
 
-  return embed;
+  return buildEmbed(embed);
+}
+
+// Changelog fields that give an issue update its title, in order of precedence
+const JIRA_HEADLINE_FIELDS = ["status", "assignee"];
+
+/**
+ * Get the browse URL of a Jira issue
+ * @param {Object} issue - Jira issue from a webhook payload
+ * @returns {string} - e.g. "https://example.atlassian.net/browse/PROJ-1"
+ */
+function getJiraIssueUrl(issue) {
+  return `${new URL(issue.self).origin}/browse/${issue.key}`;
+}
+
+/**
+ * Format a Jira changelog item as a "from → to" value
+ * @param {Object} item - Changelog item
+ * @returns {string} - e.g. "To Do → In Progress"
+ */
+function formatJiraChange(item) {
+  return `${formatChangedValue(item.fromString)} → ${formatChangedValue(item.toString)}`;
+}
+
+/**
+ * Get the Discord users and roles to mention for a Jira event
+ * Mentions the assignee of a new issue and the new assignee of a reassigned one,
+ * unless they made the change themselves.
+ * @param {Object} payload - Jira webhook payload
+ * @returns {Object[]} - Mentions ({ type, id })
+ */
+function getJiraMentions(payload) {
+  const accountIds = [];
+
+  if (payload.webhookEvent === "jira:issue_created") {
+    accountIds.push(payload.issue?.fields?.assignee?.accountId);
+  } else if (payload.webhookEvent === "jira:issue_updated") {
+    const items = payload.changelog?.items || [];
+    const assignee = items.find(item => item.field === "assignee");
+    accountIds.push(assignee?.to);
+  }
+
+  const actor = payload.user?.accountId;
+  return resolveMentions("jira", accountIds.filter(accountId => accountId && accountId !== actor));
+}
+
+/**
+ * Create a Discord embed for Jira events
+ * @param {Object} payload - Jira webhook payload
+ * @returns {Object} Discord embed
+ */
+function formatJiraMessage(payload) {
+  const issue = payload.issue;
+  const user = payload.webhookEvent === "comment_created" ? payload.comment?.author : payload.user;
+  const userName = user ? user.displayName : "Unknown";
+
+  const embed = {
+    title: "",
+    description: "",
+    url: issue ? getJiraIssueUrl(issue) : "",
+    color: 0x0052CC, // Jira blue
+    timestamp: new Date().toISOString(),
+    footer: {
+      text: "Jira",
+      icon_url: "https://wac-cdn.atlassian.com/assets/img/favicons/jira/favicon-32x32.png"
+    },
+    author: {
+      name: userName,
+      icon_url: user?.avatarUrls ? user.avatarUrls["48x48"] : ""
+    },
+    fields: []
+  };
+
+  if (!issue) {
+    embed.title = "Jira Activity";
+    embed.description = `${userName} performed action: ${payload.webhookEvent || "unknown"}`;
+    return buildEmbed(embed);
+  }
+
+  const fields = issue.fields || {};
+  const issueLink = `[${issue.key}: ${fields.summary}](${embed.url})`;
+
+  switch (payload.webhookEvent) {
+    case "jira:issue_created":
+      embed.title = "Issue Created";
+      embed.description = `${userName} created ${issueLink}`;
+
+      if (fields.issuetype) {
+        embed.fields.push({
+          name: "Type",
+          value: fields.issuetype.name,
+          inline: true
+        });
+      }
+
+      if (fields.priority) {
+        embed.fields.push({
+          name: "Priority",
+          value: fields.priority.name,
+          inline: true
+        });
+      }
+
+      embed.fields.push({
+        name: "Assignee",
+        value: fields.assignee ? fields.assignee.displayName : "Unassigned",
+        inline: true
+      });
+
+      // Descriptions are wiki markup strings in webhooks; rich text documents are skipped
+      if (typeof fields.description === "string" && fields.description) {
+        embed.fields.push({
+          name: "Description",
+          value: fields.description
+        });
+      }
+      break;
+
+    case "jira:issue_updated": {
+      const items = payload.changelog?.items || [];
+      const headline = JIRA_HEADLINE_FIELDS
+        .map(field => items.find(item => item.field === field))
+        .find(Boolean);
+
+      if (headline && headline.field === "status") {
+        embed.title = "Issue Transitioned";
+        embed.description = `${userName} moved ${issueLink} to **${headline.toString}**`;
+        if (fields.status?.statusCategory?.key === "done") {
+          embed.color = 0x36B37E; // Green once the issue is done
+        }
+      } else if (headline && headline.field === "assignee") {
+        embed.title = headline.to ? "Issue Assigned" : "Issue Unassigned";
+        embed.description = headline.to
+          ? `${userName} assigned ${issueLink} to **${headline.toString}**`
+          : `${userName} unassigned ${issueLink}`;
+      } else {
+        embed.title = "Issue Updated";
+        embed.description = `${userName} updated ${issueLink}`;
+      }
+
+      // One field per changed Jira field, e.g. "Status: To Do → In Progress"
+      items.forEach(item => {
+        embed.fields.push({
+          name: item.field.charAt(0).toUpperCase() + item.field.slice(1),
+          value: formatJiraChange(item),
+          inline: JIRA_HEADLINE_FIELDS.includes(item.field)
+        });
+      });
+      break;
+    }
+
+    case "comment_created":
+      embed.title = "Comment Added";
+      embed.url = `${getJiraIssueUrl(issue)}?focusedCommentId=${payload.comment.id}`;
+      embed.description = `${userName} commented on ${issueLink}`;
+
+      if (payload.comment.body) {
+        embed.fields.push({
+          name: "Comment",
+          value: payload.comment.body
+        });
+      }
+      break;
+
+    default:
+      embed.title = "Jira Activity";
+      embed.description = `${userName} performed action: ${payload.webhookEvent} on ${issueLink}`;
+  }
+
+  return buildEmbed(embed);
 }
 
 module.exports = {
+  postWithRetry,
   sendDiscordMessage,
+  editDiscordMessage,
+  batchEmbeds,
+  EMBED_LIMITS,
+  getEmbedLength,
+  truncateText,
+  validateEmbed,
+  buildEmbed,
+  getCiRun,
+  getGitLabPipeline,
   formatGitHubMessage,
-  formatTrelloMessage
+  formatGitLabMessage,
+  formatTrelloMessage,
+  formatJiraMessage,
+  getGitHubMentions,
+  getTrelloMentions,
+  getGitHubEntity,
+  getTrelloEntity,
+  getJiraMentions
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+const config = require("./config");
+
+/**
+ * Turn an identity map entry into a Discord mention
+ * @param {string|Object} entry - A Discord user id, { user: id } or { role: id }
+ * @returns {Object|null} - { type: "user"|"role", id }, or null if the entry is not valid
+ */
+function toMention(entry) {
+  if (typeof entry === "string" && entry) {
+    return { type: "user", id: entry };
+  }
+  if (entry && typeof entry.user === "string") {
+    return { type: "user", id: entry.user };
+  }
+  if (entry && typeof entry.role === "string") {
+    return { type: "role", id: entry.role };
+  }
+  return null;
+}
+
+/**
+ * Look up the Discord users and roles mapped to GitHub, Trello or Jira identities
+ * @param {string} source - Integration name ("github", "trello" or "jira")
+ * @param {string[]} identities - GitHub logins, Trello member ids and usernames, or Jira account ids
+ * @returns {Object[]} - Mentions ({ type, id }) without duplicates
+ */
+function resolveMentions(source, identities) {
+  const identityMap = config.getDiscordMentions()[source] || {};
+  const mentions = [];
+
+  for (const identity of identities) {
+    const mention = identity ? toMention(identityMap[identity]) : null;
+    if (mention && !mentions.some(existing => existing.type === mention.type && existing.id === mention.id)) {
+      mentions.push(mention);
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Format mentions for the content of a Discord message
+ * @param {Object[]} mentions - Mentions ({ type, id })
+ * @returns {string} - e.g. "<@123> <@&456>"
+ */
+function formatMentions(mentions) {
+  return mentions
+    .map(mention => (mention.type === "role" ? `<@&${mention.id}>` : `<@${mention.id}>`))
+    .join(" ");
+}
+
+/**
+ * Build the allowed_mentions of a Discord message so only the given mentions can ping
+ * @param {Object[]} mentions - Mentions ({ type, id })
+ * @returns {Object} - Discord allowed_mentions object
+ */
+function getAllowedMentions(mentions) {
+  return {
+    parse: [],
+    users: mentions.filter(mention => mention.type === "user").map(mention => mention.id),
+    roles: mentions.filter(mention => mention.type === "role").map(mention => mention.id)
+  };
+}
+
+module.exports = {
+  resolveMentions,
+  formatMentions,
+  getAllowedMentions
+};
\ No newline at end of file
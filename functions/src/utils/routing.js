@@ -0,0 +1,47 @@
+const config = require("./config");
+
+/**
+ * Normalize a routing table entry to a list of destinations
+ * @param {string|Object|Array} entry - A webhook URL, a destination object
+ *   ({ url, batchWindowMs }), or a list of either
+ * @returns {Object[]} Destinations with at least a url
+ */
+function toDestinations(entry) {
+  if (!entry) {
+    return [];
+  }
+
+  const entries = Array.isArray(entry) ? entry : [entry];
+  return entries
+    .map(item => (typeof item === "string" ? { url: item } : item))
+    .filter(item => item && typeof item.url === "string" && item.url.length > 0);
+}
+
+/**
+ * Resolve the destinations an event should be delivered to
+ * Falls back to the routing table default, then to DISCORD_WEBHOOK_URL
+ * @param {string} source - Integration name ("github", "gitlab", "trello", "jira" or "generic")
+ * @param {string} key - GitHub repository full name, GitLab project path, Trello board id, Jira project key
+ *   or generic source name
+ * @returns {Object[]} Destinations ({ url, type, batchWindowMs, ciNotify, messageMode, delivery, digest })
+ */
+function resolveDestinations(source, key) {
+  const routes = config.getDiscordRoutes();
+  const sourceRoutes = routes[source] || {};
+
+  const routed = key ? toDestinations(sourceRoutes[key]) : [];
+  if (routed.length > 0) {
+    return routed;
+  }
+
+  const defaults = toDestinations(routes.default);
+  if (defaults.length > 0) {
+    return defaults;
+  }
+
+  return toDestinations(config.getDiscordWebhookUrl());
+}
+
+module.exports = {
+  resolveDestinations
+};
\ No newline at end of file
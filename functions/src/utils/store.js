@@ -0,0 +1,191 @@
+const admin = require("firebase-admin");
+const config = require("./config");
+
+// Collections kept in memory when running tests without the Firestore emulator
+const memoryCollections = new Map();
+
+/**
+ * Determines if documents should be stored in Firestore
+ * Test mode only uses Firestore when the emulator is running
+ * @returns {boolean} True if Firestore is available
+ */
+function useFirestore() {
+  return !config.isTestMode() || Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+}
+
+/**
+ * Get an in-memory collection, creating it if needed
+ * @param {string} collection - Collection name
+ * @returns {Map<string, Object>} Documents keyed by id
+ */
+function getMemoryCollection(collection) {
+  if (!memoryCollections.has(collection)) {
+    memoryCollections.set(collection, new Map());
+  }
+  return memoryCollections.get(collection);
+}
+
+/**
+ * Get a document by id
+ * @param {string} collection - Collection name
+ * @param {string} id - Document id
+ * @returns {Promise<Object|null>} The document data with its id, or null if missing
+ */
+async function getDocument(collection, id) {
+  if (!useFirestore()) {
+    const data = getMemoryCollection(collection).get(id);
+    return data ? { id, ...data } : null;
+  }
+
+  const snapshot = await admin.firestore().collection(collection).doc(id).get();
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+/**
+ * Create or overwrite a document
+ * @param {string} collection - Collection name
+ * @param {string} id - Document id
+ * @param {Object} data - Document data
+ * @param {Object} options - Options
+ * @param {boolean} options.merge - Merge into the existing document instead of overwriting it
+ * @returns {Promise<void>}
+ */
+async function setDocument(collection, id, data, { merge = false } = {}) {
+  if (!useFirestore()) {
+    const documents = getMemoryCollection(collection);
+    const existing = merge ? documents.get(id) || {} : {};
+    documents.set(id, { ...existing, ...data });
+    return;
+  }
+
+  await admin.firestore().collection(collection).doc(id).set(data, { merge });
+}
+
+/**
+ * Create a document, unless one with the same id already exists
+ * Firestore checks and creates in one step, so only one of two concurrent calls succeeds
+ * @param {string} collection - Collection name
+ * @param {string} id - Document id
+ * @param {Object} data - Document data
+ * @returns {Promise<boolean>} True if the document was created, false if it already existed
+ */
+async function createDocument(collection, id, data) {
+  if (!useFirestore()) {
+    const documents = getMemoryCollection(collection);
+    if (documents.has(id)) {
+      return false;
+    }
+    documents.set(id, { ...data });
+    return true;
+  }
+
+  try {
+    await admin.firestore().collection(collection).doc(id).create(data);
+    return true;
+  } catch (error) {
+    if (error.code === 6) { // ALREADY_EXISTS
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Merge data into a document if it still matches a condition
+ * Firestore checks and writes in one transaction, so only one of two concurrent calls succeeds
+ * @param {string} collection - Collection name
+ * @param {string} id - Document id
+ * @param {Function} condition - Gets the current document data, returns true to update it
+ * @param {Object} data - Data to merge into the document
+ * @returns {Promise<Object|null>} The updated document with its id, or null if it is missing or didn't match
+ */
+async function updateDocumentIf(collection, id, condition, data) {
+  if (!useFirestore()) {
+    const documents = getMemoryCollection(collection);
+    const existing = documents.get(id);
+    if (!existing || !condition(existing)) {
+      return null;
+    }
+    const updated = { ...existing, ...data };
+    documents.set(id, updated);
+    return { id, ...updated };
+  }
+
+  const firestore = admin.firestore();
+  const ref = firestore.collection(collection).doc(id);
+  return firestore.runTransaction(async transaction => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists || !condition(snapshot.data())) {
+      return null;
+    }
+    transaction.set(ref, data, { merge: true });
+    return { id, ...snapshot.data(), ...data };
+  });
+}
+
+/**
+ * Delete a document
+ * @param {string} collection - Collection name
+ * @param {string} id - Document id
+ * @returns {Promise<void>}
+ */
+async function deleteDocument(collection, id) {
+  if (!useFirestore()) {
+    getMemoryCollection(collection).delete(id);
+    return;
+  }
+
+  await admin.firestore().collection(collection).doc(id).delete();
+}
+
+/**
+ * List documents, optionally matching field values
+ * @param {string} collection - Collection name
+ * @param {Object} where - Field values documents must be equal to
+ * @param {Object} options - Options
+ * @param {string} options.orderBy - Field to sort documents by, ascending
+ * @param {*} options.endAt - Only list documents whose orderBy field is at most this value
+ * @param {number} options.limit - Most documents to list
+ * @returns {Promise<Object[]>} Matching documents with their ids
+ */
+async function queryDocuments(collection, where = {}, { orderBy, endAt, limit } = {}) {
+  const conditions = Object.entries(where);
+
+  if (!useFirestore()) {
+    let documents = Array.from(getMemoryCollection(collection).entries())
+      .filter(([, data]) => conditions.every(([field, value]) => data[field] === value))
+      .map(([id, data]) => ({ id, ...data }));
+    if (orderBy) {
+      documents = documents
+        .filter(document => endAt === undefined || document[orderBy] <= endAt)
+        .sort((a, b) => (a[orderBy] < b[orderBy] ? -1 : a[orderBy] > b[orderBy] ? 1 : 0));
+    }
+    return limit ? documents.slice(0, limit) : documents;
+  }
+
+  let query = admin.firestore().collection(collection);
+  conditions.forEach(([field, value]) => {
+    query = query.where(field, "==", value);
+  });
+  if (orderBy) {
+    query = query.orderBy(orderBy);
+    if (endAt !== undefined) {
+      query = query.endAt(endAt);
+    }
+  }
+  if (limit) {
+    query = query.limit(limit);
+  }
+
+  const snapshot = await query.get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  getDocument,
+  setDocument,
+  createDocument,
+  updateDocumentIf,
+  deleteDocument,
+  queryDocuments
+};
\ No newline at end of file
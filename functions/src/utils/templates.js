@@ -0,0 +1,292 @@
+const config = require("./config");
+const { buildEmbed } = require("./discord");
+
+// Integrations templates can be written for
+const TEMPLATE_SOURCES = ["github", "gitlab", "trello", "jira"];
+
+// Embed properties a template may set, and the properties of their nested objects
+const EMBED_PROPERTIES = {
+  title: "string",
+  description: "string",
+  url: "string",
+  color: "number",
+  author: ["name", "url", "icon_url"],
+  footer: ["text", "icon_url"],
+  thumbnail: ["url"],
+  image: ["url"],
+  fields: ["name", "value", "inline"]
+};
+
+// Matches a placeholder such as {{ pull_request.user.login }}
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+// Valid placeholder paths: dot separated names or array indexes, e.g. commits.0.message
+const PATH_PATTERN = /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+
+// Parsed templates, or the error they failed with, cached for as long as the
+// config value doesn't change
+let cache = { raw: null, templates: null, error: null };
+
+/**
+ * Check the placeholders in a template string
+ * @param {string} value - Template string
+ * @param {string} location - Where the string is, for error messages
+ * @param {string[]} errors - List the problems are added to
+ */
+function validateTemplateString(value, location, errors) {
+  const withoutPlaceholders = value.replace(PLACEHOLDER_PATTERN, (match, path) => {
+    if (!PATH_PATTERN.test(path)) {
+      errors.push(`${location}: invalid placeholder "${match}"`);
+    }
+    return "";
+  });
+
+  if (withoutPlaceholders.includes("{{") || withoutPlaceholders.includes("}}")) {
+    errors.push(`${location}: unclosed placeholder`);
+  }
+}
+
+/**
+ * Check a nested embed object (author, footer, thumbnail, image or a field)
+ * @param {Object} value - Nested object from the template
+ * @param {string[]} allowed - Property names it may have
+ * @param {string} location - Where the object is, for error messages
+ * @param {string[]} errors - List the problems are added to
+ */
+function validateNestedObject(value, allowed, location, errors) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`${location}: must be an object`);
+    return;
+  }
+
+  for (const [key, nested] of Object.entries(value)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${location}: unknown field "${key}" (expected ${allowed.join(", ")})`);
+    } else if (key === "inline") {
+      if (typeof nested !== "boolean") {
+        errors.push(`${location}.inline: must be true or false`);
+      }
+    } else if (typeof nested !== "string") {
+      errors.push(`${location}.${key}: must be a string`);
+    } else {
+      validateTemplateString(nested, `${location}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * Check a single embed template
+ * @param {Object} template - Embed template
+ * @param {string} location - Template name, for error messages
+ * @param {string[]} errors - List the problems are added to
+ */
+function validateTemplate(template, location, errors) {
+  if (!template || typeof template !== "object" || Array.isArray(template)) {
+    errors.push(`${location}: template must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(template)) {
+    const expected = EMBED_PROPERTIES[key];
+
+    if (!expected) {
+      errors.push(`${location}: unknown field "${key}" (expected ${Object.keys(EMBED_PROPERTIES).join(", ")})`);
+    } else if (key === "fields") {
+      if (!Array.isArray(value)) {
+        errors.push(`${location}.fields: must be an array`);
+        continue;
+      }
+      value.forEach((field, index) => {
+        validateNestedObject(field, expected, `${location}.fields[${index}]`, errors);
+        if (field && (typeof field.name !== "string" || typeof field.value !== "string")) {
+          errors.push(`${location}.fields[${index}]: name and value are required`);
+        }
+      });
+    } else if (Array.isArray(expected)) {
+      validateNestedObject(value, expected, `${location}.${key}`, errors);
+    } else if (typeof value !== expected) {
+      errors.push(`${location}.${key}: must be a ${expected}`);
+    } else if (expected === "string") {
+      validateTemplateString(value, `${location}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * Validate message templates
+ * @param {Object} templates - { github: { "push": template, "pull_request.opened": template }, gitlab: { "merge_request.merge": template }, trello: { "createCard": template } }
+ * @throws {Error} - Listing every problem found
+ */
+function validateTemplates(templates) {
+  const errors = [];
+
+  if (!templates || typeof templates !== "object" || Array.isArray(templates)) {
+    errors.push("templates must be an object keyed by integration");
+  } else {
+    for (const [source, sourceTemplates] of Object.entries(templates)) {
+      if (!TEMPLATE_SOURCES.includes(source)) {
+        errors.push(`${source}: unknown integration (expected ${TEMPLATE_SOURCES.join(", ")})`);
+        continue;
+      }
+      if (!sourceTemplates || typeof sourceTemplates !== "object" || Array.isArray(sourceTemplates)) {
+        errors.push(`${source}: must be an object keyed by event type`);
+        continue;
+      }
+      for (const [eventKey, template] of Object.entries(sourceTemplates)) {
+        validateTemplate(template, `${source}.${eventKey}`, errors);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid MESSAGE_TEMPLATES:\n- ${errors.join("\n- ")}`);
+  }
+}
+
+/**
+ * Load and validate the message templates from config
+ * Each config value is only parsed and validated once; an invalid one keeps
+ * failing with the same error until it changes.
+ * @returns {Object} - Validated templates
+ * @throws {Error} - If the templates are not valid JSON or fail validation
+ */
+function loadTemplates() {
+  const raw = config.getMessageTemplates();
+  if (cache.raw === raw) {
+    if (cache.error) {
+      throw cache.error;
+    }
+    return cache.templates;
+  }
+
+  try {
+    let templates;
+    try {
+      templates = JSON.parse(raw || "{}");
+    } catch (error) {
+      throw new Error(`MESSAGE_TEMPLATES is not valid JSON: ${error.message}`);
+    }
+
+    validateTemplates(templates);
+    cache = { raw, templates, error: null };
+    return templates;
+  } catch (error) {
+    console.error(`${error.message}\nMessage templates are disabled until MESSAGE_TEMPLATES is fixed`);
+    cache = { raw, templates: null, error };
+    throw error;
+  }
+}
+
+/**
+ * Validate the message templates before any event needs them
+ * Called when a function instance starts, which is whenever MESSAGE_TEMPLATES
+ * changes, so every problem is logged then and not when a matching event arrives.
+ * @returns {boolean} - True if the templates are valid
+ */
+function checkTemplates() {
+  try {
+    loadTemplates();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Look up a dot separated path in a payload
+ * @param {Object} payload - Webhook payload
+ * @param {string} path - Path such as "pull_request.user.login" or "commits.0.message"
+ * @returns {*} - The value, or undefined if any part is missing
+ */
+function getPath(payload, path) {
+  return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), payload);
+}
+
+/**
+ * Render a template string against a payload
+ * Missing values render as empty strings and objects render as JSON.
+ * @param {string} value - Template string
+ * @param {Object} payload - Webhook payload
+ * @returns {string} - Rendered string
+ */
+function renderString(value, payload) {
+  return value.replace(PLACEHOLDER_PATTERN, (match, path) => {
+    const resolved = getPath(payload, path);
+    if (resolved === null || resolved === undefined) {
+      return "";
+    }
+    return typeof resolved === "object" ? JSON.stringify(resolved) : String(resolved);
+  });
+}
+
+/**
+ * Render an embed template against a payload
+ * @param {Object} template - Embed template
+ * @param {Object} payload - Webhook payload
+ * @returns {Object} - Rendered embed properties
+ */
+function renderTemplate(template, payload) {
+  const render = value => (typeof value === "string" ? renderString(value, payload) : value);
+  const renderObject = object => Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key, render(value)])
+  );
+
+  const rendered = {};
+  for (const [key, value] of Object.entries(template)) {
+    if (key === "fields") {
+      rendered.fields = value
+        .map(renderObject)
+        .filter(field => field.name && field.value); // Discord rejects empty fields
+    } else if (value && typeof value === "object") {
+      rendered[key] = renderObject(value);
+    } else {
+      rendered[key] = render(value);
+    }
+  }
+  return rendered;
+}
+
+/**
+ * Replace parts of a built-in embed with the user's template for the event
+ * The first key that has a template is used; embeds without one are returned unchanged,
+ * as are all embeds while MESSAGE_TEMPLATES is invalid (the error is logged by loadTemplates).
+ * @param {string} source - Integration name ("github", "gitlab", "trello" or "jira")
+ * @param {string[]} eventKeys - Template keys to try, most specific first, e.g. ["pull_request.opened", "pull_request"]
+ * @param {Object} payload - Webhook payload the template is rendered against
+ * @param {Object} embed - Built-in embed
+ * @returns {Object} - Embed with the template's properties rendered over it, within Discord's limits
+ */
+function applyTemplate(source, eventKeys, payload, embed) {
+  let templates;
+  try {
+    templates = loadTemplates();
+  } catch (error) {
+    return embed;
+  }
+
+  const sourceTemplates = templates[source] || {};
+  const eventKey = eventKeys.find(key => key && sourceTemplates[key]);
+  if (!eventKey) {
+    return embed;
+  }
+
+  const rendered = renderTemplate(sourceTemplates[eventKey], payload);
+  const merged = { ...embed, ...rendered };
+
+  // Nested objects keep the built-in properties the template doesn't set
+  for (const key of ["author", "footer", "thumbnail", "image"]) {
+    if (rendered[key] && embed[key]) {
+      merged[key] = { ...embed[key], ...rendered[key] };
+    }
+  }
+  return buildEmbed(merged);
+}
+
+module.exports = {
+  validateTemplate,
+  validateTemplates,
+  loadTemplates,
+  checkTemplates,
+  renderTemplate,
+  applyTemplate
+};
\ No newline at end of file
@@ -0,0 +1,217 @@
+const { expect } = require('chai');
+const fetch = require('node-fetch').default || require('node-fetch');
+const crypto = require('crypto');
+
+describe('Discord Delivery Tests', () => {
+  // GitHub push event for a repository routed to one of the mock's failing webhooks
+  const createPushPayload = (repository) => ({
+    ref: 'refs/heads/main',
+    repository: {
+      name: repository,
+      full_name: `user/${repository}`,
+      html_url: `https://github.com/user/${repository}`
+    },
+    commits: [
+      {
+        id: '1234567890abcdef1234567890abcdef12345678',
+        message: 'Test commit message',
+        url: `https://github.com/user/${repository}/commit/1234567`,
+        author: {
+          name: 'Test User',
+          email: 'test@example.com'
+        }
+      }
+    ],
+    sender: {
+      login: 'testuser',
+      html_url: 'https://github.com/testuser',
+      avatar_url: 'https://avatars.githubusercontent.com/u/12345'
+    },
+    compare: `https://github.com/user/${repository}/compare/abc...def`
+  });
+
+  // Create signature for GitHub webhook
+  const createSignature = (payload, secret) => {
+    const hmac = crypto.createHmac('sha256', secret);
+    const digest = hmac.update(JSON.stringify(payload)).digest('hex');
+    return `sha256=${digest}`;
+  };
+
+  const sendPush = (functionsUrl, repository) => {
+    const payload = createPushPayload(repository);
+    return fetch(`${functionsUrl}/githubNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'push',
+        'X-Hub-Signature-256': createSignature(payload, 'test-github-secret')
+      },
+      body: JSON.stringify(payload)
+    });
+  };
+
+  it('should wait for retry_after and retry when Discord rate limits', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const response = await sendPush(functionsUrl, 'rate-limited-repo');
+    expect(response.status).to.equal(200);
+
+    // The first attempt was rate limited, the second one got through
+    const responseBody = await response.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('rate-limited');
+    expect(responseBody.discord_response.attempts).to.equal(2);
+    expect(responseBody.discord_response.echo.embeds[0].title).to.include('rate-limited-repo');
+  });
+
+  it('should retry when Discord returns a server error', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const response = await sendPush(functionsUrl, 'flaky-repo');
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('flaky');
+    expect(responseBody.discord_response.attempts).to.equal(2);
+  });
+
+  it('should deliver events for batched routes once the batch window closes', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const response = await sendPush(functionsUrl, 'batched-repo');
+    expect(response.status).to.equal(200);
+
+    // The embed is sent as part of a batch for the routed webhook
+    const responseBody = await response.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('batched');
+    expect(responseBody.discord_response.echo.embeds).to.be.an('array').that.is.not.empty;
+    const titles = responseBody.discord_response.echo.embeds.map(embed => embed.title);
+    expect(titles.some(title => title.includes('batched-repo'))).to.equal(true);
+  });
+
+  const manageQueue = (functionsUrl, params = {}, options = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return fetch(`${functionsUrl}/manageDiscordQueue?${query}`, {
+      ...options,
+      headers: {
+        Authorization: 'Bearer test-admin-api-key',
+        ...options.headers
+      }
+    });
+  };
+
+  // Queue a message that cannot be delivered and return its id
+  const queueUndeliverableMessage = async (functionsUrl) => {
+    const response = await sendPush(functionsUrl, 'unavailable-repo');
+    expect(response.status).to.equal(202);
+
+    const responseBody = await response.json();
+    expect(responseBody.queued).to.be.an('array').that.has.lengthOf(1);
+    return responseBody.queued[0];
+  };
+
+  it('should queue the message for retry after repeated server errors', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const response = await sendPush(functionsUrl, 'unavailable-repo');
+
+    // The event is accepted and kept for a later attempt
+    expect(response.status).to.equal(202);
+
+    const responseBody = await response.json();
+    expect(responseBody.queued).to.be.an('array').that.has.lengthOf(1);
+    expect(responseBody.discord_responses).to.be.an('array').that.is.empty;
+  });
+
+  it('should list queued messages on the admin endpoint', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const messageId = await queueUndeliverableMessage(functionsUrl);
+
+    const response = await manageQueue(functionsUrl);
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const queuedMessage = responseBody.pending.find(message => message.id === messageId);
+    expect(queuedMessage).to.exist;
+    expect(queuedMessage.attempts).to.equal(1);
+    expect(queuedMessage.source).to.deep.equal({ integration: 'github', event: 'push' });
+    expect(queuedMessage.embed.title).to.include('unavailable-repo');
+  });
+
+  it('should move messages to dead letters once they run out of attempts', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const messageId = await queueUndeliverableMessage(functionsUrl);
+
+    // The test configuration allows two attempts, so one more failure dead-letters it
+    const drainResponse = await manageQueue(functionsUrl, { action: 'drain' }, { method: 'POST' });
+    expect(drainResponse.status).to.equal(200);
+
+    const drainBody = await drainResponse.json();
+    const result = drainBody.results.find(r => r.id === messageId);
+    expect(result.delivered).to.equal(false);
+    expect(result.deadLettered).to.equal(true);
+
+    const listBody = await (await manageQueue(functionsUrl)).json();
+    expect(listBody.pending.map(message => message.id)).to.not.include(messageId);
+
+    const deadLetter = listBody.deadLetters.find(message => message.id === messageId);
+    expect(deadLetter).to.exist;
+    expect(deadLetter.attempts).to.equal(2);
+    expect(deadLetter.lastError).to.include('502');
+  });
+
+  it('should replay and discard dead letters', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const messageId = await queueUndeliverableMessage(functionsUrl);
+    await manageQueue(functionsUrl, { action: 'drain' }, { method: 'POST' });
+
+    // Replaying puts the message back in the queue; Discord is still down
+    const replayResponse = await manageQueue(functionsUrl, { action: 'replay', id: messageId }, { method: 'POST' });
+    expect(replayResponse.status).to.equal(200);
+
+    const replayBody = await replayResponse.json();
+    expect(replayBody.delivered).to.equal(false);
+    expect(replayBody.deadLettered).to.equal(false);
+
+    // Fail it again, then discard it
+    await manageQueue(functionsUrl, { action: 'drain' }, { method: 'POST' });
+    const deleteResponse = await manageQueue(functionsUrl, { id: messageId }, { method: 'DELETE' });
+    expect(deleteResponse.status).to.equal(200);
+
+    const listBody = await (await manageQueue(functionsUrl)).json();
+    expect(listBody.deadLetters.map(message => message.id)).to.not.include(messageId);
+  });
+
+  it('should reject admin requests without the API key', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const response = await fetch(`${functionsUrl}/manageDiscordQueue`);
+    expect(response.status).to.equal(401);
+  });
+});
\ No newline at end of file
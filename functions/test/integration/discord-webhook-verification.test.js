@@ -1,11 +1,18 @@
 const { expect } = require('chai');
 const fetch = require('node-fetch').default || require('node-fetch');
 const http = require('http');
+const crypto = require('crypto');
 
 describe('Discord Webhook Verification', () => {
   // Instead of using a mock server, we'll check the logs for the Discord message
   // This is more reliable than trying to capture the HTTP requests
 
+  // Create signature for GitHub webhook
+  const createSignature = (payload, secret) => {
+    const digest = crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+    return `sha256=${digest}`;
+  };
+
   it('should correctly process GitHub webhook requests', async () => {
     const functionsUrl = process.env.FUNCTIONS_URL;
     if (!functionsUrl) {
@@ -41,7 +48,7 @@ describe('Discord Webhook Verification', () => {
       headers: {
         'Content-Type': 'application/json',
         'X-GitHub-Event': 'push',
-        'X-Hub-Signature-256': 'sha256=dummy_signature_for_testing'
+        'X-Hub-Signature-256': createSignature(pushPayload, 'test-github-secret')
       },
       body: JSON.stringify(pushPayload)
     });
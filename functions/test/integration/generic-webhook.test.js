@@ -0,0 +1,127 @@
+const { expect } = require('chai');
+const fetch = require('node-fetch').default || require('node-fetch');
+const crypto = require('crypto');
+
+describe('Generic Webhook Integration', () => {
+  const deployPayload = {
+    service: 'api',
+    message: 'Deployed v1.4.2',
+    environment: 'production',
+    color: '#2ea44f',
+    links: { run: 'https://ci.example.com/runs/42' },
+    hosts: [{ name: 'web-1' }, { name: 'web-2' }]
+  };
+
+  // Sign a payload with a source's secret
+  const createSignature = (payload, secret) => {
+    const digest = crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+    return `sha256=${digest}`;
+  };
+
+  // Send a payload to a source of the generic endpoint
+  const sendEvent = (source, payload, secret) => fetch(`${process.env.FUNCTIONS_URL}/genericNotification/${source}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Signature-256': createSignature(payload, secret)
+    },
+    body: JSON.stringify(payload)
+  });
+
+  it('should map payloads to embeds with the source field map', async () => {
+    const response = await sendEvent('deploys', deployPayload, 'test-deploys-secret');
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('generic-deploys');
+
+    const embed = responseBody.discord_response.echo.embeds[0];
+    expect(embed.title).to.equal('api');
+    expect(embed.description).to.equal('Deployed v1.4.2');
+    expect(embed.url).to.equal('https://ci.example.com/runs/42');
+    expect(embed.color).to.equal(0x2EA44F);
+    expect(embed.fields).to.deep.equal([
+      { name: 'Environment', value: 'production', inline: true },
+      { name: 'Hosts', value: 'web-1, web-2', inline: false }
+    ]);
+    expect(embed.footer.text).to.equal('deploys');
+  });
+
+  it('should render the source template', async () => {
+    const payload = { job: 'nightly-backup', result: { exit_code: 0 } };
+    const response = await sendEvent('cron', payload, 'test-cron-secret');
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const embed = responseBody.discord_response.echo.embeds[0];
+    expect(embed.title).to.equal('Cron job nightly-backup finished');
+    expect(embed.description).to.equal('Exit code 0');
+  });
+
+  it('should show the payload as JSON for sources without a mapping', async () => {
+    const payload = { hello: 'world' };
+    const response = await sendEvent('raw', payload, 'test-raw-secret');
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const embed = responseBody.discord_response.echo.embeds[0];
+    expect(embed.title).to.equal('raw notification');
+    expect(embed.description).to.include('"hello": "world"');
+  });
+
+  it('should accept the source name as a query parameter', async () => {
+    const payload = { job: 'cleanup', result: { exit_code: 1 } };
+    const response = await fetch(`${process.env.FUNCTIONS_URL}/genericNotification?source=cron`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Signature-256': createSignature(payload, 'test-cron-secret')
+      },
+      body: JSON.stringify(payload)
+    });
+    expect(response.status).to.equal(200);
+  });
+
+  it('should reject payloads signed with another source\'s secret', async () => {
+    const response = await sendEvent('deploys', deployPayload, 'test-cron-secret');
+
+    expect(response.status).to.equal(403);
+  });
+
+  it('should reject unsigned payloads', async () => {
+    const response = await fetch(`${process.env.FUNCTIONS_URL}/genericNotification/deploys`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(deployPayload)
+    });
+
+    expect(response.status).to.equal(403);
+  });
+
+  it('should return 404 for unknown sources', async () => {
+    const response = await sendEvent('unknown', deployPayload, 'test-deploys-secret');
+
+    expect(response.status).to.equal(404);
+  });
+
+  it('should return 404 for names inherited from Object.prototype', async () => {
+    for (const name of ['constructor', '__proto__', 'toString']) {
+      const response = await sendEvent(name, deployPayload, 'test-deploys-secret');
+      expect(response.status).to.equal(404);
+    }
+  });
+
+  it('should find the source when the path still starts with the function name', async () => {
+    const response = await sendEvent('genericNotification/deploys', deployPayload, 'test-deploys-secret');
+
+    expect(response.status).to.equal(200);
+  });
+
+  it('should reject unsupported HTTP methods', async () => {
+    const response = await fetch(`${process.env.FUNCTIONS_URL}/genericNotification/deploys`, {
+      method: 'GET'
+    });
+
+    expect(response.status).to.equal(405);
+  });
+});
\ No newline at end of file
@@ -1,6 +1,8 @@
 const { expect } = require('chai');
 const fetch = require('node-fetch').default || require('node-fetch');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 describe('GitHub Webhook Integration', () => {
   // GitHub push event sample payload
@@ -53,6 +55,102 @@ describe('GitHub Webhook Integration', () => {
     }
   };
 
+  // GitHub pull request review event sample payload
+  const createReviewPayload = (state) => ({
+    action: 'submitted',
+    repository: {
+      name: 'test-repo',
+      full_name: 'user/test-repo',
+      html_url: 'https://github.com/user/test-repo'
+    },
+    review: {
+      id: 456,
+      state,
+      body: 'Looks good to me',
+      html_url: 'https://github.com/user/test-repo/pull/123#pullrequestreview-456',
+      user: {
+        login: 'reviewer'
+      }
+    },
+    pull_request: {
+      number: 123,
+      html_url: 'https://github.com/user/test-repo/pull/123',
+      title: 'Test Pull Request'
+    },
+    sender: {
+      login: 'reviewer',
+      html_url: 'https://github.com/reviewer',
+      avatar_url: 'https://avatars.githubusercontent.com/u/67890'
+    }
+  });
+
+  // GitHub pull request review comment event sample payload
+  const reviewCommentPayload = {
+    action: 'created',
+    repository: {
+      name: 'test-repo',
+      full_name: 'user/test-repo',
+      html_url: 'https://github.com/user/test-repo'
+    },
+    comment: {
+      id: 789,
+      body: 'This should handle the empty case',
+      path: 'src/index.js',
+      line: 42,
+      html_url: 'https://github.com/user/test-repo/pull/123#discussion_r789',
+      user: {
+        login: 'reviewer'
+      }
+    },
+    pull_request: {
+      number: 123,
+      html_url: 'https://github.com/user/test-repo/pull/123',
+      title: 'Test Pull Request'
+    },
+    sender: {
+      login: 'reviewer',
+      html_url: 'https://github.com/reviewer',
+      avatar_url: 'https://avatars.githubusercontent.com/u/67890'
+    }
+  };
+
+  // GitHub workflow_run event sample payload
+  const createWorkflowRunPayload = (repo, conclusion, status = 'completed') => ({
+    action: status === 'completed' ? 'completed' : 'requested',
+    repository: {
+      name: repo,
+      full_name: `user/${repo}`,
+      html_url: `https://github.com/user/${repo}`
+    },
+    workflow_run: {
+      id: 555,
+      name: 'CI',
+      status,
+      conclusion: status === 'completed' ? conclusion : null,
+      head_branch: 'main',
+      head_sha: 'abcdef1234567890abcdef1234567890abcdef12',
+      html_url: `https://github.com/user/${repo}/actions/runs/555`,
+      run_started_at: '2024-01-01T10:00:00Z',
+      updated_at: '2024-01-01T10:03:12Z'
+    },
+    sender: {
+      login: 'testuser',
+      html_url: 'https://github.com/testuser',
+      avatar_url: 'https://avatars.githubusercontent.com/u/12345'
+    }
+  });
+
+  // Send a GitHub event to the webhook endpoint
+  const sendEvent = (eventType, payload) => fetch(`${process.env.FUNCTIONS_URL}/githubNotification`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': eventType,
+      'X-Hub-Signature-256': createSignature(payload, 'test-github-secret')
+    },
+    body: JSON.stringify(payload)
+  });
+
   // Create signature for GitHub webhook
   const createSignature = (payload, secret) => {
     const hmac = crypto.createHmac('sha256', secret);
@@ -60,6 +158,23 @@ describe('GitHub Webhook Integration', () => {
     return `sha256=${digest}`;
   };
 
+  // Sign raw body bytes the way GitHub does
+  const signBody = (body, secret, algorithm) => {
+    const digest = crypto.createHmac(algorithm, secret).update(body).digest('hex');
+    return `${algorithm}=${digest}`;
+  };
+
+  // Send raw body bytes to the webhook endpoint, exactly as given
+  const sendRawEvent = (eventType, body, signatureHeaders) => fetch(`${process.env.FUNCTIONS_URL}/githubNotification`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': eventType,
+      ...signatureHeaders
+    },
+    body
+  });
+
   it('should handle GitHub push events and forward to Discord', async () => {
     const functionsUrl = process.env.FUNCTIONS_URL;
     if (!functionsUrl) {
@@ -149,14 +264,14 @@ describe('GitHub Webhook Integration', () => {
     expect(embed.footer.text).to.equal('GitHub');
   });
 
-  it('should process requests with invalid signatures in test mode', async () => {
+  it('should reject requests with invalid or missing signatures', async () => {
     const functionsUrl = process.env.FUNCTIONS_URL;
     if (!functionsUrl) {
       throw new Error('FUNCTIONS_URL environment variable not set');
     }
 
-    // Send with invalid signature
-    const response = await fetch(`${functionsUrl}/githubNotification`, {
+    // A signature of a different length must be rejected, not make the comparison throw
+    const invalid = await fetch(`${functionsUrl}/githubNotification`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -165,14 +280,63 @@ describe('GitHub Webhook Integration', () => {
       },
       body: JSON.stringify(pushPayload)
     });
+    expect(invalid.status).to.equal(403);
+
+    const wrongSecret = await fetch(`${functionsUrl}/githubNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'push',
+        'X-Hub-Signature-256': createSignature(pushPayload, 'wrong-secret')
+      },
+      body: JSON.stringify(pushPayload)
+    });
+    expect(wrongSecret.status).to.equal(403);
+
+    const unsigned = await fetch(`${functionsUrl}/githubNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'push'
+      },
+      body: JSON.stringify(pushPayload)
+    });
+    expect(unsigned.status).to.equal(403);
+  });
+
+  it('should verify signatures against the raw body as GitHub sent it', async () => {
+    // Pretty-printed with non-ASCII text, so re-serializing the parsed body would not match
+    const body = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'github', 'push.json'));
+    const response = await sendRawEvent('push', body, {
+      'X-Hub-Signature-256': signBody(body, 'test-github-secret', 'sha256')
+    });
 
-    // In test mode, webhook should accept the request despite invalid signature
     expect(response.status).to.equal(200);
-    
-    // Verify we get a response with Discord data
     const responseBody = await response.json();
-    expect(responseBody).to.have.property('discord_response');
-    expect(responseBody.discord_response).to.have.property('success', true);
+    expect(responseBody.discord_response.echo.embeds[0].title).to.equal('[fixture-repo] Push to main');
+  });
+
+  it('should fall back to the legacy SHA-1 signature header', async () => {
+    const body = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'github', 'push.json'));
+
+    const signed = await sendRawEvent('push', body, {
+      'X-Hub-Signature': signBody(body, 'test-github-secret', 'sha1')
+    });
+    expect(signed.status).to.equal(200);
+
+    const invalid = await sendRawEvent('push', body, {
+      'X-Hub-Signature': signBody(body, 'wrong-secret', 'sha1')
+    });
+    expect(invalid.status).to.equal(403);
+  });
+
+  it('should accept signatures from any active secret while a secret is rotated', async () => {
+    const body = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'github', 'push.json'));
+    const response = await sendRawEvent('push', body, {
+      'X-Hub-Signature-256': signBody(body, 'test-github-secret-previous', 'sha256')
+    });
+
+    expect(response.status).to.equal(200);
   });
 
   it('should reject unsupported HTTP methods', async () => {
@@ -213,4 +377,727 @@ describe('GitHub Webhook Integration', () => {
     // Webhook should return 202 Accepted for unsupported events
     expect(response.status).to.equal(202);
   });
+
+  it('should deliver events to every webhook routed for the repository', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const routedPayload = {
+      ...pushPayload,
+      repository: {
+        ...pushPayload.repository,
+        name: 'routed-repo',
+        full_name: 'user/routed-repo'
+      }
+    };
+    const signature = createSignature(routedPayload, 'test-github-secret');
+
+    const response = await fetch(`${functionsUrl}/githubNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'push',
+        'X-Hub-Signature-256': signature
+      },
+      body: JSON.stringify(routedPayload)
+    });
+
+    expect(response.status).to.equal(200);
+
+    // Both routed webhooks should have received the embed
+    const responseBody = await response.json();
+    expect(responseBody.discord_responses).to.be.an('array').that.has.lengthOf(2);
+    const webhookIds = responseBody.discord_responses.map(r => r.webhook_id);
+    expect(webhookIds).to.have.members(['routed-a', 'routed-b']);
+    responseBody.discord_responses.forEach(discordResponse => {
+      expect(discordResponse.echo.embeds[0].title).to.include('routed-repo');
+    });
+  });
+
+  it('should fall back to the default webhook for unrouted repositories', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const signature = createSignature(pushPayload, 'test-github-secret');
+
+    const response = await fetch(`${functionsUrl}/githubNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'push',
+        'X-Hub-Signature-256': signature
+      },
+      body: JSON.stringify(pushPayload)
+    });
+
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_responses).to.be.an('array').that.has.lengthOf(1);
+    expect(responseBody.discord_response.webhook_id).to.equal('123456789');
+  });
+
+  it('should handle approved pull request reviews with a green embed', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const payload = createReviewPayload('approved');
+    const signature = createSignature(payload, 'test-github-secret');
+
+    const response = await fetch(`${functionsUrl}/githubNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'pull_request_review',
+        'X-Hub-Signature-256': signature
+      },
+      body: JSON.stringify(payload)
+    });
+
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const embed = responseBody.discord_response.echo.embeds[0];
+    expect(embed.title).to.include('Approved');
+    expect(embed.description).to.include('reviewer approved');
+    expect(embed.url).to.equal(payload.review.html_url);
+    expect(embed.color).to.equal(0x2EA44F);
+    expect(embed.fields.find(field => field.name === 'Verdict').value).to.equal('Approved');
+    expect(embed.fields.find(field => field.name === 'Review').value).to.equal('Looks good to me');
+  });
+
+  it('should color-code changes requested and commented reviews', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const expectations = [
+      { state: 'changes_requested', label: 'Changes requested', color: 0xCB2431 },
+      { state: 'commented', label: 'Commented', color: 0x6A737D }
+    ];
+
+    for (const { state, label, color } of expectations) {
+      const payload = createReviewPayload(state);
+      const signature = createSignature(payload, 'test-github-secret');
+
+      const response = await fetch(`${functionsUrl}/githubNotification`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'pull_request_review',
+          'X-Hub-Signature-256': signature
+        },
+        body: JSON.stringify(payload)
+      });
+
+      expect(response.status).to.equal(200);
+
+      const responseBody = await response.json();
+      const embed = responseBody.discord_response.echo.embeds[0];
+      expect(embed.title).to.include(label);
+      expect(embed.color).to.equal(color);
+    }
+  });
+
+  it('should handle inline review comments with the file and line', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const signature = createSignature(reviewCommentPayload, 'test-github-secret');
+
+    const response = await fetch(`${functionsUrl}/githubNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'pull_request_review_comment',
+        'X-Hub-Signature-256': signature
+      },
+      body: JSON.stringify(reviewCommentPayload)
+    });
+
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const embed = responseBody.discord_response.echo.embeds[0];
+    expect(embed.title).to.include('Review comment on pull request #123');
+    expect(embed.url).to.equal(reviewCommentPayload.comment.html_url);
+    expect(embed.fields.find(field => field.name === 'File').value).to.equal('src/index.js:42');
+    expect(embed.fields.find(field => field.name === 'Comment').value).to.equal('This should handle the empty case');
+  });
+
+  it('should post failed workflow runs with conclusion, branch, commit and duration', async () => {
+    const payload = createWorkflowRunPayload('ci-repo', 'failure');
+    const response = await sendEvent('workflow_run', payload);
+
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const embed = responseBody.discord_response.echo.embeds[0];
+    expect(embed.title).to.equal('[ci-repo] Workflow "CI" failed on main');
+    expect(embed.url).to.equal(payload.workflow_run.html_url);
+    expect(embed.color).to.equal(0xCB2431);
+    expect(embed.fields.find(field => field.name === 'Conclusion').value).to.equal('failure');
+    expect(embed.fields.find(field => field.name === 'Branch').value).to.equal('main');
+    expect(embed.fields.find(field => field.name === 'Commit').value).to.include('abcdef1');
+    expect(embed.fields.find(field => field.name === 'Duration').value).to.equal('3m 12s');
+  });
+
+  it('should not post CI runs that have not completed', async () => {
+    const response = await sendEvent('workflow_run', createWorkflowRunPayload('ci-repo', null, 'in_progress'));
+
+    expect(response.status).to.equal(202);
+    expect(await response.text()).to.include('not completed');
+  });
+
+  it('should handle check runs, check suites and commit statuses', async () => {
+    const repository = {
+      name: 'ci-repo',
+      full_name: 'user/ci-repo',
+      html_url: 'https://github.com/user/ci-repo'
+    };
+    const sha = 'abcdef1234567890abcdef1234567890abcdef12';
+
+    const events = [
+      {
+        eventType: 'check_run',
+        payload: {
+          action: 'completed',
+          repository,
+          check_run: {
+            name: 'lint',
+            status: 'completed',
+            conclusion: 'success',
+            head_sha: sha,
+            html_url: 'https://github.com/user/ci-repo/runs/1',
+            started_at: '2024-01-01T10:00:00Z',
+            completed_at: '2024-01-01T10:00:45Z',
+            check_suite: { head_branch: 'main' }
+          }
+        },
+        title: '[ci-repo] Check "lint" passed on main'
+      },
+      {
+        eventType: 'check_suite',
+        payload: {
+          action: 'completed',
+          repository,
+          check_suite: {
+            status: 'completed',
+            conclusion: 'timed_out',
+            head_branch: 'main',
+            head_sha: sha,
+            app: { name: 'GitHub Actions' },
+            created_at: '2024-01-01T10:00:00Z',
+            updated_at: '2024-01-01T11:00:00Z'
+          }
+        },
+        title: '[ci-repo] Check suite "GitHub Actions" timed out on main'
+      },
+      {
+        eventType: 'status',
+        payload: {
+          repository,
+          sha,
+          state: 'error',
+          context: 'ci/jenkins',
+          description: 'Build errored',
+          target_url: 'https://ci.example.com/build/1',
+          branches: [{ name: 'main' }]
+        },
+        title: '[ci-repo] Status "ci/jenkins" errored on main'
+      }
+    ];
+
+    for (const { eventType, payload, title } of events) {
+      const response = await sendEvent(eventType, payload);
+      expect(response.status).to.equal(200);
+
+      const responseBody = await response.json();
+      const embed = responseBody.discord_response.echo.embeds[0];
+      expect(embed.title).to.equal(title);
+      expect(embed.fields.find(field => field.name === 'Commit').value).to.include('abcdef1');
+    }
+  });
+
+  it('should only post failures to routes that ask for failures', async () => {
+    const passed = await sendEvent('workflow_run', createWorkflowRunPayload('ci-failures-repo', 'success'));
+    expect(passed.status).to.equal(202);
+    expect(await passed.text()).to.include('filtered');
+
+    const failed = await sendEvent('workflow_run', createWorkflowRunPayload('ci-failures-repo', 'failure'));
+    expect(failed.status).to.equal(200);
+
+    const responseBody = await failed.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('ci-failures');
+  });
+
+  it('should only post failing to passing transitions to routes that ask for recoveries', async () => {
+    const firstPass = await sendEvent('workflow_run', createWorkflowRunPayload('ci-recoveries-repo', 'success'));
+    expect(firstPass.status).to.equal(202);
+
+    const failed = await sendEvent('workflow_run', createWorkflowRunPayload('ci-recoveries-repo', 'failure'));
+    expect(failed.status).to.equal(202);
+
+    const cancelled = await sendEvent('workflow_run', createWorkflowRunPayload('ci-recoveries-repo', 'cancelled'));
+    expect(cancelled.status).to.equal(202);
+
+    const recovered = await sendEvent('workflow_run', createWorkflowRunPayload('ci-recoveries-repo', 'success'));
+    expect(recovered.status).to.equal(200);
+
+    const responseBody = await recovered.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('ci-recoveries');
+    expect(responseBody.discord_response.echo.embeds[0].title).to.include('passed');
+
+    const stillPassing = await sendEvent('workflow_run', createWorkflowRunPayload('ci-recoveries-repo', 'success'));
+    expect(stillPassing.status).to.equal(202);
+  });
+
+  it('should handle published releases with the tag, notes and assets', async () => {
+    const payload = {
+      action: 'published',
+      repository: pushPayload.repository,
+      release: {
+        tag_name: 'v1.2.0',
+        name: 'Version 1.2.0',
+        body: '## Changes\n' + 'x'.repeat(1200),
+        prerelease: false,
+        html_url: 'https://github.com/user/test-repo/releases/tag/v1.2.0',
+        assets: [
+          {
+            name: 'app-linux.tar.gz',
+            size: 2516582,
+            browser_download_url: 'https://github.com/user/test-repo/releases/download/v1.2.0/app-linux.tar.gz'
+          },
+          {
+            name: 'checksums.txt',
+            size: 512,
+            browser_download_url: 'https://github.com/user/test-repo/releases/download/v1.2.0/checksums.txt'
+          }
+        ]
+      },
+      sender: pushPayload.sender
+    };
+
+    const response = await sendEvent('release', payload);
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const embed = responseBody.discord_response.echo.embeds[0];
+    expect(embed.title).to.equal('[test-repo] Release published: Version 1.2.0');
+    expect(embed.url).to.equal(payload.release.html_url);
+    expect(embed.fields.find(field => field.name === 'Tag').value).to.equal('`v1.2.0`');
+
+    const notes = embed.fields.find(field => field.name === 'Release notes').value;
+    expect(notes).to.have.lengthOf(1024);
+    expect(notes.endsWith('...')).to.equal(true);
+
+    const assets = embed.fields.find(field => field.name === 'Assets (2)').value;
+    expect(assets).to.include('[app-linux.tar.gz](https://github.com/user/test-repo/releases/download/v1.2.0/app-linux.tar.gz) (2.4 MB)');
+    expect(assets).to.include('[checksums.txt]');
+    expect(assets).to.include('(512 B)');
+  });
+
+  it('should post compact embeds for branch and tag creation and deletion', async () => {
+    const events = [
+      {
+        eventType: 'create',
+        payload: { ref: 'feature/login', ref_type: 'branch' },
+        title: '[test-repo] testuser created branch feature/login',
+        url: 'https://github.com/user/test-repo/tree/feature/login'
+      },
+      {
+        eventType: 'delete',
+        payload: { ref: 'v0.9.0', ref_type: 'tag' },
+        title: '[test-repo] testuser deleted tag v0.9.0',
+        url: 'https://github.com/user/test-repo'
+      }
+    ];
+
+    for (const { eventType, payload, title, url } of events) {
+      const response = await sendEvent(eventType, {
+        ...payload,
+        repository: pushPayload.repository,
+        sender: pushPayload.sender
+      });
+      expect(response.status).to.equal(200);
+
+      const responseBody = await response.json();
+      const embed = responseBody.discord_response.echo.embeds[0];
+      expect(embed.title).to.equal(title);
+      expect(embed.url).to.equal(url);
+      expect(embed).to.not.have.property('description');
+      expect(embed.fields).to.be.empty;
+    }
+  });
+
+  it('should handle fork events', async () => {
+    const response = await sendEvent('fork', {
+      repository: pushPayload.repository,
+      forkee: {
+        full_name: 'someone/test-repo',
+        html_url: 'https://github.com/someone/test-repo'
+      },
+      sender: pushPayload.sender
+    });
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const embed = responseBody.discord_response.echo.embeds[0];
+    expect(embed.title).to.equal('[test-repo] testuser forked to someone/test-repo');
+    expect(embed.url).to.equal('https://github.com/someone/test-repo');
+  });
+
+  it('should acknowledge redelivered events without posting them again', async () => {
+    const payload = { ...prPayload, action: 'edited' };
+    const sendDelivery = deliveryId => fetch(`${process.env.FUNCTIONS_URL}/githubNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': 'pull_request',
+        'X-GitHub-Delivery': deliveryId,
+        'X-Hub-Signature-256': createSignature(payload, 'test-github-secret')
+      },
+      body: JSON.stringify(payload)
+    });
+
+    const deliveryId = `delivery-${Date.now()}`;
+    const first = await sendDelivery(deliveryId);
+    expect(first.status).to.equal(200);
+    expect(await first.json()).to.have.property('discord_response');
+
+    const redelivered = await sendDelivery(deliveryId);
+    expect(redelivered.status).to.equal(200);
+    expect(await redelivered.text()).to.equal('Duplicate delivery, already processed');
+
+    // A new delivery of the same event is still posted
+    const next = await sendDelivery(`${deliveryId}-next`);
+    expect(next.status).to.equal(200);
+    expect(await next.json()).to.have.property('discord_response');
+  });
+
+  it('should drop events rejected by the repository filter rules with the reason', async () => {
+    const repository = {
+      name: 'filtered-repo',
+      full_name: 'user/filtered-repo',
+      html_url: 'https://github.com/user/filtered-repo'
+    };
+
+    const featurePush = await sendEvent('push', { ...pushPayload, ref: 'refs/heads/feature/x', repository });
+    expect(featurePush.status).to.equal(202);
+    expect(await featurePush.text()).to.equal('Event filtered: Rejected by rule 3 (event "push")');
+
+    const botPush = await sendEvent('push', {
+      ...pushPayload,
+      repository,
+      sender: { ...pushPayload.sender, login: 'dependabot[bot]', type: 'Bot' }
+    });
+    expect(botPush.status).to.equal(202);
+    expect(await botPush.text()).to.equal('Event filtered: Bot events are not posted');
+
+    const synchronize = await sendEvent('pull_request', { ...prPayload, action: 'synchronize', repository });
+    expect(synchronize.status).to.equal(202);
+    expect(await synchronize.text()).to.include('Event filtered');
+  });
+
+  it('should forward events allowed by the repository filter rules', async () => {
+    const repository = {
+      name: 'filtered-repo',
+      full_name: 'user/filtered-repo',
+      html_url: 'https://github.com/user/filtered-repo'
+    };
+
+    const releasePush = await sendEvent('push', { ...pushPayload, ref: 'refs/heads/release/2.0', repository });
+    expect(releasePush.status).to.equal(200);
+
+    const opened = await sendEvent('pull_request', { ...prPayload, repository });
+    expect(opened.status).to.equal(200);
+  });
+
+  it('should render the configured template for an event and action', async () => {
+    const payload = {
+      action: 'reopened',
+      repository: pushPayload.repository,
+      issue: {
+        number: 7,
+        title: 'Crash on start',
+        html_url: 'https://github.com/user/test-repo/issues/7',
+        labels: [{ name: 'bug' }],
+        milestone: null
+      },
+      sender: pushPayload.sender
+    };
+
+    const response = await sendEvent('issues', payload);
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const embed = responseBody.discord_response.echo.embeds[0];
+    expect(embed.title).to.equal('test-repo: issue #7 is back');
+    expect(embed.description).to.equal('testuser reopened "Crash on start"');
+    expect(embed.color).to.equal(16753920);
+    expect(embed.fields).to.deep.equal([{ name: 'Labels', value: 'bug', inline: true }]);
+
+    // Properties the template doesn't set keep the built-in formatting
+    expect(embed.url).to.equal(payload.issue.html_url);
+    expect(embed.footer.text).to.equal('GitHub');
+  });
+
+  it('should keep the built-in formatting for actions without a template', async () => {
+    const response = await sendEvent('issues', {
+      action: 'opened',
+      repository: pushPayload.repository,
+      issue: {
+        number: 8,
+        title: 'Add dark mode',
+        html_url: 'https://github.com/user/test-repo/issues/8',
+        body: ''
+      },
+      sender: pushPayload.sender
+    });
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_response.echo.embeds[0].title).to.include('Issue opened');
+  });
+
+  it('should mention requested reviewers and teams mapped to Discord', async () => {
+    const response = await sendEvent('pull_request', {
+      ...prPayload,
+      action: 'review_requested',
+      requested_reviewer: { login: 'requested-reviewer' },
+      requested_team: { slug: 'backend' }
+    });
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const message = responseBody.discord_response.echo;
+    expect(message.content).to.equal('<@100000000000000001> <@&200000000000000002>');
+    expect(message.allowed_mentions).to.deep.equal({
+      parse: [],
+      users: ['100000000000000001'],
+      roles: ['200000000000000002']
+    });
+  });
+
+  it('should not let unmapped events ping anyone', async () => {
+    const response = await sendEvent('pull_request', {
+      ...prPayload,
+      action: 'review_requested',
+      requested_reviewer: { login: 'unmapped-reviewer' }
+    });
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const message = responseBody.discord_response.echo;
+    expect(message).to.not.have.property('content');
+    expect(message.allowed_mentions).to.deep.equal({ parse: [], users: [], roles: [] });
+  });
+
+  it('should fan out to Discord, Slack and Teams outputs routed for the repository', async () => {
+    const response = await sendEvent('pull_request', {
+      ...prPayload,
+      repository: {
+        name: 'fanout-repo',
+        full_name: 'user/fanout-repo',
+        html_url: 'https://github.com/user/fanout-repo'
+      }
+    });
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_responses).to.have.lengthOf(4);
+
+    const [discord, slack, teams, workflow] = responseBody.discord_responses;
+    expect(discord.echo.embeds[0].title).to.equal('[fanout-repo] Pull Request opened');
+
+    expect(slack.service).to.equal('slack');
+    expect(slack.echo.text).to.equal('[fanout-repo] Pull Request opened');
+    const [slackAttachment] = slack.echo.attachments;
+    expect(slackAttachment.color).to.equal('#2ea44f');
+    expect(slackAttachment.blocks[0].text.text).to.equal(
+      '*<https://github.com/user/test-repo/pull/123|[fanout-repo] Pull Request opened>*\n' +
+      '<https://github.com/user/test-repo/pull/123|#123: Test Pull Request>'
+    );
+
+    expect(teams.service).to.equal('teams');
+    expect(teams.echo['@type']).to.equal('MessageCard');
+    expect(teams.echo.themeColor).to.equal('2EA44F');
+    expect(teams.echo.sections[0].activityTitle).to.equal('[fanout-repo] Pull Request opened');
+    expect(teams.echo.sections[0].facts).to.deep.include({ name: 'State', value: 'open' });
+
+    const card = workflow.echo.attachments[0];
+    expect(card.contentType).to.equal('application/vnd.microsoft.card.adaptive');
+    expect(card.content.type).to.equal('AdaptiveCard');
+    expect(card.content.body[0].text).to.equal('[[fanout-repo] Pull Request opened](https://github.com/user/test-repo/pull/123)');
+  });
+
+  it('should edit one message per pull request on routes in edit mode', async () => {
+    const repository = {
+      name: 'edit-repo',
+      full_name: 'user/edit-repo',
+      html_url: 'https://github.com/user/edit-repo'
+    };
+
+    const opened = await sendEvent('pull_request', { ...prPayload, repository });
+    expect(opened.status).to.equal(200);
+    const openedMessage = (await opened.json()).discord_response;
+    expect(openedMessage.webhook_id).to.equal('edit-in-place');
+    expect(openedMessage).to.not.have.property('edited');
+
+    const approved = await sendEvent('pull_request_review', { ...createReviewPayload('approved'), repository });
+    expect(approved.status).to.equal(200);
+    const approvedMessage = (await approved.json()).discord_response;
+    expect(approvedMessage.id).to.equal(openedMessage.id);
+    expect(approvedMessage.edited).to.equal(true);
+
+    const merged = await sendEvent('pull_request', {
+      ...prPayload,
+      action: 'closed',
+      repository,
+      pull_request: { ...prPayload.pull_request, state: 'closed', merged: true }
+    });
+    expect(merged.status).to.equal(200);
+    const mergedMessage = (await merged.json()).discord_response;
+    expect(mergedMessage.id).to.equal(openedMessage.id);
+
+    const embed = mergedMessage.echo.embeds[0];
+    expect(embed.title).to.equal('[edit-repo] Pull Request closed');
+    const history = embed.fields.find(field => field.name === 'History').value.split('\n');
+    expect(history).to.have.lengthOf(3);
+    expect(history[0]).to.match(/^• Pull Request opened <t:\d+:R>$/);
+    expect(history[1]).to.match(/^• Review on pull request #123: Approved <t:\d+:R>$/);
+    expect(history[2]).to.match(/^• Pull Request closed <t:\d+:R>$/);
+  });
+
+  it('should keep separate messages for different pull requests in edit mode', async () => {
+    const repository = {
+      name: 'edit-repo',
+      full_name: 'user/edit-repo',
+      html_url: 'https://github.com/user/edit-repo'
+    };
+
+    const first = await sendEvent('pull_request', {
+      ...prPayload,
+      repository,
+      pull_request: { ...prPayload.pull_request, number: 200 }
+    });
+    const second = await sendEvent('pull_request', {
+      ...prPayload,
+      repository,
+      pull_request: { ...prPayload.pull_request, number: 201 }
+    });
+
+    const firstMessage = (await first.json()).discord_response;
+    const secondMessage = (await second.json()).discord_response;
+    expect(secondMessage.id).to.not.equal(firstMessage.id);
+    expect(secondMessage).to.not.have.property('edited');
+  });
+
+  it('should post a new message per event on routes without edit mode', async () => {
+    const first = await sendEvent('pull_request', prPayload);
+    const second = await sendEvent('pull_request', { ...prPayload, action: 'reopened' });
+
+    const firstMessage = (await first.json()).discord_response;
+    const secondMessage = (await second.json()).discord_response;
+    expect(secondMessage.id).to.not.equal(firstMessage.id);
+    expect(secondMessage.echo.embeds[0].fields.map(field => field.name)).to.not.include('History');
+  });
+
+  it('should keep one thread per pull request on routes in thread mode', async () => {
+    const repository = {
+      name: 'thread-repo',
+      full_name: 'user/thread-repo',
+      html_url: 'https://github.com/user/thread-repo'
+    };
+
+    const opened = await sendEvent('pull_request', { ...prPayload, repository });
+    expect(opened.status).to.equal(200);
+    const openedMessage = (await opened.json()).discord_response;
+    expect(openedMessage.webhook_id).to.equal('threads');
+    expect(openedMessage.echo.thread_name).to.equal('#123: Test Pull Request');
+
+    const reviewed = await sendEvent('pull_request_review', { ...createReviewPayload('approved'), repository });
+    const commented = await sendEvent('issue_comment', {
+      action: 'created',
+      repository,
+      issue: { number: 123, title: 'Test Pull Request', html_url: 'https://github.com/user/thread-repo/pull/123', pull_request: {} },
+      comment: {
+        body: 'Ready to merge',
+        html_url: 'https://github.com/user/thread-repo/pull/123#issuecomment-1',
+        user: { login: 'reviewer' }
+      },
+      sender: prPayload.sender
+    });
+
+    for (const response of [reviewed, commented]) {
+      expect(response.status).to.equal(200);
+      const message = (await response.json()).discord_response;
+      expect(message.channel_id).to.equal(openedMessage.channel_id);
+      expect(message.echo).to.not.have.property('thread_name');
+    }
+  });
+
+  it('should start a thread of their own for events that are not about a pull request or issue', async () => {
+    const response = await sendEvent('push', {
+      ...pushPayload,
+      repository: {
+        name: 'thread-repo',
+        full_name: 'user/thread-repo',
+        html_url: 'https://github.com/user/thread-repo'
+      }
+    });
+    expect(response.status).to.equal(200);
+
+    const message = (await response.json()).discord_response;
+    expect(message.echo.thread_name).to.equal('[thread-repo] Push to main');
+    expect(message.channel_id).to.equal(message.id);
+  });
+
+  it('should record events for the digest instead of posting them on digest routes', async () => {
+    const repository = {
+      name: 'digest-repo',
+      full_name: 'user/digest-repo',
+      html_url: 'https://github.com/user/digest-repo'
+    };
+
+    const opened = await sendEvent('pull_request', { ...prPayload, repository });
+    expect(opened.status).to.equal(200);
+    expect(await opened.text()).to.equal('Event recorded for the digest');
+
+    const merged = await sendEvent('pull_request', {
+      ...prPayload,
+      action: 'closed',
+      repository,
+      pull_request: { ...prPayload.pull_request, state: 'closed', merged: true }
+    });
+    expect(await merged.text()).to.equal('Event recorded for the digest');
+
+    const response = await fetch(`${process.env.FUNCTIONS_URL}/manageDiscordQueue?action=digest`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer test-admin-api-key' }
+    });
+    expect(response.status).to.equal(200);
+
+    const { results } = await response.json();
+    const digest = results.find(result => result.response?.webhook_id === 'digest');
+    expect(digest).to.include({ period: 'daily', events: 2, delivered: true });
+
+    const embed = digest.response.echo.embeds[0];
+    expect(embed.title).to.equal('Daily digest');
+    expect(embed.fields.map(field => field.name)).to.deep.equal([
+      'Pull requests opened (1)',
+      'Pull requests merged (1)',
+      'Top contributors'
+    ]);
+    expect(embed.fields[2].value).to.equal('1. testuser (2)');
+  });
 });
\ No newline at end of file
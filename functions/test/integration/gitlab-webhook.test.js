@@ -0,0 +1,269 @@
+const { expect } = require('chai');
+const fetch = require('node-fetch').default || require('node-fetch');
+
+describe('GitLab Webhook Integration', () => {
+  const project = {
+    name: 'test-project',
+    path_with_namespace: 'group/test-project',
+    web_url: 'https://gitlab.com/group/test-project'
+  };
+
+  const user = {
+    name: 'Test User',
+    username: 'testuser',
+    avatar_url: 'https://gitlab.com/uploads/user/avatar/1/avatar.png'
+  };
+
+  // GitLab push event sample payload
+  const pushPayload = {
+    object_kind: 'push',
+    ref: 'refs/heads/main',
+    before: '1111111111111111111111111111111111111111',
+    after: '1234567890abcdef1234567890abcdef12345678',
+    user_name: 'Test User',
+    user_username: 'testuser',
+    user_avatar: 'https://gitlab.com/uploads/user/avatar/1/avatar.png',
+    project,
+    commits: [
+      {
+        id: '1234567890abcdef1234567890abcdef12345678',
+        message: 'Test commit message\n\nWith a body',
+        title: 'Test commit message',
+        url: 'https://gitlab.com/group/test-project/-/commit/1234567890abcdef1234567890abcdef12345678',
+        author: {
+          name: 'Test User',
+          email: 'test@example.com'
+        }
+      }
+    ],
+    total_commits_count: 1
+  };
+
+  // GitLab merge request event sample payload
+  const mergeRequestPayload = {
+    object_kind: 'merge_request',
+    user,
+    project,
+    object_attributes: {
+      iid: 12,
+      title: 'Test Merge Request',
+      description: 'This is a test merge request',
+      state: 'opened',
+      action: 'open',
+      source_branch: 'feature/login',
+      target_branch: 'main',
+      url: 'https://gitlab.com/group/test-project/-/merge_requests/12'
+    }
+  };
+
+  // GitLab issue event sample payload
+  const issuePayload = {
+    object_kind: 'issue',
+    user,
+    project,
+    object_attributes: {
+      iid: 7,
+      title: 'Login button is broken',
+      description: 'Clicking it does nothing',
+      state: 'closed',
+      action: 'close',
+      url: 'https://gitlab.com/group/test-project/-/issues/7'
+    }
+  };
+
+  // GitLab note event sample payload, commenting on a line of a merge request diff
+  const notePayload = {
+    object_kind: 'note',
+    user,
+    project,
+    object_attributes: {
+      note: 'This should handle the empty case',
+      noteable_type: 'MergeRequest',
+      type: 'DiffNote',
+      url: 'https://gitlab.com/group/test-project/-/merge_requests/12#note_99',
+      position: {
+        new_path: 'src/index.js',
+        new_line: 42
+      }
+    },
+    merge_request: {
+      iid: 12,
+      title: 'Test Merge Request'
+    }
+  };
+
+  // GitLab pipeline event sample payload
+  const createPipelinePayload = (projectName, status) => ({
+    object_kind: 'pipeline',
+    user,
+    project: {
+      name: projectName,
+      path_with_namespace: `group/${projectName}`,
+      web_url: `https://gitlab.com/group/${projectName}`
+    },
+    object_attributes: {
+      id: 31,
+      ref: 'main',
+      tag: false,
+      sha: 'abcdef1234567890abcdef1234567890abcdef12',
+      status,
+      duration: 192,
+      created_at: '2024-01-01 10:00:00 UTC',
+      finished_at: '2024-01-01 10:03:12 UTC'
+    },
+    builds: [
+      { name: 'lint', stage: 'test', status: 'success' },
+      { name: 'unit', stage: 'test', status: status === 'failed' ? 'failed' : status }
+    ]
+  });
+
+  // Send a GitLab event to the webhook endpoint
+  const sendEvent = (eventHeader, payload, token = 'test-gitlab-secret') => fetch(`${process.env.FUNCTIONS_URL}/gitlabNotification`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Gitlab-Event': eventHeader,
+      'X-Gitlab-Token': token
+    },
+    body: JSON.stringify(payload)
+  });
+
+  // Send an event and return the embed Discord received
+  const sendAndGetEmbed = async (eventHeader, payload) => {
+    const response = await sendEvent(eventHeader, payload);
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_response).to.have.property('success', true);
+    return responseBody.discord_response.echo.embeds[0];
+  };
+
+  it('should handle GitLab push events and forward to Discord', async () => {
+    const embed = await sendAndGetEmbed('Push Hook', pushPayload);
+
+    expect(embed.title).to.equal('[test-project] Push to main');
+    expect(embed.url).to.equal(`${project.web_url}/-/compare/${pushPayload.before}...${pushPayload.after}`);
+    expect(embed.description).to.equal('1 commit(s) pushed');
+    expect(embed.fields[0].name).to.equal('1234567');
+    expect(embed.fields[0].value).to.equal(`[Test commit message](${pushPayload.commits[0].url}) - Test User`);
+    expect(embed.author.name).to.equal('testuser');
+    expect(embed.author.url).to.equal('https://gitlab.com/testuser');
+    expect(embed.footer.text).to.equal('GitLab');
+  });
+
+  it('should handle GitLab merge request events and forward to Discord', async () => {
+    const embed = await sendAndGetEmbed('Merge Request Hook', mergeRequestPayload);
+
+    expect(embed.title).to.equal('[test-project] Merge Request opened');
+    expect(embed.url).to.equal(mergeRequestPayload.object_attributes.url);
+    expect(embed.description).to.include('!12: Test Merge Request');
+    expect(embed.fields.find(field => field.name === 'Branches').value).to.equal('feature/login → main');
+    expect(embed.fields.find(field => field.name === 'Description').value).to.equal('This is a test merge request');
+    expect(embed.author.name).to.equal('testuser');
+  });
+
+  it('should handle GitLab issue events with the issue color', async () => {
+    const embed = await sendAndGetEmbed('Issue Hook', issuePayload);
+
+    expect(embed.title).to.equal('[test-project] Issue closed');
+    expect(embed.description).to.include('#7: Login button is broken');
+    expect(embed.color).to.equal(0xE99455);
+  });
+
+  it('should handle comments on merge request diffs with the file and line', async () => {
+    const embed = await sendAndGetEmbed('Note Hook', notePayload);
+
+    expect(embed.title).to.equal('[test-project] Comment on merge request !12');
+    expect(embed.url).to.equal(notePayload.object_attributes.url);
+    expect(embed.fields.find(field => field.name === 'File').value).to.equal('src/index.js:42');
+    expect(embed.fields.find(field => field.name === 'Comment').value).to.equal('This should handle the empty case');
+  });
+
+  it('should post failed pipelines with status, branch, commit, duration and failed jobs', async () => {
+    const embed = await sendAndGetEmbed('Pipeline Hook', createPipelinePayload('ci-project', 'failed'));
+
+    expect(embed.title).to.equal('[ci-project] Pipeline #31 failed on main');
+    expect(embed.url).to.equal('https://gitlab.com/group/ci-project/-/pipelines/31');
+    expect(embed.color).to.equal(0xCB2431);
+    expect(embed.fields.find(field => field.name === 'Status').value).to.equal('failed');
+    expect(embed.fields.find(field => field.name === 'Branch').value).to.equal('main');
+    expect(embed.fields.find(field => field.name === 'Commit').value).to.include('abcdef1');
+    expect(embed.fields.find(field => field.name === 'Duration').value).to.equal('3m 12s');
+    expect(embed.fields.find(field => field.name === 'Failed jobs (1)').value).to.equal('test: unit');
+  });
+
+  it('should not post pipelines that have not finished', async () => {
+    const response = await sendEvent('Pipeline Hook', createPipelinePayload('ci-project', 'running'));
+
+    expect(response.status).to.equal(202);
+    expect(await response.text()).to.include('not finished');
+  });
+
+  it('should only post failed pipelines to routes that ask for failures', async () => {
+    const passed = await sendEvent('Pipeline Hook', createPipelinePayload('pipeline-failures-project', 'success'));
+    expect(passed.status).to.equal(202);
+    expect(await passed.text()).to.include('filtered');
+
+    const failed = await sendEvent('Pipeline Hook', createPipelinePayload('pipeline-failures-project', 'failed'));
+    expect(failed.status).to.equal(200);
+
+    const responseBody = await failed.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('gitlab-pipeline-failures');
+  });
+
+  it('should reject requests with a missing or wrong token', async () => {
+    const wrongToken = await sendEvent('Push Hook', pushPayload, 'wrong-secret');
+    expect(wrongToken.status).to.equal(403);
+
+    const missingToken = await fetch(`${process.env.FUNCTIONS_URL}/gitlabNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Gitlab-Event': 'Push Hook'
+      },
+      body: JSON.stringify(pushPayload)
+    });
+    expect(missingToken.status).to.equal(403);
+  });
+
+  it('should reject unsupported HTTP methods', async () => {
+    const response = await fetch(`${process.env.FUNCTIONS_URL}/gitlabNotification`, {
+      method: 'GET'
+    });
+
+    expect(response.status).to.equal(405);
+  });
+
+  it('should handle unsupported event types with 202 status', async () => {
+    const response = await sendEvent('Wiki Page Hook', pushPayload);
+
+    expect(response.status).to.equal(202);
+  });
+
+  it('should deliver events to the webhook routed for the project', async () => {
+    const routedPayload = {
+      ...pushPayload,
+      project: {
+        ...project,
+        name: 'routed-project',
+        path_with_namespace: 'group/routed-project'
+      }
+    };
+
+    const response = await sendEvent('Push Hook', routedPayload);
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_responses).to.be.an('array').that.has.lengthOf(1);
+    expect(responseBody.discord_response.webhook_id).to.equal('gitlab-routed');
+    expect(responseBody.discord_response.echo.embeds[0].title).to.include('routed-project');
+  });
+
+  it('should fall back to the default webhook for unrouted projects', async () => {
+    const response = await sendEvent('Push Hook', pushPayload);
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('123456789');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,212 @@
+const { expect } = require('chai');
+const fetch = require('node-fetch').default || require('node-fetch');
+const crypto = require('crypto');
+
+const issueCreatedPayload = require('../fixtures/jira/issue-created.json');
+const issueTransitionedPayload = require('../fixtures/jira/issue-transitioned.json');
+const issueAssignedPayload = require('../fixtures/jira/issue-assigned.json');
+const commentCreatedPayload = require('../fixtures/jira/comment-created.json');
+
+describe('Jira Integration', () => {
+  const jiraSecret = 'test-jira-secret';
+
+  // Sign a payload the way Jira webhooks with a secret are signed
+  const createSignature = (payload, secret) => {
+    const digest = crypto.createHmac('sha256', secret).update(JSON.stringify(payload)).digest('hex');
+    return `sha256=${digest}`;
+  };
+
+  // Create an HS256 JWT the way Jira Connect apps sign requests
+  const createJwt = (claims, secret) => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+    const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+  };
+
+  // Hash a request the way Connect apps compute the qsh claim
+  const createQsh = (method, path, query = '') =>
+    crypto.createHash('sha256').update(`${method}&${path}&${query}`).digest('hex');
+
+  // Claims of a JWT the Connect app installation issues for a webhook
+  const createClaims = (overrides = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    return { iss: 'jira-connect-app', iat: now, exp: now + 180, qsh: createQsh('POST', '/jiraNotification'), ...overrides };
+  };
+
+  // Send a Jira event to the notification endpoint
+  const sendEvent = (payload, headers = { 'X-Hub-Signature': createSignature(payload, jiraSecret) }) =>
+    fetch(`${process.env.FUNCTIONS_URL}/jiraNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(payload)
+    });
+
+  // Send an event and return the message Discord received
+  const sendAndGetMessage = async payload => {
+    const response = await sendEvent(payload);
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_response).to.have.property('success', true);
+    return responseBody.discord_response.echo;
+  };
+
+  it('should handle created issues with type, priority, assignee and description', async () => {
+    const message = await sendAndGetMessage(issueCreatedPayload);
+    const embed = message.embeds[0];
+
+    expect(embed.title).to.equal('Issue Created');
+    expect(embed.url).to.equal('https://example.atlassian.net/browse/PROJ-1');
+    expect(embed.description).to.equal('Riley Reporter created [PROJ-1: Login button is broken](https://example.atlassian.net/browse/PROJ-1)');
+    expect(embed.fields.find(field => field.name === 'Type').value).to.equal('Bug');
+    expect(embed.fields.find(field => field.name === 'Priority').value).to.equal('High');
+    expect(embed.fields.find(field => field.name === 'Assignee').value).to.equal('Alex Assignee');
+    expect(embed.fields.find(field => field.name === 'Description').value).to.equal('Clicking the login button does nothing.');
+    expect(embed.author.name).to.equal('Riley Reporter');
+    expect(embed.footer.text).to.equal('Jira');
+  });
+
+  it('should show status transitions from the changelog', async () => {
+    const message = await sendAndGetMessage(issueTransitionedPayload);
+    const embed = message.embeds[0];
+
+    expect(embed.title).to.equal('Issue Transitioned');
+    expect(embed.description).to.include('moved [PROJ-1: Login button is broken]');
+    expect(embed.description).to.include('to **Done**');
+    expect(embed.color).to.equal(0x36B37E);
+    expect(embed.fields.find(field => field.name === 'Status').value).to.equal('In Progress → Done');
+    expect(embed.fields.find(field => field.name === 'Resolution').value).to.equal('*(empty)* → Fixed');
+  });
+
+  it('should show assignee changes and mention the new assignee', async () => {
+    const message = await sendAndGetMessage(issueAssignedPayload);
+    const embed = message.embeds[0];
+
+    expect(embed.title).to.equal('Issue Assigned');
+    expect(embed.description).to.include('to **Alex Assignee**');
+    expect(embed.fields.find(field => field.name === 'Assignee').value).to.equal('*(empty)* → Alex Assignee');
+    expect(message.content).to.equal('<@500000000000000005>');
+    expect(message.allowed_mentions.users).to.deep.equal(['500000000000000005']);
+  });
+
+  it('should not mention assignees who changed the issue themselves', async () => {
+    const message = await sendAndGetMessage({
+      ...issueAssignedPayload,
+      user: { ...issueAssignedPayload.user, accountId: 'account-assignee' }
+    });
+
+    expect(message).to.not.have.property('content');
+  });
+
+  it('should handle comments with a link to the comment', async () => {
+    const message = await sendAndGetMessage(commentCreatedPayload);
+    const embed = message.embeds[0];
+
+    expect(embed.title).to.equal('Comment Added');
+    expect(embed.url).to.equal('https://example.atlassian.net/browse/PROJ-1?focusedCommentId=30001');
+    expect(embed.description).to.include('Alex Assignee commented on [PROJ-1: Login button is broken]');
+    expect(embed.fields.find(field => field.name === 'Comment').value).to.equal('I can reproduce this on Safari.');
+  });
+
+  it('should reject requests with an invalid signature', async () => {
+    const response = await sendEvent(issueCreatedPayload, { 'X-Hub-Signature': 'sha256=invalid_signature' });
+
+    expect(response.status).to.equal(403);
+  });
+
+  it('should accept Connect app requests with a valid JWT', async () => {
+    const token = createJwt(createClaims(), jiraSecret);
+    const response = await sendEvent(issueCreatedPayload, { Authorization: `JWT ${token}` });
+
+    expect(response.status).to.equal(200);
+  });
+
+  it('should reject JWTs with a wrong signature or that have expired', async () => {
+    const wrongSecret = createJwt(createClaims(), 'wrong-secret');
+    const wrongSecretResponse = await sendEvent(issueCreatedPayload, { Authorization: `JWT ${wrongSecret}` });
+    expect(wrongSecretResponse.status).to.equal(403);
+
+    const expired = createJwt(createClaims({ exp: Math.floor(Date.now() / 1000) - 3600 }), jiraSecret);
+    const expiredResponse = await sendEvent(issueCreatedPayload, { Authorization: `JWT ${expired}` });
+    expect(expiredResponse.status).to.equal(403);
+  });
+
+  it('should reject JWTs without iat or exp', async () => {
+    for (const claim of ['iat', 'exp']) {
+      const claims = createClaims();
+      delete claims[claim];
+
+      const response = await sendEvent(issueCreatedPayload, { Authorization: `JWT ${createJwt(claims, jiraSecret)}` });
+      expect(response.status).to.equal(403);
+    }
+  });
+
+  it('should reject JWTs issued for another installation', async () => {
+    const token = createJwt(createClaims({ iss: 'other-connect-app' }), jiraSecret);
+    const response = await sendEvent(issueCreatedPayload, { Authorization: `JWT ${token}` });
+
+    expect(response.status).to.equal(403);
+  });
+
+  it('should hash the path under the Connect app base URL, function name included', async () => {
+    // Firebase strips /discord-open-tools/us-central1/jiraNotification from req.path
+    const strippedPath = createJwt(createClaims({ qsh: createQsh('POST', '/') }), jiraSecret);
+    const strippedResponse = await sendEvent(issueCreatedPayload, { Authorization: `JWT ${strippedPath}` });
+    expect(strippedResponse.status).to.equal(403);
+
+    const subPath = createJwt(createClaims({ qsh: createQsh('POST', '/jiraNotification/issues') }), jiraSecret);
+    const subPathResponse = await fetch(`${process.env.FUNCTIONS_URL}/jiraNotification/issues`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `JWT ${subPath}` },
+      body: JSON.stringify(issueCreatedPayload)
+    });
+    expect(subPathResponse.status).to.equal(200);
+  });
+
+  it('should reject JWTs whose query string hash is for another request', async () => {
+    const otherRequest = createJwt(createClaims({ qsh: createQsh('GET', '/rest/api/3/issue') }), jiraSecret);
+    const otherResponse = await sendEvent(issueCreatedPayload, { Authorization: `JWT ${otherRequest}` });
+    expect(otherResponse.status).to.equal(403);
+
+    const claims = createClaims();
+    delete claims.qsh;
+    const missingResponse = await sendEvent(issueCreatedPayload, { Authorization: `JWT ${createJwt(claims, jiraSecret)}` });
+    expect(missingResponse.status).to.equal(403);
+  });
+
+  it('should handle unsupported events with 202 status', async () => {
+    const payload = { ...issueCreatedPayload, webhookEvent: 'jira:worklog_updated' };
+    const response = await sendEvent(payload);
+
+    expect(response.status).to.equal(202);
+  });
+
+  it('should reject unsupported HTTP methods', async () => {
+    const response = await fetch(`${process.env.FUNCTIONS_URL}/jiraNotification`, {
+      method: 'GET'
+    });
+
+    expect(response.status).to.equal(405);
+  });
+
+  it('should deliver events to the webhook routed for the project', async () => {
+    const payload = {
+      ...issueCreatedPayload,
+      issue: {
+        ...issueCreatedPayload.issue,
+        key: 'ROUTED-1',
+        fields: { ...issueCreatedPayload.issue.fields, project: { key: 'ROUTED', name: 'Routed' } }
+      }
+    };
+
+    const response = await sendEvent(payload);
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('jira-routed');
+  });
+});
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { expect } = require('chai');
 const fetch = require('node-fetch').default || require('node-fetch');
+const crypto = require('crypto');
 
 describe('Trello Integration Tests', () => {
   // Sample Trello card created event payload
@@ -168,6 +169,18 @@ describe('Trello Integration Tests', () => {
     }
   };
 
+  // Create signature for Trello webhook (HMAC-SHA1 over body + callback URL)
+  const createSignature = (body, callbackUrl, secret) => {
+    const hmac = crypto.createHmac('sha1', secret);
+    return hmac.update(body + callbackUrl).digest('base64');
+  };
+
+  // Callback URL the function derives from the request host
+  const getCallbackUrl = (functionsUrl) => {
+    const url = new URL(functionsUrl);
+    return `${url.protocol}//${url.hostname}/trelloNotification`;
+  };
+
   it('should handle Trello card created events and forward to Discord', async () => {
     const functionsUrl = process.env.FUNCTIONS_URL;
     if (!functionsUrl) {
@@ -330,7 +343,7 @@ describe('Trello Integration Tests', () => {
     expect(discordPayload.embeds).to.be.an('array').that.has.lengthOf(1);
   });
   
-  it('should filter Trello attachment events and not send to Discord', async () => {
+  it('should send Trello attachment events to Discord on boards without filters of their own', async () => {
     const functionsUrl = process.env.FUNCTIONS_URL;
     if (!functionsUrl) {
       throw new Error('FUNCTIONS_URL environment variable not set');
@@ -347,11 +360,10 @@ describe('Trello Integration Tests', () => {
 
     // Response should be successful
     expect(response.status).to.equal(200);
-    
-    // The response should indicate filtering
-    const responseText = await response.text();
-    expect(responseText).to.include('filtered');
-    expect(responseText).to.not.include('discord_response');
+
+    // Attachments are not on the default deny list, so the embed is delivered
+    const responseBody = await response.json();
+    expect(responseBody.discord_response.echo.embeds[0].title).to.equal('Attachment Added');
   });
 
   it('should filter Trello checklist item events and not send to Discord', async () => {
@@ -377,4 +389,414 @@ describe('Trello Integration Tests', () => {
     expect(responseText).to.include('filtered');
     expect(responseText).to.not.include('discord_response');
   });
+
+  it('should accept Trello events with a valid signature', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const body = JSON.stringify(trelloCardCreatedPayload);
+    const signature = createSignature(body, getCallbackUrl(functionsUrl), 'test-trello-secret');
+
+    // Send a signed Trello event
+    const response = await fetch(`${functionsUrl}/trelloNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Trello-Webhook': signature
+      },
+      body
+    });
+
+    // Response should be successful
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody).to.have.property('discord_response');
+    expect(responseBody.discord_response.echo.embeds[0].title).to.equal('Card Created');
+  });
+
+  it('should reject Trello events with a signature over a different body', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    // Sign the original payload but send a tampered one
+    const signature = createSignature(
+      JSON.stringify(trelloCardCreatedPayload),
+      getCallbackUrl(functionsUrl),
+      'test-trello-secret'
+    );
+    const tamperedPayload = JSON.parse(JSON.stringify(trelloCardCreatedPayload));
+    tamperedPayload.action.data.card.name = 'Forged Card';
+
+    const response = await fetch(`${functionsUrl}/trelloNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Trello-Webhook': signature
+      },
+      body: JSON.stringify(tamperedPayload)
+    });
+
+    // Should return 403 Forbidden
+    expect(response.status).to.equal(403);
+  });
+
+  it('should reject Trello events signed with the wrong secret', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const body = JSON.stringify(trelloCardCreatedPayload);
+    const signature = createSignature(body, getCallbackUrl(functionsUrl), 'wrong-secret');
+
+    const response = await fetch(`${functionsUrl}/trelloNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Trello-Webhook': signature
+      },
+      body
+    });
+
+    // Should return 403 Forbidden
+    expect(response.status).to.equal(403);
+  });
+
+  it('should deliver Trello events to the webhook routed for the board', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const routedPayload = {
+      ...trelloCardCreatedPayload,
+      model: {
+        ...trelloCardCreatedPayload.model,
+        id: 'routed-board'
+      }
+    };
+
+    const response = await fetch(`${functionsUrl}/trelloNotification`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(routedPayload)
+    });
+
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_responses).to.be.an('array').that.has.lengthOf(1);
+    expect(responseBody.discord_response.webhook_id).to.equal('routed-board');
+    expect(responseBody.discord_response.echo.embeds[0].title).to.equal('Card Created');
+  });
+
+  // Send a Trello event for a board
+  const sendToBoard = (payload, boardId, action = {}) => fetch(`${process.env.FUNCTIONS_URL}/trelloNotification`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      ...payload,
+      action: { ...payload.action, ...action },
+      model: { ...payload.model, id: boardId }
+    })
+  });
+
+  it('should only post cards entering allowed lists on boards with list filters', async () => {
+    const moved = await sendToBoard(trelloCardMovedPayload, 'done-board');
+    expect(moved.status).to.equal(200);
+
+    const movedBody = await moved.json();
+    expect(movedBody.discord_response.echo.embeds[0].title).to.equal('Card Moved');
+
+    const created = await sendToBoard(trelloCardCreatedPayload, 'done-board');
+    expect(created.status).to.equal(200);
+    expect(await created.text()).to.equal('Trello event filtered (notification not sent): list "To Do" is not allowed');
+  });
+
+  it('should drop actions by denied members', async () => {
+    const response = await sendToBoard(trelloCardMovedPayload, 'done-board', { idMemberCreator: 'member-bot' });
+
+    expect(response.status).to.equal(200);
+    expect(await response.text()).to.equal('Trello event filtered (notification not sent): member "member-bot" is denied');
+  });
+
+  it('should replace the default denied action types with the board action type filters', async () => {
+    const attachment = await sendToBoard(trelloAttachmentPayload, 'attachments-board');
+    expect(attachment.status).to.equal(200);
+
+    const attachmentBody = await attachment.json();
+    expect(attachmentBody.discord_response.echo.embeds).to.have.lengthOf(1);
+
+    const comment = await sendToBoard(trelloCommentPayload, 'attachments-board');
+    expect(comment.status).to.equal(200);
+    expect(await comment.text()).to.equal('Trello event filtered (notification not sent): action type "commentCard" is denied');
+  });
+
+  // Build a Trello payload for an action on board123
+  const createPayload = (type, data, extra = {}) => ({
+    action: {
+      type,
+      memberCreator: trelloCardCreatedPayload.action.memberCreator,
+      data: {
+        board: trelloCardCreatedPayload.action.data.board,
+        ...data
+      },
+      ...extra
+    },
+    model: trelloCardCreatedPayload.model
+  });
+
+  // Send a Trello event and return the embed posted to Discord
+  const sendAndGetEmbed = async (payload, boardId = payload.model.id) => {
+    const response = await sendToBoard(payload, boardId);
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    return responseBody.discord_response.echo.embeds[0];
+  };
+
+  it('should show archived and unarchived cards', async () => {
+    const card = { id: 'card123', name: 'Test Card', closed: true };
+
+    const archived = await sendAndGetEmbed(createPayload('updateCard', { card, old: { closed: false } }));
+    expect(archived.title).to.equal('Card Archived');
+    expect(archived.description).to.include('archived card [Test Card]');
+
+    const unarchived = await sendAndGetEmbed(createPayload('updateCard', { card: { ...card, closed: false }, old: { closed: true } }));
+    expect(unarchived.title).to.equal('Card Unarchived');
+  });
+
+  it('should show before and after values for renames and description changes', async () => {
+    const renamed = await sendAndGetEmbed(createPayload('updateCard', {
+      card: { id: 'card123', name: 'New name' },
+      old: { name: 'Old name' }
+    }));
+    expect(renamed.title).to.equal('Card Renamed');
+    expect(renamed.fields).to.deep.equal([
+      { name: 'Before', value: 'Old name' },
+      { name: 'After', value: 'New name' }
+    ]);
+
+    const described = await sendAndGetEmbed(createPayload('updateCard', {
+      card: { id: 'card123', name: 'Test Card', desc: 'Steps to reproduce' },
+      old: { desc: '' }
+    }));
+    expect(described.title).to.equal('Description Changed');
+    expect(described.fields).to.deep.equal([
+      { name: 'Before', value: '*(empty)*' },
+      { name: 'After', value: 'Steps to reproduce' }
+    ]);
+  });
+
+  it('should show deleted cards and list changes', async () => {
+    const deleted = await sendAndGetEmbed(createPayload('deleteCard', {
+      card: { id: 'card123', idShort: 42 },
+      list: { id: 'list123', name: 'To Do' }
+    }));
+    expect(deleted.title).to.equal('Card Deleted');
+    expect(deleted.description).to.equal('Test User deleted card #42');
+
+    const created = await sendAndGetEmbed(createPayload('createList', { list: { id: 'list789', name: 'Review' } }));
+    expect(created.title).to.equal('List Created');
+    expect(created.description).to.include('**Review**');
+
+    const renamed = await sendAndGetEmbed(createPayload('updateList', {
+      list: { id: 'list789', name: 'In Review' },
+      old: { name: 'Review' }
+    }));
+    expect(renamed.title).to.equal('List Renamed');
+    expect(renamed.description).to.equal('Test User renamed list **Review** to **In Review**');
+
+    const archived = await sendAndGetEmbed(createPayload('updateList', {
+      list: { id: 'list789', name: 'In Review', closed: true },
+      old: { closed: false }
+    }));
+    expect(archived.title).to.equal('List Archived');
+  });
+
+  it('should show cards moved between boards and board membership changes', async () => {
+    const moved = await sendAndGetEmbed(createPayload('moveCardToBoard', {
+      card: { id: 'card123', name: 'Test Card' },
+      boardSource: { id: 'board999', name: 'Backlog' },
+      list: { id: 'list123', name: 'To Do' }
+    }));
+    expect(moved.title).to.equal('Card Moved to Board');
+    expect(moved.fields.find(field => field.name === 'From Board').value).to.equal('Backlog');
+
+    const added = await sendAndGetEmbed(createPayload('addMemberToBoard', { idMemberAdded: 'member-2' }, {
+      member: { id: 'member-2', fullName: 'New Member' }
+    }));
+    expect(added.title).to.equal('Member Added to Board');
+    expect(added.description).to.equal('Test User added New Member to the board');
+  });
+
+  it('should show image attachments as thumbnails', async () => {
+    const embed = await sendAndGetEmbed(trelloAttachmentPayload, 'attachments-board');
+
+    expect(embed.title).to.equal('Attachment Added');
+    expect(embed.description).to.include('[test.png](https://example.com/test.png)');
+    expect(embed.thumbnail).to.deep.equal({ url: 'https://example.com/test.png' });
+  });
+
+  it('should show checklist progress when an item is completed on a registered board', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    // Register the board so its token can be used to look up the checklist
+    const initialResponse = await fetch(`${functionsUrl}/registerTrelloBoard?boardId=checklist-board`, { redirect: 'manual' });
+    const trelloResponse = await fetch(initialResponse.headers.get('location'), { redirect: 'manual' });
+    const callbackUrl = trelloResponse.headers.get('location').replace(/^http:\/\/[^\/]+\//, `${functionsUrl}/`);
+    expect((await fetch(callbackUrl)).status).to.equal(200);
+
+    const payload = createPayload('updateCheckItemStateOnCard', {
+      card: { id: 'card123', name: 'Test Card' },
+      checklist: { id: 'checklist-progress', name: 'Launch' },
+      checkItem: { id: 'item-2', name: 'Ship it', state: 'complete' }
+    });
+
+    const embed = await sendAndGetEmbed(payload, 'checklist-board');
+    expect(embed.title).to.equal('Checklist Item Completed');
+    expect(embed.description).to.include('completed **Ship it**');
+    expect(embed.fields.find(field => field.name === 'Checklist').value).to.equal('Launch');
+    expect(embed.fields.find(field => field.name === 'Progress').value).to.equal('2/3 complete');
+  });
+
+  it('should post completed checklist items on boards without filters of their own', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+
+    // Register the board so its token can be used to look up the checklist
+    const initialResponse = await fetch(`${functionsUrl}/registerTrelloBoard?boardId=unfiltered-checklist-board`, { redirect: 'manual' });
+    const trelloResponse = await fetch(initialResponse.headers.get('location'), { redirect: 'manual' });
+    const callbackUrl = trelloResponse.headers.get('location').replace(/^http:\/\/[^\/]+\//, `${functionsUrl}/`);
+    expect((await fetch(callbackUrl)).status).to.equal(200);
+
+    const embed = await sendAndGetEmbed(createPayload('updateCheckItemStateOnCard', {
+      card: { id: 'card123', name: 'Test Card' },
+      checklist: { id: 'checklist-progress', name: 'Launch' },
+      checkItem: { id: 'item-2', name: 'Ship it', state: 'complete' }
+    }), 'unfiltered-checklist-board');
+
+    expect(embed.title).to.equal('Checklist Item Completed');
+    expect(embed.fields.find(field => field.name === 'Progress').value).to.equal('2/3 complete');
+  });
+
+  it('should render the configured template for an action type', async () => {
+    const embed = await sendAndGetEmbed(createPayload('addLabelToCard', {
+      card: { id: 'card123', name: 'Test Card' },
+      label: { name: 'urgent', color: 'red' }
+    }));
+
+    expect(embed.title).to.equal('Labelled: Test Card');
+    expect(embed.footer.text).to.equal('Trello (Test Board)');
+    expect(embed.footer.icon_url).to.include('trello-logo');
+    expect(embed.fields.find(field => field.name === 'Label').value).to.equal('urgent');
+  });
+
+  it('should mention members added to a card', async () => {
+    const response = await sendToBoard(createPayload('addMemberToCard', {
+      card: { id: 'card123', name: 'Test Card' },
+      idMember: 'member-456',
+      member: { id: 'member-456', name: 'Other User' }
+    }, {
+      idMemberCreator: 'member-123',
+      member: { id: 'member-456', username: 'otheruser' }
+    }), 'board123');
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    const message = responseBody.discord_response.echo;
+    expect(message.content).to.equal('<@300000000000000003> <@400000000000000004>');
+    expect(message.allowed_mentions.users).to.deep.equal(['300000000000000003', '400000000000000004']);
+    expect(message.embeds[0].title).to.equal('Member Added to Card');
+  });
+
+  it('should acknowledge retried actions without posting them again', async () => {
+    const actionId = `action-${Date.now()}`;
+
+    const first = await sendToBoard(trelloCardCreatedPayload, 'board123', { id: actionId });
+    expect(first.status).to.equal(200);
+    expect(await first.json()).to.have.property('discord_response');
+
+    const retried = await sendToBoard(trelloCardCreatedPayload, 'board123', { id: actionId });
+    expect(retried.status).to.equal(200);
+    expect(await retried.text()).to.equal('Duplicate delivery, already processed');
+  });
+
+  it('should edit one message per card on boards in edit mode', async () => {
+    const card = { id: `card-${Date.now()}`, name: 'Edited Card' };
+
+    const created = await sendToBoard(trelloCardCreatedPayload, 'edit-board', {
+      id: `${card.id}-created`,
+      data: { ...trelloCardCreatedPayload.action.data, card }
+    });
+    expect(created.status).to.equal(200);
+    const createdMessage = (await created.json()).discord_response;
+    expect(createdMessage.webhook_id).to.equal('trello-edit-in-place');
+
+    const moved = await sendToBoard(trelloCardMovedPayload, 'edit-board', {
+      id: `${card.id}-moved`,
+      data: { ...trelloCardMovedPayload.action.data, card }
+    });
+    expect(moved.status).to.equal(200);
+    const movedMessage = (await moved.json()).discord_response;
+    expect(movedMessage.id).to.equal(createdMessage.id);
+    expect(movedMessage.edited).to.equal(true);
+
+    const embed = movedMessage.echo.embeds[0];
+    expect(embed.title).to.equal('Card Moved');
+    const history = embed.fields.find(field => field.name === 'History').value.split('\n');
+    expect(history.map(line => line.replace(/ <t:\d+:R>$/, ''))).to.deep.equal(['• Card Created', '• Card Moved']);
+  });
+
+  it('should keep one thread per card on boards in thread mode', async () => {
+    const card = { id: `card-${Date.now()}`, name: 'Threaded Card' };
+
+    const created = await sendToBoard(trelloCardCreatedPayload, 'thread-board', {
+      id: `${card.id}-created`,
+      data: { ...trelloCardCreatedPayload.action.data, card }
+    });
+    expect(created.status).to.equal(200);
+    const createdMessage = (await created.json()).discord_response;
+    expect(createdMessage.webhook_id).to.equal('trello-threads');
+    expect(createdMessage.echo.thread_name).to.equal('Threaded Card');
+
+    const moved = await sendToBoard(trelloCardMovedPayload, 'thread-board', {
+      id: `${card.id}-moved`,
+      data: { ...trelloCardMovedPayload.action.data, card }
+    });
+    expect(moved.status).to.equal(200);
+    const movedMessage = (await moved.json()).discord_response;
+    expect(movedMessage.channel_id).to.equal(createdMessage.channel_id);
+    expect(movedMessage.echo.embeds[0].title).to.equal('Card Moved');
+    expect(movedMessage.echo).to.not.have.property('thread_name');
+  });
+
+  it('should post and record events for the digest on routes that get both', async () => {
+    const response = await sendToBoard(trelloCardMovedPayload, 'digest-board', { id: `digest-${Date.now()}` });
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.discord_response.webhook_id).to.equal('trello-digest');
+    expect(responseBody.discord_response.echo.embeds[0].title).to.equal('Card Moved');
+
+    const digestResponse = await fetch(`${process.env.FUNCTIONS_URL}/manageDiscordQueue?action=digest`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer test-admin-api-key' }
+    });
+    const { results } = await digestResponse.json();
+    const digest = results.find(result => result.response?.webhook_id === 'trello-digest');
+    expect(digest).to.include({ period: 'weekly', delivered: true });
+    expect(digest.response.echo.embeds[0].fields[0]).to.deep.include({ name: 'Cards moved to Done (1)' });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,178 @@
+const { expect } = require('chai');
+const fetch = require('node-fetch').default || require('node-fetch');
+const crypto = require('crypto');
+
+describe('Trello Webhook Management Tests', () => {
+  // Register a board through the full authorization flow and return the
+  // webhook id and token that were created for it
+  const registerBoard = async (functionsUrl) => {
+    const boardId = `board_${crypto.randomBytes(8).toString('hex')}`;
+
+    const initialResponse = await fetch(
+      `${functionsUrl}/registerTrelloBoard?boardId=${boardId}`,
+      { redirect: 'manual' }
+    );
+    const trelloResponse = await fetch(initialResponse.headers.get('location'), {
+      redirect: 'manual'
+    });
+    const callbackUrl = trelloResponse.headers.get('location');
+    const fixedCallbackUrl = callbackUrl.replace(/^http:\/\/[^\/]+\//, `${functionsUrl}/`);
+
+    const finalResponse = await fetch(fixedCallbackUrl);
+    expect(finalResponse.status).to.equal(200);
+
+    const html = await finalResponse.text();
+    const webhookId = html.match(/Registration ID: <code>([^<]+)<\/code>/)[1];
+    const token = new URL(fixedCallbackUrl).searchParams.get('token');
+
+    return { boardId, webhookId, token };
+  };
+
+  const manageUrl = (functionsUrl, params) => {
+    const query = new URLSearchParams(params).toString();
+    return `${functionsUrl}/manageTrelloWebhooks?${query}`;
+  };
+
+  it('should list the webhooks registered with a token', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const { boardId, webhookId, token } = await registerBoard(functionsUrl);
+
+    const response = await fetch(manageUrl(functionsUrl, { token }));
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.webhooks).to.be.an('array').that.has.lengthOf(1);
+
+    const listed = responseBody.webhooks[0];
+    expect(listed.webhookId).to.equal(webhookId);
+    expect(listed.boardId).to.equal(boardId);
+    expect(listed).to.not.have.property('token');
+    expect(listed.webhook.id).to.equal(webhookId);
+  });
+
+  it('should return a single webhook', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const { boardId, webhookId, token } = await registerBoard(functionsUrl);
+
+    const response = await fetch(manageUrl(functionsUrl, { token, webhookId }));
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.webhook.id).to.equal(webhookId);
+    expect(responseBody.webhook.idModel).to.equal(boardId);
+    expect(responseBody.webhook.active).to.equal(true);
+  });
+
+  it('should turn a webhook off and back on', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const { webhookId, token } = await registerBoard(functionsUrl);
+
+    const pauseResponse = await fetch(manageUrl(functionsUrl, { token, webhookId }), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ active: false })
+    });
+    expect(pauseResponse.status).to.equal(200);
+    expect((await pauseResponse.json()).webhook.active).to.equal(false);
+
+    const resumeResponse = await fetch(manageUrl(functionsUrl, { token, webhookId }), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ active: true })
+    });
+    expect(resumeResponse.status).to.equal(200);
+    expect((await resumeResponse.json()).webhook.active).to.equal(true);
+  });
+
+  it('should update the callbackURL of a webhook', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const { webhookId, token } = await registerBoard(functionsUrl);
+    const callbackURL = 'https://example.com/trelloNotification';
+
+    const response = await fetch(manageUrl(functionsUrl, { token, webhookId }), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ callbackURL })
+    });
+    expect(response.status).to.equal(200);
+
+    const responseBody = await response.json();
+    expect(responseBody.webhook.callbackURL).to.equal(callbackURL);
+  });
+
+  it('should delete a webhook', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const { webhookId, token } = await registerBoard(functionsUrl);
+
+    const response = await fetch(manageUrl(functionsUrl, { token, webhookId }), {
+      method: 'DELETE'
+    });
+    expect(response.status).to.equal(200);
+    expect((await response.json()).deleted).to.equal(webhookId);
+
+    // The webhook should be gone from Trello
+    const lookupResponse = await fetch(manageUrl(functionsUrl, { token, webhookId }));
+    expect(lookupResponse.status).to.equal(404);
+  });
+
+  it('should reject updates without anything to change', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const { webhookId, token } = await registerBoard(functionsUrl);
+
+    const response = await fetch(manageUrl(functionsUrl, { token, webhookId }), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({})
+    });
+    expect(response.status).to.equal(400);
+  });
+
+  it('should return an error for a missing token', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const response = await fetch(`${functionsUrl}/manageTrelloWebhooks`);
+    expect(response.status).to.equal(400);
+
+    const responseBody = await response.json();
+    expect(responseBody.error).to.include('Missing required parameter');
+  });
+
+  it('should reject unsupported HTTP methods', async () => {
+    const functionsUrl = process.env.FUNCTIONS_URL;
+    if (!functionsUrl) {
+      throw new Error('FUNCTIONS_URL environment variable not set');
+    }
+
+    const response = await fetch(manageUrl(functionsUrl, { token: 'test-token', webhookId: 'webhook123' }), {
+      method: 'POST'
+    });
+    expect(response.status).to.equal(405);
+  });
+});
\ No newline at end of file
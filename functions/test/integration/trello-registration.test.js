@@ -61,12 +61,25 @@ describe('Trello Registration Tests', () => {
     expect(html).to.include('Your Trello board has been successfully connected');
     expect(html).to.include('Webhook Details');
     
+    // The registration should be saved with the board details
+    expect(html).to.include('Registration ID');
+    expect(html).to.include('Test Board');
+    
     // The response should include the webhook JSON
     expect(html).to.include('callbackURL');
     expect(html).to.include('idModel');
     expect(html).to.include(testBoardId);
   });
 
+  it('should escape the board name on the success page', async () => {
+    const response = await fetch(`${process.env.FUNCTIONS_URL}/registerTrelloBoard?boardId=html-board&token=test-token`);
+    expect(response.status).to.equal(200);
+
+    const html = await response.text();
+    expect(html).to.include('<strong>&lt;script&gt;alert(1)&lt;/script&gt; &amp; Co</strong>');
+    expect(html).to.not.include('<script>alert(1)</script>');
+  });
+
   it('should return an error for missing boardId', async () => {
     const functionsUrl = process.env.FUNCTIONS_URL;
     if (!functionsUrl) {
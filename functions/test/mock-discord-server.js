@@ -8,10 +8,21 @@ const crypto = require('crypto');
  * 
  * For Discord:
  * - Echoes back webhook requests for validation
+ * - Gives every message an id, and edits messages with PATCH .../messages/:messageId
+ * - Starts a forum thread for messages with a thread_name, and posts into it with ?thread_id=
+ * - Simulates failures for special webhook ids:
+ *   - rate-limited: every other request gets a 429 with retry_after
+ *   - flaky: every other request gets a 502
+ *   - unavailable: every request gets a 502
+ * 
+ * For Slack and Teams:
+ * - Echoes back incoming webhook requests for validation
  * 
  * For Trello:
  * - Simulates OAuth authorization and token generation
  * - Records webhook registrations
+ * - Gets, updates and deletes registered webhooks
+ * - Returns checklists, with the "checklist-progress" checklist 2 of 3 complete
  * - Can trigger webhook events
  */
 class MockDiscordServer {
@@ -21,18 +32,105 @@ class MockDiscordServer {
     this.server = null;
     this.port = null;
     
+    // Trello webhooks registered through the mock API, keyed by id
+    this.trelloWebhooks = new Map();
+    
+    // Trello checklists returned by the mock API, keyed by id
+    this.trelloChecklists = new Map([
+      ['checklist-progress', {
+        id: 'checklist-progress',
+        name: 'Launch',
+        checkItems: [
+          { id: 'item-1', name: 'Write docs', state: 'complete' },
+          { id: 'item-2', name: 'Ship it', state: 'complete' },
+          { id: 'item-3', name: 'Announce', state: 'incomplete' }
+        ]
+      }]
+    ]);
+    
+    // Requests received per Discord webhook since its last successful delivery
+    this.webhookAttempts = new Map();
+    
+    // Messages sent through Discord webhooks, keyed by message id
+    this.discordMessages = new Map();
+    
+    // Forum threads started through Discord webhooks, keyed by thread id
+    this.discordThreads = new Map();
+    
     // Discord webhook endpoint that echoes back requests
     this.app.post('/api/webhooks/:id/:token', (req, res) => {
       const requestData = req.body;
+      const webhookKey = `${req.params.id}/${req.params.token}`;
+      const threadId = req.query.thread_id;
+      if (threadId && this.discordThreads.get(threadId) !== webhookKey) {
+        return res.status(404).json({ message: 'Unknown Channel', code: 10003 });
+      }
+      
+      const attempts = (this.webhookAttempts.get(webhookKey) || 0) + 1;
+      this.webhookAttempts.set(webhookKey, attempts);
       console.log('Mock Discord received webhook:', JSON.stringify(requestData));
       
+      if (this.shouldFail(req.params.id, attempts)) {
+        return this.sendFailure(req.params.id, res);
+      }
+      
+      this.webhookAttempts.delete(webhookKey);
+      res.set({
+        'X-RateLimit-Limit': '5',
+        'X-RateLimit-Remaining': '4',
+        'X-RateLimit-Reset-After': '1'
+      });
+      
+      const messageId = crypto.randomUUID();
+      this.discordMessages.set(messageId, { webhookKey, payload: requestData });
+      
+      // Forum posts are threads with the same id as their first message
+      if (requestData.thread_name) {
+        this.discordThreads.set(messageId, webhookKey);
+      }
+      
       // Return the same data back to the caller for validation
       res.status(200).json({
+        id: messageId,
+        channel_id: threadId || (requestData.thread_name ? messageId : `channel-${req.params.id}`),
         success: true,
+        webhook_id: req.params.id,
+        attempts,
         echo: requestData
       });
     });
     
+    // Discord endpoint that edits a message sent through a webhook
+    this.app.patch('/api/webhooks/:id/:token/messages/:messageId', (req, res) => {
+      const webhookKey = `${req.params.id}/${req.params.token}`;
+      const message = this.discordMessages.get(req.params.messageId);
+      console.log('Mock Discord received message edit:', JSON.stringify(req.body));
+      
+      if (!message || message.webhookKey !== webhookKey) {
+        return res.status(404).json({ message: 'Unknown Message', code: 10008 });
+      }
+      
+      message.payload = { ...message.payload, ...req.body };
+      res.status(200).json({
+        id: req.params.messageId,
+        success: true,
+        edited: true,
+        webhook_id: req.params.id,
+        echo: message.payload
+      });
+    });
+    
+    // Slack and Teams incoming webhook endpoints that echo back requests
+    this.app.post('/slack/:id', (req, res) => {
+      console.log('Mock Slack received webhook:', JSON.stringify(req.body));
+      res.status(200).json({ success: true, service: 'slack', webhook_id: req.params.id, echo: req.body });
+    });
+    
+    this.app.post('/teams/:id', (req, res) => {
+      console.log('Mock Teams received webhook:', JSON.stringify(req.body));
+      res.status(200).json({ success: true, service: 'teams', webhook_id: req.params.id, echo: req.body });
+    });
+    
     // Trello OAuth endpoint - redirects back with a mock token
     this.app.get('/trello-mock-api/1/authorize', (req, res) => {
       const returnUrl = req.query.return_url;
@@ -47,12 +145,62 @@ class MockDiscordServer {
       console.log('Mock Trello received webhook registration:', JSON.stringify(webhook));
       
       // Just return success with a fake ID
-      res.status(200).json({
+      const registered = {
         id: `webhook_${crypto.randomBytes(8).toString('hex')}`,
         ...webhook,
         active: true,
         dateCreated: new Date().toISOString()
-      });
+      };
+      this.trelloWebhooks.set(registered.id, registered);
+      res.status(200).json(registered);
+    });
+    
+    // Trello webhook lookup endpoint
+    this.app.get('/trello-mock-api/webhooks/:id', (req, res) => {
+      const webhook = this.trelloWebhooks.get(req.params.id);
+      if (!webhook) {
+        return res.status(404).send('The requested resource was not found.');
+      }
+      res.status(200).json(webhook);
+    });
+    
+    // Trello webhook update endpoint (active, callbackURL, description)
+    this.app.put('/trello-mock-api/webhooks/:id', (req, res) => {
+      const webhook = this.trelloWebhooks.get(req.params.id);
+      if (!webhook) {
+        return res.status(404).send('The requested resource was not found.');
+      }
+      
+      const changes = { ...req.query, ...req.body };
+      console.log('Mock Trello received webhook update:', req.params.id, JSON.stringify(changes));
+      if (changes.active !== undefined) {
+        webhook.active = changes.active === true || changes.active === 'true';
+      }
+      if (changes.callbackURL) {
+        webhook.callbackURL = changes.callbackURL;
+      }
+      if (changes.description) {
+        webhook.description = changes.description;
+      }
+      res.status(200).json(webhook);
+    });
+    
+    // Trello webhook delete endpoint
+    this.app.delete('/trello-mock-api/webhooks/:id', (req, res) => {
+      if (!this.trelloWebhooks.delete(req.params.id)) {
+        return res.status(404).send('The requested resource was not found.');
+      }
+      console.log('Mock Trello deleted webhook:', req.params.id);
+      res.status(200).json({ _value: null });
+    });
+    
+    // Trello checklist lookup endpoint
+    this.app.get('/trello-mock-api/checklists/:id', (req, res) => {
+      const checklist = this.trelloChecklists.get(req.params.id);
+      if (!checklist) {
+        return res.status(404).send('The requested resource was not found.');
+      }
+      res.status(200).json(checklist);
     });
     
     // Trello board verification endpoint
@@ -60,10 +208,10 @@ class MockDiscordServer {
       const boardId = req.params.boardId;
       console.log('Mock Trello board verification:', boardId);
       
-      // Return a successful board response
+      // Return a successful board response, with markup in the name of the html-board
       res.status(200).json({
         id: boardId,
-        name: 'Test Board',
+        name: boardId === 'html-board' ? '<script>alert(1)</script> & Co' : 'Test Board',
         desc: 'This is a test board',
         url: `https://trello.com/b/${boardId}/test-board`,
         closed: false,
@@ -73,6 +221,50 @@ class MockDiscordServer {
     });
   }
   
+  /**
+   * Determines if a simulated failure should be returned for a webhook
+   * @param {string} id - Webhook ID
+   * @param {number} attempts - Requests received since the last success
+   * @returns {boolean} - True if the request should fail
+   */
+  shouldFail(id, attempts) {
+    switch (id) {
+      case 'rate-limited':
+      case 'flaky':
+        return attempts === 1;
+      case 'unavailable':
+        return true;
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * Send the simulated failure for a webhook
+   * @param {string} id - Webhook ID
+   * @param {Object} res - Express response object
+   */
+  sendFailure(id, res) {
+    if (id === 'rate-limited') {
+      console.log('Mock Discord simulating rate limit');
+      res.set({
+        'Retry-After': '1',
+        'X-RateLimit-Limit': '5',
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset-After': '0.05',
+        'X-RateLimit-Scope': 'user'
+      });
+      return res.status(429).json({
+        message: 'You are being rate limited.',
+        retry_after: 0.05,
+        global: false
+      });
+    }
+    
+    console.log('Mock Discord simulating bad gateway');
+    res.status(502).send('Bad Gateway');
+  }
+  
   /**
    * Start the mock Discord server
    * @returns {Promise<number>} - The port the server is running on
@@ -121,6 +313,19 @@ class MockDiscordServer {
     return `http://localhost:${this.port}/api/webhooks/${id}/${token}`;
   }
   
+  /**
+   * Get the URL for a Slack or Teams incoming webhook
+   * @param {string} service - "slack" or "teams"
+   * @param {string} id - Webhook ID echoed back in responses
+   * @returns {string} - Webhook URL
+   */
+  getServiceWebhookUrl(service, id) {
+    if (!this.port) {
+      throw new Error('Mock server not started');
+    }
+    return `http://localhost:${this.port}/${service}/${id}`;
+  }
+  
   /**
    * Get the URL for the mock Trello API
    * @returns {string} - The base URL for the mock Trello API
@@ -33,6 +33,177 @@ function removeFirebaseTestConfig() {
   }
 }
 
+// Build the Discord routing table used by the routing and delivery tests
+function createDiscordRoutes(mockDiscordServer) {
+  return {
+    github: {
+      'user/routed-repo': [
+        mockDiscordServer.getWebhookUrl('routed-a'),
+        mockDiscordServer.getWebhookUrl('routed-b')
+      ],
+      'user/rate-limited-repo': mockDiscordServer.getWebhookUrl('rate-limited'),
+      'user/flaky-repo': mockDiscordServer.getWebhookUrl('flaky'),
+      'user/unavailable-repo': mockDiscordServer.getWebhookUrl('unavailable'),
+      'user/batched-repo': {
+        url: mockDiscordServer.getWebhookUrl('batched'),
+        batchWindowMs: 200
+      },
+      'user/ci-failures-repo': {
+        url: mockDiscordServer.getWebhookUrl('ci-failures'),
+        ciNotify: 'failures'
+      },
+      'user/fanout-repo': [
+        mockDiscordServer.getWebhookUrl('fanout'),
+        { url: mockDiscordServer.getServiceWebhookUrl('slack', 'fanout'), type: 'slack' },
+        { url: mockDiscordServer.getServiceWebhookUrl('teams', 'fanout'), type: 'teams' },
+        { url: mockDiscordServer.getServiceWebhookUrl('teams', 'fanout-workflow'), type: 'teams-workflow' }
+      ],
+      'user/ci-recoveries-repo': {
+        url: mockDiscordServer.getWebhookUrl('ci-recoveries'),
+        ciNotify: 'recoveries'
+      },
+      'user/edit-repo': {
+        url: mockDiscordServer.getWebhookUrl('edit-in-place'),
+        messageMode: 'edit'
+      },
+      'user/thread-repo': {
+        url: mockDiscordServer.getWebhookUrl('threads'),
+        messageMode: 'thread'
+      },
+      'user/digest-repo': {
+        url: mockDiscordServer.getWebhookUrl('digest'),
+        delivery: 'digest'
+      }
+    },
+    gitlab: {
+      'group/routed-project': mockDiscordServer.getWebhookUrl('gitlab-routed'),
+      'group/pipeline-failures-project': {
+        url: mockDiscordServer.getWebhookUrl('gitlab-pipeline-failures'),
+        ciNotify: 'failures'
+      }
+    },
+    trello: {
+      'routed-board': mockDiscordServer.getWebhookUrl('routed-board'),
+      'edit-board': {
+        url: mockDiscordServer.getWebhookUrl('trello-edit-in-place'),
+        messageMode: 'edit'
+      },
+      'thread-board': {
+        url: mockDiscordServer.getWebhookUrl('trello-threads'),
+        messageMode: 'thread'
+      },
+      'digest-board': {
+        url: mockDiscordServer.getWebhookUrl('trello-digest'),
+        delivery: 'both',
+        digest: 'weekly'
+      }
+    },
+    jira: {
+      'ROUTED': mockDiscordServer.getWebhookUrl('jira-routed')
+    },
+    generic: {
+      'deploys': mockDiscordServer.getWebhookUrl('generic-deploys')
+    }
+  };
+}
+
+// Build the GitHub filter rules used by the filtering tests
+function createGithubFilters() {
+  return {
+    'user/filtered-repo': [
+      { effect: 'deny', senderType: 'Bot', reason: 'Bot events are not posted' },
+      { effect: 'allow', event: 'push', branch: ['main', 'release/*'] },
+      { effect: 'deny', event: 'push' },
+      { effect: 'deny', event: 'pull_request', action: ['synchronize', 'labeled'] }
+    ]
+  };
+}
+
+// Build the Trello filters used by the filtering tests
+function createTrelloFilters() {
+  return {
+    'done-board': {
+      lists: { allow: ['Done'] },
+      members: { deny: ['member-bot'] }
+    },
+    'attachments-board': {
+      actionTypes: { deny: ['commentCard'] }
+    },
+    'checklist-board': {
+      actionTypes: { deny: [] }
+    }
+  };
+}
+
+// Build the message templates used by the template tests
+function createMessageTemplates() {
+  return {
+    github: {
+      'issues.reopened': {
+        title: '{{repository.name}}: issue #{{issue.number}} is back',
+        description: '{{sender.login}} reopened "{{issue.title}}"',
+        color: 16753920,
+        fields: [
+          { name: 'Labels', value: '{{issue.labels.0.name}}', inline: true },
+          { name: 'Milestone', value: '{{issue.milestone.title}}', inline: true }
+        ]
+      }
+    },
+    trello: {
+      addLabelToCard: {
+        title: 'Labelled: {{action.data.card.name}}',
+        footer: { text: 'Trello ({{model.name}})' }
+      }
+    }
+  };
+}
+
+// Build the identity map used by the mention tests
+function createDiscordMentions() {
+  return {
+    github: {
+      'requested-reviewer': '100000000000000001',
+      'team:backend': { role: '200000000000000002' }
+    },
+    trello: {
+      'member-456': '300000000000000003',
+      'otheruser': { user: '400000000000000004' }
+    },
+    jira: {
+      'account-assignee': '500000000000000005'
+    }
+  };
+}
+
+// Build the generic webhook sources used by the generic endpoint tests
+function createGenericSources() {
+  return {
+    deploys: {
+      secret: 'test-deploys-secret',
+      fieldMap: {
+        title: '$.service',
+        description: '$.message',
+        url: '$.links.run',
+        color: '$.color',
+        fields: [
+          { name: 'Environment', value: '$.environment', inline: true },
+          { name: 'Hosts', value: '$.hosts[*].name' }
+        ]
+      }
+    },
+    cron: {
+      secret: 'test-cron-secret',
+      template: {
+        title: 'Cron job {{job}} finished',
+        description: 'Exit code {{result.exit_code}}'
+      }
+    },
+    raw: {
+      secret: 'test-raw-secret'
+    }
+  };
+}
+
 // Wait for Firebase Emulator to be ready
 async function waitForEmulator(port, retries = 10, delay = 1000) {
   console.log(`Checking if Firebase emulator is ready on port ${port}...`);
@@ -74,8 +245,14 @@ async function runIntegrationTests(functionUrl, discordWebhookUrl, mockDiscordSe
   process.env.FUNCTIONS_URL = functionUrl;
   process.env.NODE_ENV = 'test';
   process.env.DISCORD_WEBHOOK_URL_TEST = discordWebhookUrl;
-  process.env.GITHUB_SECRET_TEST = 'test-github-secret';
+  process.env.GITHUB_SECRET_TEST = 'test-github-secret,test-github-secret-previous';
+  process.env.GITLAB_SECRET_TEST = 'test-gitlab-secret';
   process.env.TRELLO_API_KEY_TEST = 'test-trello-api-key';
+  process.env.TRELLO_SECRET_TEST = 'test-trello-secret';
+  process.env.JIRA_SECRET_TEST = 'test-jira-secret';
+  process.env.JIRA_CLIENT_KEY_TEST = 'jira-connect-app';
+  process.env.JIRA_APP_BASE_URL_TEST = functionUrl;
+  process.env.ADMIN_API_KEY_TEST = 'test-admin-api-key';
   process.env.TRELLO_API_URL_TEST = mockDiscordServer.getTrelloApiUrl();
 
   // Add all test files
@@ -102,6 +279,7 @@ async function runIntegrationTests(functionUrl, discordWebhookUrl, mockDiscordSe
 async function main() {
   // We're using the global variables declared above for cleanup
   let mockDiscordServer = null;
+  let exitCode = 0;
 
   try {
     // Start a mock Discord server
@@ -125,12 +303,34 @@ async function main() {
       ...process.env, 
       NODE_ENV: 'test',
       DISCORD_WEBHOOK_URL_TEST: mockDiscordUrl,
-      GITHUB_SECRET_TEST: 'test-github-secret',
+      DISCORD_ROUTES_TEST: JSON.stringify(createDiscordRoutes(mockDiscordServer)),
+      GITHUB_SECRET_TEST: 'test-github-secret,test-github-secret-previous',
+      GITHUB_FILTERS_TEST: JSON.stringify(createGithubFilters()),
+      GITLAB_SECRET_TEST: 'test-gitlab-secret',
       TRELLO_API_KEY_TEST: 'test-trello-api-key',
+      TRELLO_SECRET_TEST: 'test-trello-secret',
+      TRELLO_FILTERS_TEST: JSON.stringify(createTrelloFilters()),
+      JIRA_SECRET_TEST: 'test-jira-secret',
+      JIRA_CLIENT_KEY_TEST: 'jira-connect-app',
+      // The Connect app is based at the functions' URL, so the function's name is part of the qsh path
+      JIRA_APP_BASE_URL_TEST: 'http://127.0.0.1:5001/discord-open-tools/us-central1',
+      MESSAGE_TEMPLATES_TEST: JSON.stringify(createMessageTemplates()),
+      DISCORD_MENTIONS_TEST: JSON.stringify(createDiscordMentions()),
+      GENERIC_SOURCES_TEST: JSON.stringify(createGenericSources()),
+      ADMIN_API_KEY_TEST: 'test-admin-api-key',
+      DISCORD_QUEUE_MAX_ATTEMPTS_TEST: '2',
       TRELLO_API_URL_TEST: mockTrelloApiUrl
     };
     
-    emulatorProcess = spawn('firebase', ['emulators:start'], {
+    // The Firestore emulator needs Java, so it only starts when TEST_FIRESTORE_EMULATOR=true.
+    // Without it test mode keeps documents in memory, and every function runs in one
+    // worker (--inspect-functions) so they all see the same documents.
+    const emulatorArgs = process.env.TEST_FIRESTORE_EMULATOR === 'true'
+      ? ['emulators:start', '--only', 'functions,hosting,firestore']
+      : ['emulators:start', '--only', 'functions,hosting', '--inspect-functions'];
+    console.log(`Starting Firebase emulators: firebase ${emulatorArgs.join(' ')}`);
+
+    emulatorProcess = spawn('firebase', emulatorArgs, {
       shell: true,
       stdio: 'pipe',
       cwd: path.join(__dirname, '..'),
@@ -228,16 +428,16 @@ async function main() {
 
   } catch (error) {
     console.error('Test failed:', error);
-    process.exit(1);
+    exitCode = 1;
   } finally {
-    // Clean up using our cleanup function
+    // Clean up using our cleanup function, whether or not the tests passed
     if (mockDiscordServer) {
       await mockDiscordServer.stop();
     }
     cleanup();
   }
 
-  process.exit(0);
+  process.exit(exitCode);
 }
 
 // Define a cleanup function
@@ -0,0 +1,127 @@
+const { expect } = require('chai');
+const MockDiscordServer = require('../mock-discord-server');
+
+process.env.NODE_ENV = 'test';
+
+const { batchEmbeds, getEmbedLength } = require('../../src/utils/discord');
+const { addToBatch } = require('../../src/delivery/batcher');
+const queue = require('../../src/delivery/queue');
+
+describe('Embed Batching', () => {
+  const createEmbed = (title, descriptionLength = 0) => ({
+    title,
+    description: 'x'.repeat(descriptionLength),
+    footer: { text: 'GitHub' },
+    fields: []
+  });
+
+  describe('batchEmbeds', () => {
+    it('should send at most 10 embeds per message', () => {
+      const embeds = Array.from({ length: 25 }, (_, i) => createEmbed(`Embed ${i}`));
+
+      const batches = batchEmbeds(embeds);
+
+      expect(batches.map(batch => batch.length)).to.deep.equal([10, 10, 5]);
+      expect(batches.flat()).to.deep.equal(embeds);
+    });
+
+    it('should split batches that would go over 6000 embed characters', () => {
+      const embeds = Array.from({ length: 5 }, (_, i) => createEmbed(`Embed ${i}`, 2500));
+
+      const batches = batchEmbeds(embeds);
+
+      expect(batches.map(batch => batch.length)).to.deep.equal([2, 2, 1]);
+      batches.forEach(batch => {
+        const total = batch.reduce((sum, embed) => sum + getEmbedLength(embed), 0);
+        expect(total).to.be.at.most(6000);
+      });
+    });
+
+    it('should batch items that carry an embed', () => {
+      const items = Array.from({ length: 12 }, (_, i) => ({ id: i, embed: createEmbed(`Embed ${i}`) }));
+
+      const batches = batchEmbeds(items, item => item.embed);
+
+      expect(batches.map(batch => batch.map(item => item.id))).to.deep.equal([
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+        [10, 11]
+      ]);
+    });
+
+    it('should count title, description, fields, footer and author characters', () => {
+      const embed = {
+        title: 'abc',
+        description: 'de',
+        fields: [{ name: 'f', value: 'gh' }],
+        footer: { text: 'ijkl' },
+        author: { name: 'm' }
+      };
+
+      expect(getEmbedLength(embed)).to.equal(13);
+    });
+  });
+
+  describe('addToBatch', () => {
+    it('should flush items added within the window together', async () => {
+      const flushed = [];
+      const flush = async (items) => {
+        flushed.push(items);
+        return items.map(item => `sent ${item}`);
+      };
+
+      const results = await Promise.all([
+        addToBatch('webhook-a', 1, 50, flush),
+        addToBatch('webhook-a', 2, 50, flush),
+        addToBatch('webhook-b', 3, 50, flush)
+      ]);
+
+      expect(results).to.deep.equal(['sent 1', 'sent 2', 'sent 3']);
+      expect(flushed).to.deep.equal([[1, 2], [3]]);
+    });
+
+    it('should reject every item when the flush fails', async () => {
+      const flush = async () => {
+        throw new Error('Discord is down');
+      };
+
+      const results = await Promise.allSettled([
+        addToBatch('webhook-c', 1, 10, flush),
+        addToBatch('webhook-c', 2, 10, flush)
+      ]);
+
+      expect(results.map(result => result.status)).to.deep.equal(['rejected', 'rejected']);
+    });
+  });
+
+  describe('sendQueuedMessages', () => {
+    const mockDiscordServer = new MockDiscordServer();
+
+    before(async () => {
+      await mockDiscordServer.start();
+    });
+
+    after(async () => {
+      await mockDiscordServer.stop();
+    });
+
+    it('should send queued messages for a webhook in groups of up to 10 embeds', async () => {
+      const webhookUrl = mockDiscordServer.getWebhookUrl('batched');
+      const messages = [];
+      for (let i = 0; i < 12; i++) {
+        messages.push(await queue.enqueueMessage(webhookUrl, createEmbed(`Card ${i}`), { integration: 'trello' }));
+      }
+
+      const results = await queue.sendQueuedMessages(messages);
+
+      expect(results).to.have.lengthOf(12);
+      results.forEach(result => expect(result.delivered).to.equal(true));
+      expect(results[0].response.echo.embeds).to.have.lengthOf(10);
+      expect(results[11].response.echo.embeds).to.have.lengthOf(2);
+      expect(results[11].response.echo.embeds[1].title).to.equal('Card 11');
+
+      // Delivered messages leave the queue
+      const pending = await queue.listQueuedMessages();
+      expect(pending.map(message => message.id)).to.not.include.members(messages.map(message => message.id));
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,39 @@
+const { expect } = require('chai');
+
+process.env.NODE_ENV = 'test';
+
+const { safeEqual, getSignedBody } = require('../../src/utils/crypto');
+
+describe('Request Verification Helpers', () => {
+  describe('safeEqual', () => {
+    it('should only match identical strings', () => {
+      expect(safeEqual('sha256=abc', 'sha256=abc')).to.equal(true);
+      expect(safeEqual('sha256=abd', 'sha256=abc')).to.equal(false);
+      expect(safeEqual('sha256=ab', 'sha256=abc')).to.equal(false);
+    });
+
+    it('should never match missing values', () => {
+      expect(safeEqual(undefined, 'secret')).to.equal(false);
+      expect(safeEqual('secret', undefined)).to.equal(false);
+    });
+  });
+
+  describe('getSignedBody', () => {
+    afterEach(() => {
+      process.env.NODE_ENV = 'test';
+    });
+
+    it('should return the raw body the request was signed with', () => {
+      const rawBody = Buffer.from('{ "a": 1 }');
+
+      expect(getSignedBody({ rawBody, body: { a: 1 } })).to.equal(rawBody);
+    });
+
+    it('should only re-serialize the parsed body in test mode', () => {
+      expect(getSignedBody({ body: { a: 1 } }).toString()).to.equal('{"a":1}');
+
+      process.env.NODE_ENV = 'production';
+      expect(getSignedBody({ body: { a: 1 } })).to.equal(null);
+    });
+  });
+});
\ No newline at end of file
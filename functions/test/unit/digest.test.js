@@ -0,0 +1,275 @@
+const { expect } = require('chai');
+const MockDiscordServer = require('../mock-discord-server');
+const githubEvents = require('../fixtures/digest/github-events.json');
+const trelloActions = require('../fixtures/digest/trello-actions.json');
+
+process.env.NODE_ENV = 'test';
+
+const { toGitHubDigestEvent, toTrelloDigestEvent, aggregateEvents, formatDigest } = require('../../src/digest/events');
+const { getRealtimeDestinations, recordEvent, sendDigests } = require('../../src/digest/digest');
+const store = require('../../src/utils/store');
+
+describe('Activity Digests', () => {
+  const fixtureEvents = () => [
+    ...githubEvents.map(({ event, payload }) => toGitHubDigestEvent(payload, event)),
+    ...trelloActions.map(toTrelloDigestEvent)
+  ];
+
+  describe('digest events', () => {
+    it('should classify opened and merged pull requests and closed issues', () => {
+      expect(githubEvents.map(({ event, payload }) => toGitHubDigestEvent(payload, event).kind)).to.deep.equal([
+        'pr_opened', 'pr_opened', 'activity', 'activity', 'pr_merged', 'activity', 'issue_closed', 'activity', 'activity'
+      ]);
+    });
+
+    it('should classify cards moved to a Done list', () => {
+      expect(trelloActions.map(action => toTrelloDigestEvent(action).kind)).to.deep.equal([
+        'activity', 'card_done', 'activity', 'card_done', 'activity'
+      ]);
+    });
+
+    it('should only count lists whose name starts with Done', () => {
+      const moveTo = name => ({ action: { type: 'updateCard', data: { card: { name: 'Card' }, listAfter: { name } } } });
+
+      expect(['Done', 'done', 'Done ✅', 'Done (Q1)'].map(name => toTrelloDigestEvent(moveTo(name)).kind))
+        .to.deep.equal(['card_done', 'card_done', 'card_done', 'card_done']);
+      expect(['Not done', 'Almost done', 'Undone', 'Doneness'].map(name => toTrelloDigestEvent(moveTo(name)).kind))
+        .to.deep.equal(['activity', 'activity', 'activity', 'activity']);
+    });
+
+    it('should keep what the digest lists about each event', () => {
+      const [opened] = githubEvents;
+      expect(toGitHubDigestEvent(opened.payload, opened.event)).to.include({
+        integration: 'github',
+        actor: 'alice',
+        title: '#12: Add rate limiting',
+        url: 'https://github.com/acme/api/pull/12',
+        context: 'api'
+      });
+
+      expect(toTrelloDigestEvent(trelloActions[1])).to.deep.equal({
+        integration: 'trello',
+        kind: 'card_done',
+        actor: 'Erin Example',
+        title: 'Write launch post',
+        url: 'https://trello.com/c/c1',
+        context: 'Roadmap',
+        at: '2024-01-02T15:00:00.000Z'
+      });
+    });
+  });
+
+  describe('aggregateEvents', () => {
+    it('should group pull requests, issues and cards from fixture events', () => {
+      const summary = aggregateEvents(fixtureEvents());
+
+      expect(summary.total).to.equal(14);
+      expect(summary.sections.pr_opened.map(event => event.title)).to.deep.equal([
+        '#12: Add rate limiting',
+        '#7: New [beta] landing page'
+      ]);
+      expect(summary.sections.pr_merged.map(event => event.title)).to.deep.equal(['#12: Add rate limiting']);
+      expect(summary.sections.issue_closed.map(event => event.title)).to.deep.equal(['#30: Timeouts on login']);
+      expect(summary.sections.card_done.map(event => event.title)).to.deep.equal(['Order swag', 'Write launch post']);
+    });
+
+    it('should rank the top five contributors by event count', () => {
+      const { topContributors } = aggregateEvents(fixtureEvents());
+
+      expect(topContributors).to.deep.equal([
+        { name: 'alice', count: 4 },
+        { name: 'bob', count: 2 },
+        { name: 'carol', count: 2 },
+        { name: 'Erin Example', count: 2 },
+        { name: 'Frank Example', count: 2 }
+      ]);
+    });
+
+    it('should list items once when several events were recorded for them', () => {
+      const [opened] = githubEvents;
+      const event = toGitHubDigestEvent(opened.payload, opened.event);
+
+      const summary = aggregateEvents([event, { ...event, actor: 'bob' }]);
+
+      expect(summary.sections.pr_opened).to.have.lengthOf(1);
+      expect(summary.total).to.equal(2);
+    });
+  });
+
+  describe('formatDigest', () => {
+    it('should list each section with its count, then the top contributors', () => {
+      const embed = formatDigest(aggregateEvents(fixtureEvents()), {
+        period: 'daily',
+        since: '2024-01-02T08:00:00.000Z',
+        until: '2024-01-02T20:00:00.000Z'
+      });
+
+      expect(embed.title).to.equal('Daily digest');
+      expect(embed.description).to.equal('14 event(s) on 2024-01-02');
+      expect(embed.fields.map(field => field.name)).to.deep.equal([
+        'Pull requests opened (2)',
+        'Pull requests merged (1)',
+        'Issues closed (1)',
+        'Cards moved to Done (2)',
+        'Top contributors'
+      ]);
+      expect(embed.fields[0].value).to.equal(
+        '• api: [#12: Add rate limiting](https://github.com/acme/api/pull/12)\n' +
+        '• web: [#7: New \\[beta\\] landing page](https://github.com/acme/web/pull/7)'
+      );
+      expect(embed.fields[4].value.split('\n')[0]).to.equal('1. alice (4)');
+    });
+
+    it('should leave out empty sections and name the weekly range', () => {
+      const embed = formatDigest(aggregateEvents(trelloActions.map(toTrelloDigestEvent)), {
+        period: 'weekly',
+        since: '2024-01-01T09:00:00.000Z',
+        until: '2024-01-08T09:00:00.000Z'
+      });
+
+      expect(embed.title).to.equal('Weekly digest');
+      expect(embed.description).to.equal('5 event(s) from 2024-01-01 to 2024-01-08');
+      expect(embed.fields.map(field => field.name)).to.deep.equal(['Cards moved to Done (2)', 'Top contributors']);
+    });
+
+    it('should count the items that do not fit in a field', () => {
+      const events = Array.from({ length: 40 }, (_, i) => ({
+        kind: 'card_done',
+        title: `Card ${i} ${'x'.repeat(40)}`,
+        url: `https://trello.com/c/card${i}`,
+        context: 'Roadmap'
+      }));
+
+      const [field] = formatDigest(aggregateEvents(events), { since: '2024-01-02', until: '2024-01-02' }).fields;
+
+      expect(field.name).to.equal('Cards moved to Done (40)');
+      expect(field.value.length).to.be.at.most(1024);
+      expect(field.value).to.match(/\n…and \d+ more$/);
+    });
+  });
+
+  describe('sendDigests', () => {
+    const mockDiscordServer = new MockDiscordServer();
+    const tuesday = new Date('2024-01-02T09:00:00.000Z');
+    const monday = new Date('2024-01-08T09:00:00.000Z');
+
+    before(async () => {
+      await mockDiscordServer.start();
+    });
+
+    after(async () => {
+      await mockDiscordServer.stop();
+    });
+
+    it('should only post realtime events to realtime and both routes', () => {
+      const destinations = [
+        { url: 'https://discord.example/digest', delivery: 'digest' },
+        { url: 'https://discord.example/both', delivery: 'both' },
+        { url: 'https://discord.example/realtime' }
+      ];
+
+      expect(getRealtimeDestinations(destinations).map(destination => destination.url)).to.deep.equal([
+        'https://discord.example/both',
+        'https://discord.example/realtime'
+      ]);
+    });
+
+    it('should send daily digests every day and weekly digests on Mondays', async () => {
+      const daily = { url: mockDiscordServer.getWebhookUrl('digest-daily'), delivery: 'digest' };
+      const weekly = { url: mockDiscordServer.getWebhookUrl('digest-weekly'), delivery: 'both', digest: 'weekly' };
+      const realtime = { url: mockDiscordServer.getWebhookUrl('digest-realtime') };
+
+      for (const event of fixtureEvents()) {
+        expect(await recordEvent([daily, weekly, realtime], event)).to.equal(2);
+      }
+
+      const tuesdayResults = await sendDigests({ now: tuesday });
+      expect(tuesdayResults).to.have.lengthOf(1);
+      expect(tuesdayResults[0]).to.include({ webhookUrl: daily.url, period: 'daily', events: 14, delivered: true });
+      const dailyEmbed = tuesdayResults[0].response.echo.embeds[0];
+      expect(dailyEmbed.title).to.equal('Daily digest');
+      expect(dailyEmbed.fields[0].name).to.equal('Pull requests opened (2)');
+
+      const mondayResults = await sendDigests({ now: monday });
+      expect(mondayResults).to.have.lengthOf(1);
+      expect(mondayResults[0]).to.include({ webhookUrl: weekly.url, period: 'weekly', events: 14, delivered: true });
+      expect(mondayResults[0].response.echo.embeds[0].title).to.equal('Weekly digest');
+
+      // Sent events are cleared
+      expect(await sendDigests({ now: monday })).to.deep.equal([]);
+    });
+
+    it('should send weekly digests early when forced', async () => {
+      const weekly = { url: mockDiscordServer.getWebhookUrl('digest-forced'), delivery: 'digest', digest: 'weekly' };
+      await recordEvent([weekly], toTrelloDigestEvent(trelloActions[1]));
+
+      expect(await sendDigests({ now: tuesday })).to.deep.equal([]);
+
+      const [result] = await sendDigests({ now: tuesday, force: true });
+      expect(result.delivered).to.equal(true);
+      expect(result.response.echo.embeds[0].fields[0].value).to.include('Write launch post');
+    });
+
+    it('should keep separate digests for daily and weekly routes to the same webhook', async () => {
+      const url = mockDiscordServer.getWebhookUrl('digest-shared');
+      const daily = { url, delivery: 'digest' };
+      const weekly = { url, delivery: 'digest', digest: 'weekly' };
+
+      await recordEvent([daily], toTrelloDigestEvent(trelloActions[1]));
+      await recordEvent([weekly], toTrelloDigestEvent(trelloActions[3]));
+
+      const tuesdayResults = await sendDigests({ now: tuesday });
+      expect(tuesdayResults).to.have.lengthOf(1);
+      expect(tuesdayResults[0]).to.include({ webhookUrl: url, period: 'daily', events: 1 });
+      expect(tuesdayResults[0].response.echo.embeds[0].fields[0].value).to.include('Write launch post');
+
+      const mondayResults = await sendDigests({ now: monday });
+      expect(mondayResults).to.have.lengthOf(1);
+      expect(mondayResults[0]).to.include({ webhookUrl: url, period: 'weekly', events: 1 });
+      expect(mondayResults[0].response.echo.embeds[0].fields[0].value).to.include('Order swag');
+    });
+
+    it('should only read the events of periods that are due', async () => {
+      const queryDocuments = store.queryDocuments;
+      const queries = [];
+      store.queryDocuments = async (collection, where) => {
+        queries.push(where);
+        return queryDocuments(collection, where);
+      };
+
+      try {
+        await sendDigests({ now: tuesday });
+        await sendDigests({ now: monday });
+      } finally {
+        store.queryDocuments = queryDocuments;
+      }
+
+      expect(queries).to.deep.equal([{ period: 'daily' }, { period: 'daily' }, { period: 'weekly' }]);
+    });
+
+    it('should keep the events of a digest that could not be queued', async () => {
+      const daily = { url: mockDiscordServer.getWebhookUrl('digest-queue-down'), delivery: 'digest' };
+      await recordEvent([daily], toTrelloDigestEvent(trelloActions[1]));
+
+      const setDocument = store.setDocument;
+      store.setDocument = async (collection, ...args) => {
+        if (collection === 'discordQueue') {
+          throw new Error('Firestore unavailable');
+        }
+        return setDocument(collection, ...args);
+      };
+
+      let failed;
+      try {
+        [failed] = await sendDigests({ now: tuesday });
+      } finally {
+        store.setDocument = setDocument;
+      }
+      expect(failed).to.include({ webhookUrl: daily.url, events: 1, delivered: false, error: 'Firestore unavailable' });
+
+      const [retried] = await sendDigests({ now: tuesday });
+      expect(retried).to.include({ webhookUrl: daily.url, events: 1, delivered: true });
+      expect(retried.response.echo.embeds[0].fields[0].value).to.include('Write launch post');
+    });
+  });
+});
\ No newline at end of file
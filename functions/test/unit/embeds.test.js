@@ -0,0 +1,179 @@
+const { expect } = require('chai');
+
+process.env.NODE_ENV = 'test';
+
+const MockDiscordServer = require('../mock-discord-server');
+const { truncateText, validateEmbed, buildEmbed, getEmbedLength, sendDiscordMessage } = require('../../src/utils/discord');
+
+describe('Embed Limits', () => {
+  const createEmbed = (overrides = {}) => ({
+    title: 'Title',
+    description: 'Description',
+    footer: { text: 'GitHub', icon_url: 'https://example.com/icon.png' },
+    author: { name: 'testuser', url: 'https://github.com/testuser' },
+    fields: [],
+    ...overrides
+  });
+
+  describe('truncateText', () => {
+    it('should leave text within the limit unchanged', () => {
+      expect(truncateText('Short text', 10)).to.equal('Short text');
+      expect(truncateText(undefined, 10)).to.equal(undefined);
+    });
+
+    it('should cut text to the limit and add an ellipsis', () => {
+      const truncated = truncateText('x'.repeat(300), 256);
+
+      expect(truncated).to.have.lengthOf(256);
+      expect(truncated.endsWith('...')).to.equal(true);
+    });
+
+    it('should not split emoji or combined characters', () => {
+      const family = '\u{1F468}‍\u{1F469}‍\u{1F467}';
+      const text = 'ab' + family.repeat(5);
+
+      const truncated = truncateText(text, 14);
+      expect(truncated).to.equal('ab' + family + '...');
+      expect(truncated.length).to.be.at.most(14);
+
+      const accented = 'é'.repeat(10);
+      expect(truncateText(accented, 8)).to.equal('éé...');
+    });
+
+    it('should close bold, strikethrough and inline code left open', () => {
+      expect(truncateText('**' + 'bold '.repeat(10) + '**', 20)).to.equal('**bold bold bol...**');
+      expect(truncateText('~~gone~~ and `' + 'code'.repeat(10) + '`', 24)).to.equal('~~gone~~ and `codeco...`');
+    });
+
+    it('should close code blocks left open', () => {
+      const text = '```js\n' + 'const a = 1;\n'.repeat(20) + '```';
+      const truncated = truncateText(text, 60);
+
+      expect(truncated.length).to.be.at.most(60);
+      expect(truncated.startsWith('```js\nconst a = 1;')).to.equal(true);
+      expect(truncated.endsWith('...\n```')).to.equal(true);
+    });
+
+    it('should drop links that would be cut in half', () => {
+      const text = 'See [the release notes](https://github.com/user/repo/releases/tag/v1.0.0) for details';
+
+      expect(truncateText(text, 40)).to.equal('See ...');
+      expect(truncateText('Docs: https://example.com/a/very/long/path', 30)).to.equal('Docs: ...');
+    });
+  });
+
+  describe('buildEmbed', () => {
+    it('should limit the title to 256 characters', () => {
+      expect(buildEmbed(createEmbed({ title: 'x'.repeat(300) })).title).to.have.lengthOf(256);
+    });
+
+    it('should limit the description to 4096 characters', () => {
+      expect(buildEmbed(createEmbed({ description: 'x'.repeat(5000) })).description).to.have.lengthOf(4096);
+    });
+
+    it('should limit field names to 256 and field values to 1024 characters', () => {
+      const embed = buildEmbed(createEmbed({
+        fields: [{ name: 'n'.repeat(300), value: 'v'.repeat(2000), inline: true }]
+      }));
+
+      expect(embed.fields[0].name).to.have.lengthOf(256);
+      expect(embed.fields[0].value).to.have.lengthOf(1024);
+      expect(embed.fields[0].inline).to.equal(true);
+    });
+
+    it('should keep at most 25 fields', () => {
+      const fields = Array.from({ length: 30 }, (_, i) => ({ name: `Field ${i}`, value: 'value' }));
+
+      const embed = buildEmbed(createEmbed({ fields }));
+      expect(embed.fields).to.have.lengthOf(25);
+      expect(embed.fields[24].name).to.equal('Field 24');
+    });
+
+    it('should limit the footer text to 2048 and the author name to 256 characters', () => {
+      const embed = buildEmbed(createEmbed({
+        footer: { text: 'f'.repeat(3000), icon_url: 'https://example.com/icon.png' },
+        author: { name: 'a'.repeat(300) }
+      }));
+
+      expect(embed.footer.text).to.have.lengthOf(2048);
+      expect(embed.footer.icon_url).to.equal('https://example.com/icon.png');
+      expect(embed.author.name).to.have.lengthOf(256);
+    });
+
+    it('should keep the whole embed within 6000 characters', () => {
+      const fields = Array.from({ length: 3 }, (_, i) => ({ name: `Field ${i}`, value: 'v'.repeat(1024) }));
+
+      const embed = buildEmbed(createEmbed({ description: 'd'.repeat(4096), fields }));
+      expect(getEmbedLength(embed)).to.be.at.most(6000);
+      expect(embed.fields).to.have.lengthOf(3);
+      expect(embed.description.length).to.be.below(4096);
+
+      const longFields = Array.from({ length: 25 }, (_, i) => ({ name: `Field ${i}`, value: 'v'.repeat(1024) }));
+      const fieldsOnly = buildEmbed(createEmbed({ description: undefined, fields: longFields }));
+      expect(getEmbedLength(fieldsOnly)).to.be.at.most(6000);
+      expect(fieldsOnly.fields.length).to.be.below(25);
+    });
+
+    it('should drop trailing fields before cutting the description below 1024 characters', () => {
+      const fields = Array.from({ length: 5 }, (_, i) => ({ name: `Field ${i}`, value: 'v'.repeat(1024) }));
+
+      const embed = buildEmbed(createEmbed({ description: 'd'.repeat(4096), fields }));
+      expect(getEmbedLength(embed)).to.be.at.most(6000);
+      expect(embed.description).to.have.lengthOf(1024);
+      expect(embed.fields.map(field => field.name)).to.deep.equal(['Field 0', 'Field 1', 'Field 2', 'Field 3']);
+    });
+
+    it('should not change the embed it is given', () => {
+      const original = createEmbed({ title: 'x'.repeat(300) });
+
+      buildEmbed(original);
+      expect(original.title).to.have.lengthOf(300);
+    });
+  });
+
+  describe('validateEmbed', () => {
+    it('should report every limit an embed goes over', () => {
+      const errors = validateEmbed(createEmbed({
+        title: 'x'.repeat(300),
+        fields: Array.from({ length: 26 }, () => ({ name: 'Field', value: 'v'.repeat(1100) }))
+      }));
+
+      expect(errors).to.include('title is 300 characters (limit 256)');
+      expect(errors).to.include('embed has 26 fields (limit 25)');
+      expect(errors).to.include('fields[0].value is 1100 characters (limit 1024)');
+      expect(errors.some(error => error.startsWith('embed is'))).to.equal(true);
+    });
+
+    it('should find no problems in built embeds', () => {
+      const embed = buildEmbed(createEmbed({
+        title: 'x'.repeat(300),
+        description: 'd'.repeat(5000),
+        fields: Array.from({ length: 30 }, () => ({ name: 'Field', value: 'v'.repeat(1100) }))
+      }));
+
+      expect(validateEmbed(embed)).to.deep.equal([]);
+    });
+  });
+
+  describe('sending', () => {
+    const mockDiscordServer = new MockDiscordServer();
+
+    before(async () => {
+      await mockDiscordServer.start();
+    });
+
+    after(async () => {
+      await mockDiscordServer.stop();
+    });
+
+    it('should fit embeds that are over the limits before posting them', async () => {
+      const embed = createEmbed({ title: 'x'.repeat(300), description: 'd'.repeat(5000) });
+
+      const response = await sendDiscordMessage(mockDiscordServer.getWebhookUrl('oversized'), embed);
+
+      const [sent] = response.echo.embeds;
+      expect(validateEmbed(sent)).to.deep.equal([]);
+      expect(sent.title).to.have.lengthOf(256);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,150 @@
+const { expect } = require('chai');
+
+process.env.NODE_ENV = 'test';
+
+const { queryJsonPath, validateSources, loadSources, formatGenericMessage } = require('../../src/generic/mapping');
+const { handleGenericWebhook } = require('../../src/generic/webhook');
+
+describe('Generic Webhook Mapping', () => {
+  afterEach(() => {
+    delete process.env.GENERIC_SOURCES_TEST;
+  });
+
+  describe('queryJsonPath', () => {
+    const payload = {
+      job: { name: 'backup', 'exit-code': 0 },
+      steps: [{ name: 'dump', ok: true }, { name: 'upload', ok: false }],
+      'with space': 'yes'
+    };
+
+    it('should select child names, indexes and quoted names', () => {
+      expect(queryJsonPath(payload, '$.job.name')).to.deep.equal(['backup']);
+      expect(queryJsonPath(payload, '$.job.exit-code')).to.deep.equal([0]);
+      expect(queryJsonPath(payload, '$.steps[1].name')).to.deep.equal(['upload']);
+      expect(queryJsonPath(payload, "$['with space']")).to.deep.equal(['yes']);
+      expect(queryJsonPath(payload, '$')).to.deep.equal([payload]);
+    });
+
+    it('should select every element with a wildcard', () => {
+      expect(queryJsonPath(payload, '$.steps[*].name')).to.deep.equal(['dump', 'upload']);
+      expect(queryJsonPath(payload, '$.job.*')).to.deep.equal(['backup', 0]);
+    });
+
+    it('should select nothing for missing paths', () => {
+      expect(queryJsonPath(payload, '$.missing.name')).to.deep.equal([]);
+      expect(queryJsonPath(payload, '$.steps[5]')).to.deep.equal([]);
+    });
+
+    it('should reject unsupported syntax', () => {
+      expect(() => queryJsonPath(payload, 'job.name')).to.throw('must start with "$"');
+      expect(() => queryJsonPath(payload, '$..name')).to.throw('unsupported syntax at position 1');
+      expect(() => queryJsonPath(payload, '$.steps[?(@.ok)]')).to.throw('unsupported syntax');
+    });
+  });
+
+  describe('validateSources', () => {
+    it('should accept sources with a template, a field map or neither', () => {
+      expect(() => validateSources({
+        cron: { secret: 's1', template: { title: 'Job {{job}}' } },
+        deploys: { secret: 's2', fieldMap: { title: '$.service', fields: [{ name: 'Env', value: '$.env', inline: true }] } },
+        raw: { secret: 's3' }
+      })).to.not.throw();
+    });
+
+    it('should report every problem in one error', () => {
+      let message;
+      try {
+        validateSources({
+          nosecret: {},
+          both: { secret: 's', template: { title: 'x' }, fieldMap: { title: '$.x' } },
+          badmap: { secret: 's', fieldMap: { titel: '$.x', url: 'x', fields: [{ name: 'A' }] } },
+          badtemplate: { secret: 's', template: { title: '{{ unclosed' } }
+        });
+      } catch (error) {
+        message = error.message;
+      }
+
+      expect(message).to.include('Invalid GENERIC_SOURCES');
+      expect(message).to.include('nosecret.secret: is required');
+      expect(message).to.include('both: set either template or fieldMap, not both');
+      expect(message).to.include('badmap.fieldMap: unknown field "titel"');
+      expect(message).to.include('badmap.fieldMap.url: JSONPath "x" must start with "$"');
+      expect(message).to.include('badmap.fieldMap.fields[0]: name and value are required');
+      expect(message).to.include('badtemplate.template.title: unclosed placeholder');
+    });
+
+    it('should report sources that are not valid JSON', () => {
+      process.env.GENERIC_SOURCES_TEST = '{not json';
+      expect(() => loadSources()).to.throw('GENERIC_SOURCES is not valid JSON');
+    });
+
+    it('should only parse and log invalid sources once until they change', async () => {
+      process.env.GENERIC_SOURCES_TEST = JSON.stringify({ cron: { template: { title: 'Job' } } });
+      const consoleError = console.error;
+      const logged = [];
+      console.error = message => logged.push(message);
+
+      const responses = [];
+      try {
+        for (let i = 0; i < 2; i++) {
+          const res = { status: code => ({ send: body => responses.push({ code, body }) }) };
+          await handleGenericWebhook({ method: 'POST', headers: {}, body: {} }, res, [], 'cron');
+        }
+      } finally {
+        console.error = consoleError;
+      }
+
+      expect(logged).to.have.lengthOf(1);
+      expect(logged[0]).to.include('cron.secret: is required');
+      expect(responses).to.deep.equal([
+        { code: 500, body: 'GENERIC_SOURCES is invalid' },
+        { code: 500, body: 'GENERIC_SOURCES is invalid' }
+      ]);
+    });
+  });
+
+  describe('formatGenericMessage', () => {
+    it('should map colors, nested properties and fields, dropping empty ones', () => {
+      const embed = formatGenericMessage('deploys', {
+        secret: 's',
+        fieldMap: {
+          title: '$.service',
+          color: '$.color',
+          author: '$.user',
+          thumbnail: '$.icon',
+          fields: [
+            { name: 'Version', value: '$.version', inline: true },
+            { name: 'Notes', value: '$.notes' }
+          ]
+        }
+      }, { service: 'api', color: '0xff0000', user: 'deploy-bot', icon: 'https://example.com/icon.png', version: '1.2.3' });
+
+      expect(embed.title).to.equal('api');
+      expect(embed.color).to.equal(0xFF0000);
+      expect(embed.author).to.deep.equal({ name: 'deploy-bot' });
+      expect(embed.thumbnail).to.deep.equal({ url: 'https://example.com/icon.png' });
+      expect(embed.fields).to.deep.equal([{ name: 'Version', value: '1.2.3', inline: true }]);
+      expect(embed.footer.text).to.equal('deploys');
+    });
+
+    it('should keep the default title and color when the mapped values are missing', () => {
+      const embed = formatGenericMessage('deploys', {
+        secret: 's',
+        fieldMap: { title: '$.missing', color: '$.color' }
+      }, { color: 'green' });
+
+      expect(embed.title).to.equal('deploys notification');
+      expect(embed.color).to.equal(0x5865F2);
+    });
+
+    it('should render templates over the default embed', () => {
+      const embed = formatGenericMessage('cron', {
+        secret: 's',
+        template: { title: 'Job {{job}}', footer: { text: 'cron ({{host}})' } }
+      }, { job: 'backup', host: 'worker-1' });
+
+      expect(embed.title).to.equal('Job backup');
+      expect(embed.footer.text).to.equal('cron (worker-1)');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,99 @@
+const { expect } = require('chai');
+
+process.env.NODE_ENV = 'test';
+
+const { evaluateFilters, resolveFilterRules } = require('../../src/github/filters');
+
+describe('GitHub Event Filters', () => {
+  const createPushPayload = (branch, paths = [], sender = { login: 'testuser', type: 'User' }) => ({
+    ref: `refs/heads/${branch}`,
+    commits: [{ id: '1234567', added: [], modified: paths, removed: [] }],
+    sender
+  });
+
+  const createPullRequestPayload = (action, base = 'main') => ({
+    action,
+    pull_request: { number: 1, base: { ref: base } },
+    sender: { login: 'testuser', type: 'User' }
+  });
+
+  describe('evaluateFilters', () => {
+    it('should allow every event when there are no rules', () => {
+      expect(evaluateFilters([], createPushPayload('feature/x'), 'push')).to.deep.equal({ allowed: true, reason: null });
+    });
+
+    it('should match branch globs in order with the first matching rule deciding', () => {
+      const rules = [
+        { effect: 'allow', event: 'push', branch: ['main', 'release/*'] },
+        { effect: 'deny', event: 'push' }
+      ];
+
+      expect(evaluateFilters(rules, createPushPayload('main'), 'push').allowed).to.equal(true);
+      expect(evaluateFilters(rules, createPushPayload('release/1.2'), 'push').allowed).to.equal(true);
+      expect(evaluateFilters(rules, createPushPayload('release/1.2/hotfix'), 'push').allowed).to.equal(false);
+
+      const result = evaluateFilters(rules, createPushPayload('feature/x'), 'push');
+      expect(result.allowed).to.equal(false);
+      expect(result.reason).to.equal('Rejected by rule 2 (event "push")');
+    });
+
+    it('should match pull request actions and base branches', () => {
+      const rules = [{ effect: 'deny', event: 'pull_request', action: ['synchronize', 'labeled'] }];
+
+      expect(evaluateFilters(rules, createPullRequestPayload('synchronize'), 'pull_request').allowed).to.equal(false);
+      expect(evaluateFilters(rules, createPullRequestPayload('opened'), 'pull_request').allowed).to.equal(true);
+
+      const branchRules = [{ effect: 'deny', event: 'pull_request', branch: 'develop' }];
+      expect(evaluateFilters(branchRules, createPullRequestPayload('opened', 'develop'), 'pull_request').allowed).to.equal(false);
+    });
+
+    it('should match sender logins and types', () => {
+      const bot = { login: 'dependabot[bot]', type: 'Bot' };
+
+      expect(evaluateFilters([{ effect: 'deny', sender: 'dependabot*' }], createPushPayload('main', [], bot), 'push').allowed).to.equal(false);
+      expect(evaluateFilters([{ effect: 'deny', sender: 'dependabot[bot]' }], createPushPayload('main', [], bot), 'push').allowed).to.equal(false);
+      expect(evaluateFilters([{ effect: 'deny', senderType: 'Bot' }], createPushPayload('main', [], bot), 'push').allowed).to.equal(false);
+      expect(evaluateFilters([{ effect: 'deny', senderType: 'Bot' }], createPushPayload('main'), 'push').allowed).to.equal(true);
+    });
+
+    it('should match changed file paths', () => {
+      const rules = [
+        { effect: 'allow', paths: ['src/**', '*.json'] },
+        { effect: 'deny', event: 'push', reason: 'Only source changes are posted' }
+      ];
+
+      expect(evaluateFilters(rules, createPushPayload('main', ['src/utils/discord.js']), 'push').allowed).to.equal(true);
+      expect(evaluateFilters(rules, createPushPayload('main', ['package.json']), 'push').allowed).to.equal(true);
+
+      const result = evaluateFilters(rules, createPushPayload('main', ['docs/setup.md']), 'push');
+      expect(result.allowed).to.equal(false);
+      expect(result.reason).to.equal('Only source changes are posted');
+    });
+
+    it('should treat rules without an effect as deny rules', () => {
+      expect(evaluateFilters([{ event: 'fork' }], {}, 'fork').allowed).to.equal(false);
+    });
+  });
+
+  describe('resolveFilterRules', () => {
+    afterEach(() => {
+      delete process.env.GITHUB_FILTERS_TEST;
+    });
+
+    it('should use the repository rules, then the default rules', () => {
+      process.env.GITHUB_FILTERS_TEST = JSON.stringify({
+        'user/repo': [{ event: 'fork' }],
+        default: [{ event: 'push' }]
+      });
+
+      expect(resolveFilterRules('user/repo')).to.deep.equal([{ event: 'fork' }]);
+      expect(resolveFilterRules('user/other')).to.deep.equal([{ event: 'push' }]);
+    });
+
+    it('should report invalid JSON clearly', () => {
+      process.env.GITHUB_FILTERS_TEST = '{not json';
+
+      expect(() => resolveFilterRules('user/repo')).to.throw('GITHUB_FILTERS is not valid JSON');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const MockDiscordServer = require('../mock-discord-server');
+
+process.env.NODE_ENV = 'test';
+
+const { handleWebhook } = require('../../src/github/webhook');
+const { sendDigests } = require('../../src/digest/digest');
+const store = require('../../src/utils/store');
+
+describe('GitHub Webhook Redeliveries', () => {
+  const mockDiscordServer = new MockDiscordServer();
+
+  // Minimal Express response that keeps the status and body
+  const createResponse = () => {
+    const res = { statusCode: null, body: null };
+    res.status = code => {
+      res.statusCode = code;
+      return res;
+    };
+    res.send = res.json = body => {
+      res.body = body;
+      return res;
+    };
+    return res;
+  };
+
+  // Send a GitHub delivery straight to the handler
+  const sendDelivery = async (destinations, eventType, payload, deliveryId) => {
+    const res = createResponse();
+    await handleWebhook({
+      method: 'POST',
+      headers: { 'x-github-event': eventType, 'x-github-delivery': deliveryId },
+      body: payload
+    }, res, destinations, []);
+    return res;
+  };
+
+  // Fail the next write to the delivery queue, the way a Firestore outage would
+  const failNextEnqueue = () => {
+    const setDocument = store.setDocument;
+    store.setDocument = async (collection, ...args) => {
+      if (collection === 'discordQueue') {
+        store.setDocument = setDocument;
+        throw new Error('Firestore unavailable');
+      }
+      return setDocument(collection, ...args);
+    };
+  };
+
+  const createWorkflowRunPayload = conclusion => ({
+    action: 'completed',
+    repository: { name: 'redelivery-repo', full_name: 'user/redelivery-repo' },
+    workflow_run: {
+      id: 777,
+      name: 'CI',
+      status: 'completed',
+      conclusion,
+      head_branch: 'main',
+      head_sha: 'abcdef1234567890abcdef1234567890abcdef12',
+      html_url: 'https://github.com/user/redelivery-repo/actions/runs/777'
+    },
+    sender: { login: 'testuser' }
+  });
+
+  before(async () => {
+    await mockDiscordServer.start();
+  });
+
+  after(async () => {
+    await mockDiscordServer.stop();
+  });
+
+  it('should still post a recovery when its first delivery failed', async () => {
+    const destinations = [{ url: mockDiscordServer.getWebhookUrl('redelivery-ci'), ciNotify: 'recoveries' }];
+
+    const failed = await sendDelivery(destinations, 'workflow_run', createWorkflowRunPayload('failure'), 'ci-failure');
+    expect(failed.statusCode).to.equal(202);
+
+    failNextEnqueue();
+    const first = await sendDelivery(destinations, 'workflow_run', createWorkflowRunPayload('success'), 'ci-recovery');
+    expect(first.statusCode).to.equal(500);
+
+    const redelivery = await sendDelivery(destinations, 'workflow_run', createWorkflowRunPayload('success'), 'ci-recovery');
+    expect(redelivery.statusCode).to.equal(200);
+    expect(redelivery.body.discord_response.echo.embeds[0].title).to.include('passed');
+  });
+
+  it('should record a redelivered event for the digest once', async () => {
+    const url = mockDiscordServer.getWebhookUrl('redelivery-digest');
+    const payload = {
+      action: 'opened',
+      repository: { name: 'redelivery-repo', full_name: 'user/redelivery-repo' },
+      issue: { number: 3, title: 'Flaky test', html_url: 'https://github.com/user/redelivery-repo/issues/3', user: { login: 'testuser' } },
+      sender: { login: 'testuser' }
+    };
+
+    failNextEnqueue();
+    const first = await sendDelivery([{ url, delivery: 'both' }], 'issues', payload, 'issue-opened');
+    expect(first.statusCode).to.equal(500);
+
+    const redelivery = await sendDelivery([{ url, delivery: 'both' }], 'issues', payload, 'issue-opened');
+    expect(redelivery.statusCode).to.equal(200);
+
+    const results = (await sendDigests({ force: true })).filter(result => result.webhookUrl === url);
+    expect(results).to.have.lengthOf(1);
+    expect(results[0].events).to.equal(1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+const { expect } = require('chai');
+
+process.env.NODE_ENV = 'test';
+
+const { claimDelivery, releaseDelivery } = require('../../src/delivery/idempotency');
+const store = require('../../src/utils/store');
+
+describe('Delivery Deduplication', () => {
+  it('should claim a delivery once', async () => {
+    expect(await claimDelivery('github:delivery-1')).to.equal(true);
+    expect(await claimDelivery('github:delivery-1')).to.equal(false);
+    expect(await claimDelivery('github:delivery-2')).to.equal(true);
+  });
+
+  it('should keep GitHub and Trello keys apart', async () => {
+    expect(await claimDelivery('github:shared-id')).to.equal(true);
+    expect(await claimDelivery('trello:shared-id')).to.equal(true);
+  });
+
+  it('should claim a delivery again once its claim has expired', async () => {
+    expect(await claimDelivery('trello:action-1', 60 * 1000)).to.equal(true);
+
+    // Backdate the claim as if the TTL had passed
+    const id = encodeURIComponent('trello:action-1');
+    await store.setDocument('processedDeliveries', id, { expiresAt: new Date(Date.now() - 1000) }, { merge: true });
+
+    expect(await claimDelivery('trello:action-1', 60 * 1000)).to.equal(true);
+    expect(await claimDelivery('trello:action-1', 60 * 1000)).to.equal(false);
+  });
+
+  it('should let a released delivery be claimed again', async () => {
+    expect(await claimDelivery('github:failed-delivery')).to.equal(true);
+    await releaseDelivery('github:failed-delivery');
+
+    expect(await claimDelivery('github:failed-delivery')).to.equal(true);
+  });
+
+  it('should store when the claim expires', async () => {
+    const before = Date.now();
+    await claimDelivery('github:ttl-delivery', 2 * 60 * 60 * 1000);
+
+    const claim = await store.getDocument('processedDeliveries', encodeURIComponent('github:ttl-delivery'));
+    expect(claim.key).to.equal('github:ttl-delivery');
+    expect(claim.expiresAt).to.be.instanceOf(Date);
+    expect(claim.expiresAt.getTime()).to.be.at.least(before + 2 * 60 * 60 * 1000);
+  });
+});
\ No newline at end of file
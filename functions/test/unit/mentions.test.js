@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+
+process.env.NODE_ENV = 'test';
+
+const { resolveMentions, formatMentions, getAllowedMentions } = require('../../src/utils/mentions');
+const { getGitHubMentions, getTrelloMentions } = require('../../src/utils/discord');
+
+describe('Discord Mentions', () => {
+  beforeEach(() => {
+    process.env.DISCORD_MENTIONS_TEST = JSON.stringify({
+      github: {
+        octocat: '111',
+        hubot: { user: '222' },
+        'team:backend': { role: '333' }
+      },
+      trello: {
+        'member-1': '444',
+        trellouser: '444'
+      }
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.DISCORD_MENTIONS_TEST;
+  });
+
+  it('should resolve mapped users and roles without duplicates', () => {
+    expect(resolveMentions('github', ['octocat', 'hubot', 'team:backend', 'unknown', 'octocat'])).to.deep.equal([
+      { type: 'user', id: '111' },
+      { type: 'user', id: '222' },
+      { type: 'role', id: '333' }
+    ]);
+    expect(resolveMentions('trello', ['member-1', 'trellouser'])).to.deep.equal([{ type: 'user', id: '444' }]);
+    expect(resolveMentions('gitlab', ['octocat'])).to.deep.equal([]);
+  });
+
+  it('should format mentions and allow only them to ping', () => {
+    const mentions = [{ type: 'user', id: '111' }, { type: 'role', id: '333' }];
+
+    expect(formatMentions(mentions)).to.equal('<@111> <@&333>');
+    expect(getAllowedMentions(mentions)).to.deep.equal({ parse: [], users: ['111'], roles: ['333'] });
+    expect(getAllowedMentions([])).to.deep.equal({ parse: [], users: [], roles: [] });
+  });
+
+  it('should mention reviewers, assignees and reviewed authors, but not the sender', () => {
+    const sender = { login: 'hubot' };
+
+    expect(getGitHubMentions({ action: 'review_requested', requested_reviewer: { login: 'octocat' }, sender }, 'pull_request'))
+      .to.deep.equal([{ type: 'user', id: '111' }]);
+    expect(getGitHubMentions({ action: 'assigned', assignee: { login: 'octocat' }, sender }, 'issues'))
+      .to.deep.equal([{ type: 'user', id: '111' }]);
+    expect(getGitHubMentions({ action: 'submitted', pull_request: { user: { login: 'octocat' } }, sender }, 'pull_request_review'))
+      .to.deep.equal([{ type: 'user', id: '111' }]);
+    expect(getGitHubMentions({ action: 'assigned', assignee: { login: 'hubot' }, sender }, 'issues')).to.deep.equal([]);
+    expect(getGitHubMentions({ action: 'opened', sender }, 'pull_request')).to.deep.equal([]);
+  });
+
+  it('should mention members added to cards, but not members adding themselves', () => {
+    const createData = idMemberCreator => ({
+      action: {
+        type: 'addMemberToCard',
+        idMemberCreator,
+        data: { idMember: 'member-1' },
+        member: { id: 'member-1', username: 'trellouser' }
+      }
+    });
+
+    expect(getTrelloMentions(createData('member-2'))).to.deep.equal([{ type: 'user', id: '444' }]);
+    expect(getTrelloMentions(createData('member-1'))).to.deep.equal([]);
+    expect(getTrelloMentions({ action: { type: 'createCard', data: {} } })).to.deep.equal([]);
+  });
+});
\ No newline at end of file
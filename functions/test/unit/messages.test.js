@@ -0,0 +1,120 @@
+const { expect } = require('chai');
+const MockDiscordServer = require('../mock-discord-server');
+
+process.env.NODE_ENV = 'test';
+
+const { addHistory, sendEntityMessage } = require('../../src/delivery/messages');
+const { getGitHubEntity, getTrelloEntity } = require('../../src/utils/discord');
+
+describe('Edit-in-place Messages', () => {
+  const createEmbed = title => ({
+    title,
+    description: 'Pull request',
+    footer: { text: 'GitHub' },
+    fields: [{ name: 'State', value: 'open', inline: true }]
+  });
+
+  describe('entities', () => {
+    const repository = { full_name: 'user/repo' };
+
+    it('should key pull request events and pull request comments by pull request number', () => {
+      const pr = { number: 7, title: 'Fix login' };
+      const expected = { key: 'github:user/repo:pr:7', name: '#7: Fix login' };
+
+      expect(getGitHubEntity({ repository, pull_request: pr }, 'pull_request')).to.deep.equal(expected);
+      expect(getGitHubEntity({ repository, pull_request: pr }, 'pull_request_review')).to.deep.equal(expected);
+      expect(getGitHubEntity({ repository, issue: { ...pr, pull_request: {} } }, 'issue_comment')).to.deep.equal(expected);
+    });
+
+    it('should key issue events by issue number', () => {
+      const issue = { number: 8, title: 'Login broken' };
+      const expected = { key: 'github:user/repo:issue:8', name: '#8: Login broken' };
+
+      expect(getGitHubEntity({ repository, issue }, 'issues')).to.deep.equal(expected);
+      expect(getGitHubEntity({ repository, issue }, 'issue_comment')).to.deep.equal(expected);
+    });
+
+    it('should not key events that are not about a pull request, issue or card', () => {
+      expect(getGitHubEntity({ repository, ref: 'refs/heads/main' }, 'push')).to.equal(null);
+      expect(getTrelloEntity({ action: { type: 'createList', data: { list: { id: 'list-1' } } } })).to.equal(null);
+      expect(getTrelloEntity({ action: { type: 'createCard', data: { card: { id: 'card-1', name: 'Launch' } } } }))
+        .to.deep.equal({ key: 'trello:card:card-1', name: 'Launch' });
+    });
+  });
+
+  describe('addHistory', () => {
+    it('should list status changes after the other fields', () => {
+      const embed = addHistory(createEmbed('[repo] Pull Request closed'), [
+        { status: 'Pull Request opened', at: '2024-01-01T00:00:00.000Z' },
+        { status: 'Pull Request closed', at: '2024-01-02T00:00:00.000Z' }
+      ]);
+
+      expect(embed.fields.map(field => field.name)).to.deep.equal(['State', 'History']);
+      expect(embed.fields[1].value).to.equal('• Pull Request opened <t:1704067200:R>\n• Pull Request closed <t:1704153600:R>');
+    });
+
+    it('should leave out the oldest entries that do not fit in a field', () => {
+      const history = Array.from({ length: 10 }, (_, i) => ({
+        status: `${i} ${'x'.repeat(150)}`,
+        at: '2024-01-01T00:00:00.000Z'
+      }));
+
+      const value = addHistory(createEmbed('Card Moved'), history).fields[1].value;
+
+      expect(value.length).to.be.at.most(1024);
+      expect(value.split('\n')[0]).to.match(/^• 5 /);
+      expect(value.split('\n').pop()).to.match(/^• 9 /);
+    });
+  });
+
+  describe('sendEntityMessage', () => {
+    const mockDiscordServer = new MockDiscordServer();
+
+    before(async () => {
+      await mockDiscordServer.start();
+    });
+
+    after(async () => {
+      await mockDiscordServer.stop();
+    });
+
+    it('should edit the message sent for an entity\'s earlier events', async () => {
+      const webhookUrl = mockDiscordServer.getWebhookUrl('edits');
+      const entity = { key: 'github:user/repo:pr:1', name: '#1: Fix login' };
+
+      const first = await sendEntityMessage(webhookUrl, entity, createEmbed('[repo] Pull Request opened'));
+      const second = await sendEntityMessage(webhookUrl, entity, createEmbed('[repo] Pull Request closed'));
+
+      expect(second.id).to.equal(first.id);
+      expect(second.edited).to.equal(true);
+      expect(second.echo.embeds[0].title).to.equal('[repo] Pull Request closed');
+      expect(second.echo.embeds[0].fields[1].value.split('\n')).to.have.lengthOf(2);
+    });
+
+    it('should track messages per webhook', async () => {
+      const entity = { key: 'trello:card:shared-card', name: 'Shared card' };
+
+      const first = await sendEntityMessage(mockDiscordServer.getWebhookUrl('edits-a'), entity, createEmbed('Card Created'));
+      const second = await sendEntityMessage(mockDiscordServer.getWebhookUrl('edits-b'), entity, createEmbed('Card Moved'));
+
+      expect(second.id).to.not.equal(first.id);
+      expect(second.echo.embeds[0].fields[1].value.split('\n')).to.have.lengthOf(1);
+    });
+
+    it('should post a new message when the tracked message was deleted', async () => {
+      const webhookUrl = mockDiscordServer.getWebhookUrl('edits-deleted');
+      const entity = { key: 'github:user/repo:issue:2', name: '#2: Login broken' };
+
+      const first = await sendEntityMessage(webhookUrl, entity, createEmbed('[repo] Issue opened'));
+      mockDiscordServer.discordMessages.delete(first.id);
+
+      const second = await sendEntityMessage(webhookUrl, entity, createEmbed('[repo] Issue closed'));
+      expect(second.id).to.not.equal(first.id);
+      expect(second).to.not.have.property('edited');
+      expect(second.echo.embeds[0].fields[1].value.split('\n')).to.have.lengthOf(2);
+
+      const third = await sendEntityMessage(webhookUrl, entity, createEmbed('[repo] Issue reopened'));
+      expect(third.id).to.equal(second.id);
+    });
+  });
+});
\ No newline at end of file
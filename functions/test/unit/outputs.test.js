@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+
+process.env.NODE_ENV = 'test';
+
+const { getOutput } = require('../../src/outputs');
+const { toSlackMessage } = require('../../src/outputs/slack');
+const { toMessageCard, toAdaptiveCardMessage } = require('../../src/outputs/teams');
+
+describe('Output Adapters', () => {
+  const embed = {
+    title: '[test-repo] Pull Request opened',
+    description: '**testuser** opened [#1: Fix bug](https://github.com/user/test-repo/pull/1) ~~draft~~',
+    url: 'https://github.com/user/test-repo/pull/1',
+    color: 0x2EA44F,
+    author: { name: 'testuser', icon_url: 'https://example.com/avatar.png' },
+    footer: { text: 'GitHub' },
+    thumbnail: { url: 'https://example.com/thumb.png' },
+    fields: [
+      { name: 'State', value: 'open', inline: true },
+      { name: 'Merged', value: 'No', inline: true }
+    ]
+  };
+
+  it('should look up outputs by route type', () => {
+    expect(getOutput()).to.be.a('function');
+    expect(getOutput('slack')).to.be.a('function');
+    expect(() => getOutput('irc')).to.throw('Unknown output type "irc" (expected discord, slack, teams, teams-workflow)');
+  });
+
+  describe('Slack', () => {
+    it('should convert embeds to attachments with Block Kit blocks', () => {
+      const message = toSlackMessage([embed]);
+
+      expect(message.text).to.equal('[test-repo] Pull Request opened');
+      expect(message.attachments).to.have.lengthOf(1);
+
+      const [attachment] = message.attachments;
+      expect(attachment.color).to.equal('#2ea44f');
+      expect(attachment.blocks[0]).to.deep.equal({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: '*<https://github.com/user/test-repo/pull/1|[test-repo] Pull Request opened>*\n' +
+            '*testuser* opened <https://github.com/user/test-repo/pull/1|#1: Fix bug> ~draft~'
+        },
+        accessory: { type: 'image', image_url: 'https://example.com/thumb.png', alt_text: 'thumbnail' }
+      });
+      expect(attachment.blocks[1].fields.map(field => field.text)).to.deep.equal(['*State*\nopen', '*Merged*\nNo']);
+      expect(attachment.blocks[2].elements[0].text).to.equal('testuser | GitHub');
+    });
+
+    it('should split more than 10 fields over several sections', () => {
+      const fields = Array.from({ length: 12 }, (_, i) => ({ name: `Field ${i}`, value: 'value' }));
+
+      const [attachment] = toSlackMessage([{ title: 'Many fields', fields }]).attachments;
+      expect(attachment.blocks[1].fields).to.have.lengthOf(10);
+      expect(attachment.blocks[2].fields).to.have.lengthOf(2);
+    });
+    it('should escape user text so it cannot ping channels or form links', () => {
+      const message = toSlackMessage([{
+        title: '<!channel> fix & ship',
+        url: 'https://github.com/user/test-repo/pull/2',
+        description: '**<@U123>** opened [a <b> title](https://github.com/user/test-repo/pull/2)',
+        fields: [{ name: '<!here>', value: '<https://evil.example|click>' }],
+        footer: { text: '<!everyone>' }
+      }]);
+
+      expect(message.text).to.equal('&lt;!channel&gt; fix &amp; ship');
+      const [attachment] = message.attachments;
+      expect(attachment.blocks[0].text.text).to.equal(
+        '*<https://github.com/user/test-repo/pull/2|&lt;!channel&gt; fix &amp; ship>*\n' +
+        '*&lt;@U123&gt;* opened <https://github.com/user/test-repo/pull/2|a &lt;b&gt; title>'
+      );
+      expect(attachment.blocks[1].fields[0].text).to.equal('*&lt;!here&gt;*\n&lt;https://evil.example|click&gt;');
+      expect(attachment.blocks[2].elements[0].text).to.equal('&lt;!everyone&gt;');
+    });
+  });
+
+  describe('Teams', () => {
+    it('should convert embeds to MessageCard sections', () => {
+      const card = toMessageCard([embed, { ...embed, title: 'Second', url: undefined }]);
+
+      expect(card['@type']).to.equal('MessageCard');
+      expect(card.summary).to.equal('[test-repo] Pull Request opened');
+      expect(card.themeColor).to.equal('2EA44F');
+      expect(card.sections).to.have.lengthOf(2);
+      expect(card.sections[0].activitySubtitle).to.equal('testuser | GitHub');
+      expect(card.sections[0].facts).to.deep.equal([{ name: 'State', value: 'open' }, { name: 'Merged', value: 'No' }]);
+      expect(card.sections[0].potentialAction[0].targets[0].uri).to.equal(embed.url);
+      expect(card.sections[1].potentialAction).to.deep.equal([]);
+    });
+
+    it('should convert embeds to an Adaptive Card', () => {
+      const message = toAdaptiveCardMessage([embed]);
+      const { content } = message.attachments[0];
+
+      expect(message.type).to.equal('message');
+      expect(content.type).to.equal('AdaptiveCard');
+      expect(content.body.map(element => element.type)).to.deep.equal(['TextBlock', 'TextBlock', 'FactSet', 'TextBlock']);
+      expect(content.body[2].facts[0]).to.deep.equal({ title: 'State', value: 'open' });
+    });
+  });
+});
\ No newline at end of file
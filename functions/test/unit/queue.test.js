@@ -0,0 +1,96 @@
+const { expect } = require('chai');
+const MockDiscordServer = require('../mock-discord-server');
+
+process.env.NODE_ENV = 'test';
+
+const queue = require('../../src/delivery/queue');
+const store = require('../../src/utils/store');
+
+describe('Delivery Queue Leases', () => {
+  const mockDiscordServer = new MockDiscordServer();
+  const embed = { title: 'Queued', footer: { text: 'GitHub' }, fields: [] };
+
+  before(async () => {
+    await mockDiscordServer.start();
+  });
+
+  after(async () => {
+    await mockDiscordServer.stop();
+  });
+
+  it('should leave messages that are still being delivered to their sender', async () => {
+    const message = await queue.enqueueMessage(mockDiscordServer.getWebhookUrl('leased'), embed);
+
+    const results = await queue.drainQueue({ force: true });
+
+    expect(results.map(result => result.id)).to.not.include(message.id);
+    expect((await queue.listQueuedMessages()).map(queued => queued.id)).to.include(message.id);
+    await store.deleteDocument('discordQueue', message.id);
+  });
+
+  it('should release the lease when a delivery fails', async () => {
+    const message = await queue.enqueueMessage(mockDiscordServer.getWebhookUrl('unavailable'), embed);
+
+    const result = await queue.deliverQueuedMessage(message);
+    expect(result.delivered).to.equal(false);
+
+    const [queued] = (await queue.listQueuedMessages()).filter(item => item.id === message.id);
+    expect(queued.leaseUntil).to.equal(null);
+    await store.deleteDocument('discordQueue', message.id);
+  });
+
+  it('should send a message once when drains overlap', async () => {
+    const message = await queue.enqueueMessage(mockDiscordServer.getWebhookUrl('overlapping-drains'), embed);
+    await store.setDocument('discordQueue', message.id, { leaseUntil: null }, { merge: true });
+
+    const results = (await Promise.all([queue.drainQueue(), queue.drainQueue()])).flat();
+
+    const sends = results.filter(result => result.id === message.id);
+    expect(sends).to.have.lengthOf(1);
+    expect(sends[0].delivered).to.equal(true);
+  });
+
+  it('should lease each send only when it goes out', async () => {
+    const first = await queue.enqueueMessage(mockDiscordServer.getWebhookUrl('drain-first'), embed);
+    const second = await queue.enqueueMessage(mockDiscordServer.getWebhookUrl('drain-second'), embed);
+    await store.setDocument('discordQueue', first.id, { leaseUntil: null }, { merge: true });
+    await store.setDocument('discordQueue', second.id, { leaseUntil: null }, { merge: true });
+
+    const deleteDocument = store.deleteDocument;
+    let secondWhileFirstSent;
+    store.deleteDocument = async (collection, id) => {
+      if (id === first.id) {
+        secondWhileFirstSent = await store.getDocument('discordQueue', second.id);
+      }
+      return deleteDocument(collection, id);
+    };
+
+    let results;
+    try {
+      results = await queue.drainQueue();
+    } finally {
+      store.deleteDocument = deleteDocument;
+    }
+
+    expect(secondWhileFirstSent.leaseUntil).to.equal(null);
+    expect(results.filter(result => [first.id, second.id].includes(result.id) && result.delivered)).to.have.lengthOf(2);
+  });
+
+  it('should leave messages past the drain limit for the next drain', async () => {
+    const url = mockDiscordServer.getWebhookUrl('drain-limit');
+    const messages = [];
+    for (let i = 0; i < 101; i++) {
+      const message = await queue.enqueueMessage(url, { ...embed, title: `Queued ${i}` });
+      await store.setDocument('discordQueue', message.id, { leaseUntil: null }, { merge: true });
+      messages.push(message);
+    }
+    const ids = messages.map(message => message.id);
+    const pending = async () => (await queue.listQueuedMessages()).filter(queued => ids.includes(queued.id));
+
+    expect(await queue.drainQueue()).to.have.lengthOf(100);
+    expect(await pending()).to.not.be.empty;
+
+    await queue.drainQueue();
+    expect(await pending()).to.be.empty;
+  });
+});
\ No newline at end of file
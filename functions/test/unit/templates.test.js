@@ -0,0 +1,171 @@
+const { expect } = require('chai');
+
+process.env.NODE_ENV = 'test';
+
+const { validateTemplates, loadTemplates, checkTemplates, renderTemplate, applyTemplate } = require('../../src/utils/templates');
+
+describe('Message Templates', () => {
+  afterEach(() => {
+    delete process.env.MESSAGE_TEMPLATES_TEST;
+  });
+
+  describe('validateTemplates', () => {
+    it('should accept valid templates', () => {
+      expect(() => validateTemplates({
+        github: {
+          push: {
+            title: '{{ repository.name }}: push to {{ref}}',
+            color: 255,
+            footer: { text: 'GitHub' },
+            fields: [{ name: 'First commit', value: '{{commits.0.message}}', inline: false }]
+          }
+        },
+        trello: {
+          createCard: { description: '{{action.memberCreator.fullName}} added {{action.data.card.name}}' }
+        }
+      })).to.not.throw();
+    });
+
+    it('should report unknown embed fields', () => {
+      expect(() => validateTemplates({ github: { push: { titel: 'Push' } } }))
+        .to.throw('github.push: unknown field "titel"');
+      expect(() => validateTemplates({ github: { push: { footer: { txt: 'GitHub' } } } }))
+        .to.throw('github.push.footer: unknown field "txt"');
+      expect(() => validateTemplates({ github: { push: { fields: [{ name: 'A', value: 'B', colour: 'red' }] } } }))
+        .to.throw('github.push.fields[0]: unknown field "colour"');
+    });
+
+    it('should report unknown integrations and wrong types', () => {
+      expect(() => validateTemplates({ bitbucket: {} })).to.throw('bitbucket: unknown integration');
+      expect(() => validateTemplates({ github: { push: { color: '#ff0000' } } })).to.throw('github.push.color: must be a number');
+      expect(() => validateTemplates({ github: { push: { fields: [{ name: 'A' }] } } }))
+        .to.throw('github.push.fields[0]: name and value are required');
+    });
+
+    it('should report broken placeholders', () => {
+      expect(() => validateTemplates({ github: { push: { title: 'Push to {{ref' } } }))
+        .to.throw('github.push.title: unclosed placeholder');
+      expect(() => validateTemplates({ github: { push: { title: '{{ref name}}' } } }))
+        .to.throw('github.push.title: invalid placeholder "{{ref name}}"');
+    });
+
+    it('should list every problem in one error', () => {
+      try {
+        validateTemplates({ github: { push: { titel: 'Push', color: 'red' } } });
+        expect.fail('validateTemplates should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal(
+          'Invalid MESSAGE_TEMPLATES:\n' +
+          '- github.push: unknown field "titel" (expected title, description, url, color, author, footer, thumbnail, image, fields)\n' +
+          '- github.push.color: must be a number'
+        );
+      }
+    });
+  });
+
+  describe('loadTemplates', () => {
+    it('should report invalid JSON clearly', () => {
+      process.env.MESSAGE_TEMPLATES_TEST = '{"github": ';
+
+      expect(() => loadTemplates()).to.throw('MESSAGE_TEMPLATES is not valid JSON');
+    });
+
+    it('should only validate each config value once', () => {
+      process.env.MESSAGE_TEMPLATES_TEST = JSON.stringify({ github: { push: { titel: 'Push' } } });
+      const errors = [];
+      const consoleError = console.error;
+      console.error = message => errors.push(message);
+
+      try {
+        expect(() => loadTemplates()).to.throw('github.push: unknown field "titel"');
+        expect(() => loadTemplates()).to.throw('github.push: unknown field "titel"');
+      } finally {
+        console.error = consoleError;
+      }
+      expect(errors).to.have.lengthOf(1);
+    });
+  });
+
+  describe('checkTemplates', () => {
+    it('should log invalid templates before any event uses them', () => {
+      process.env.MESSAGE_TEMPLATES_TEST = JSON.stringify({ trello: { createCard: { title: '{{ card.name' } } });
+      const errors = [];
+      const consoleError = console.error;
+      console.error = message => errors.push(message);
+
+      try {
+        expect(checkTemplates()).to.equal(false);
+        expect(applyTemplate('github', ['push'], {}, { title: 'Push' })).to.deep.equal({ title: 'Push' });
+      } finally {
+        console.error = consoleError;
+      }
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0]).to.include('trello.createCard.title: unclosed placeholder');
+    });
+
+    it('should accept valid templates', () => {
+      process.env.MESSAGE_TEMPLATES_TEST = JSON.stringify({ github: { push: { title: 'Push to {{ref}}' } } });
+
+      expect(checkTemplates()).to.equal(true);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should render placeholders against the payload', () => {
+      const payload = {
+        repository: { name: 'test-repo' },
+        commits: [{ message: 'Fix bug' }],
+        count: 3
+      };
+
+      const rendered = renderTemplate({
+        title: '{{repository.name}} got {{count}} commits',
+        fields: [
+          { name: 'First', value: '{{commits.0.message}}' },
+          { name: 'Missing', value: '{{commits.5.message}}' }
+        ]
+      }, payload);
+
+      expect(rendered).to.deep.equal({
+        title: 'test-repo got 3 commits',
+        fields: [{ name: 'First', value: 'Fix bug' }]
+      });
+    });
+  });
+
+  describe('applyTemplate', () => {
+    const builtIn = {
+      title: 'Built-in',
+      description: 'Built-in description',
+      footer: { text: 'GitHub', icon_url: 'https://example.com/icon.png' },
+      fields: []
+    };
+
+    it('should use the most specific template and keep unset built-in properties', () => {
+      process.env.MESSAGE_TEMPLATES_TEST = JSON.stringify({
+        github: {
+          pull_request: { title: 'Any PR' },
+          'pull_request.opened': { title: 'Opened #{{number}}', footer: { text: 'Custom' } }
+        }
+      });
+
+      const embed = applyTemplate('github', ['pull_request.opened', 'pull_request'], { number: 5 }, builtIn);
+      expect(embed.title).to.equal('Opened #5');
+      expect(embed.description).to.equal('Built-in description');
+      expect(embed.footer).to.deep.equal({ text: 'Custom', icon_url: 'https://example.com/icon.png' });
+
+      const closed = applyTemplate('github', ['pull_request.closed', 'pull_request'], { number: 5 }, builtIn);
+      expect(closed.title).to.equal('Any PR');
+    });
+
+    it('should return the built-in embed when there is no template', () => {
+      expect(applyTemplate('trello', ['createCard'], {}, builtIn)).to.equal(builtIn);
+    });
+
+    it('should fall back to the built-in embed when the templates are invalid', () => {
+      process.env.MESSAGE_TEMPLATES_TEST = JSON.stringify({ github: { push: { color: 'red' } } });
+
+      expect(applyTemplate('github', ['push'], {}, builtIn)).to.equal(builtIn);
+    });
+  });
+});
\ No newline at end of file
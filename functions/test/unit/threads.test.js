@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const MockDiscordServer = require('../mock-discord-server');
+
+process.env.NODE_ENV = 'test';
+
+const { sendThreadMessage } = require('../../src/delivery/threads');
+
+describe('Discord Threads', () => {
+  const mockDiscordServer = new MockDiscordServer();
+  const createEmbed = title => ({ title, footer: { text: 'GitHub' }, fields: [] });
+
+  before(async () => {
+    await mockDiscordServer.start();
+  });
+
+  after(async () => {
+    await mockDiscordServer.stop();
+  });
+
+  it('should start a thread for an entity and post its later events into it', async () => {
+    const webhookUrl = mockDiscordServer.getWebhookUrl('forum');
+    const entity = { key: 'github:user/repo:pr:1', name: '#1: Fix login' };
+
+    const first = await sendThreadMessage(webhookUrl, entity, createEmbed('[repo] Pull Request opened'));
+    expect(first.echo.thread_name).to.equal('#1: Fix login');
+    expect(first.channel_id).to.equal(first.id);
+
+    const second = await sendThreadMessage(webhookUrl, entity, createEmbed('[repo] Review on pull request #1: Approved'));
+    expect(second.channel_id).to.equal(first.channel_id);
+    expect(second.echo).to.not.have.property('thread_name');
+  });
+
+  it('should truncate thread names to Discord\'s limit', async () => {
+    const entity = { key: 'trello:card:long-card', name: 'x'.repeat(150) };
+
+    const response = await sendThreadMessage(mockDiscordServer.getWebhookUrl('forum'), entity, createEmbed('Card Created'));
+
+    expect(response.echo.thread_name).to.have.lengthOf(100);
+  });
+
+  it('should keep separate threads per webhook', async () => {
+    const entity = { key: 'trello:card:shared-card', name: 'Shared card' };
+
+    const first = await sendThreadMessage(mockDiscordServer.getWebhookUrl('forum-a'), entity, createEmbed('Card Created'));
+    const second = await sendThreadMessage(mockDiscordServer.getWebhookUrl('forum-b'), entity, createEmbed('Card Moved'));
+
+    expect(second.channel_id).to.not.equal(first.channel_id);
+    expect(second.echo.thread_name).to.equal('Shared card');
+  });
+
+  it('should start a new thread when the tracked thread was deleted', async () => {
+    const webhookUrl = mockDiscordServer.getWebhookUrl('forum-deleted');
+    const entity = { key: 'github:user/repo:issue:2', name: '#2: Login broken' };
+
+    const first = await sendThreadMessage(webhookUrl, entity, createEmbed('[repo] Issue opened'));
+    mockDiscordServer.discordThreads.delete(first.channel_id);
+
+    const second = await sendThreadMessage(webhookUrl, entity, createEmbed('[repo] Issue closed'));
+    expect(second.channel_id).to.not.equal(first.channel_id);
+    expect(second.echo.thread_name).to.equal('#2: Login broken');
+
+    const third = await sendThreadMessage(webhookUrl, entity, createEmbed('[repo] Issue reopened'));
+    expect(third.channel_id).to.equal(second.channel_id);
+  });
+
+  it('should start a thread named after the embed for messages without an entity', async () => {
+    const webhookUrl = mockDiscordServer.getWebhookUrl('forum');
+
+    const first = await sendThreadMessage(webhookUrl, null, createEmbed('[repo] Push to main'));
+    const second = await sendThreadMessage(webhookUrl, null, createEmbed('[repo] Push to main'));
+
+    expect(first.echo.thread_name).to.equal('[repo] Push to main');
+    expect(second.channel_id).to.not.equal(first.channel_id);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+
+process.env.NODE_ENV = 'test';
+
+const { evaluateTrelloFilters, resolveTrelloFilters } = require('../../src/trello/filters');
+
+describe('Trello Action Filters', () => {
+  const createAction = (type, data = {}) => ({
+    type,
+    idMemberCreator: 'member-1',
+    data
+  });
+
+  describe('evaluateTrelloFilters', () => {
+    it('should allow every action when there are no filters', () => {
+      expect(evaluateTrelloFilters({}, createAction('createCard'))).to.deep.equal({ allowed: true, reason: null });
+    });
+
+    it('should apply action type allow and deny lists', () => {
+      expect(evaluateTrelloFilters({ actionTypes: { deny: ['createCard'] } }, createAction('createCard')).allowed).to.equal(false);
+      expect(evaluateTrelloFilters({ actionTypes: { allow: ['commentCard'] } }, createAction('createCard')).allowed).to.equal(false);
+      expect(evaluateTrelloFilters({ actionTypes: { allow: ['commentCard'] } }, createAction('commentCard')).allowed).to.equal(true);
+    });
+
+    it('should match lists on the list a card ends up in', () => {
+      const filters = { lists: { allow: ['Done'] } };
+
+      const moved = createAction('updateCard', { listBefore: { name: 'Doing' }, listAfter: { name: 'Done' } });
+      expect(evaluateTrelloFilters(filters, moved).allowed).to.equal(true);
+
+      const movedOut = createAction('updateCard', { listBefore: { name: 'Done' }, listAfter: { name: 'Doing' } });
+      expect(evaluateTrelloFilters(filters, movedOut).reason).to.equal('list "Doing" is not allowed');
+
+      expect(evaluateTrelloFilters(filters, createAction('addMemberToBoard')).reason).to.equal('no list on the allow list');
+    });
+
+    it('should apply label and member lists', () => {
+      const labelled = createAction('addLabelToCard', { label: { name: 'wontfix' } });
+      expect(evaluateTrelloFilters({ labels: { deny: ['wontfix'] } }, labelled).reason).to.equal('label "wontfix" is denied');
+      expect(evaluateTrelloFilters({ labels: { allow: ['urgent'] } }, labelled).allowed).to.equal(false);
+
+      const added = createAction('addMemberToCard', { member: { id: 'member-2' } });
+      expect(evaluateTrelloFilters({ members: { allow: ['member-2'] } }, added).allowed).to.equal(true);
+      expect(evaluateTrelloFilters({ members: { deny: ['member-1'] } }, added).allowed).to.equal(false);
+    });
+
+    it('should allow payloads without an action', () => {
+      expect(evaluateTrelloFilters({ actionTypes: { allow: ['createCard'] } }, undefined).allowed).to.equal(true);
+    });
+  });
+
+  describe('resolveTrelloFilters', () => {
+    afterEach(() => {
+      delete process.env.TRELLO_FILTERS_TEST;
+    });
+
+    it('should deny the noisy checklist item actions by default', () => {
+      const filters = resolveTrelloFilters('board-1');
+
+      expect(filters.actionTypes.deny).to.deep.equal(['createCheckItem', 'updateCheckItem']);
+      expect(evaluateTrelloFilters(filters, createAction('createCheckItem')).allowed).to.equal(false);
+      expect(evaluateTrelloFilters(filters, createAction('createCard')).allowed).to.equal(true);
+    });
+
+    it('should post attachments, new checklists and completed items by default', () => {
+      const filters = resolveTrelloFilters('board-1');
+
+      ['addAttachmentToCard', 'addChecklistToCard', 'updateCheckItemStateOnCard'].forEach(type => {
+        expect(evaluateTrelloFilters(filters, createAction(type)).allowed).to.equal(true);
+      });
+    });
+
+    it('should use the board filters, then the default filters', () => {
+      process.env.TRELLO_FILTERS_TEST = JSON.stringify({
+        'board-1': { actionTypes: { deny: [] }, lists: { allow: ['Done'] } },
+        default: { labels: { deny: ['wontfix'] } }
+      });
+
+      expect(resolveTrelloFilters('board-1')).to.deep.equal({ actionTypes: { deny: [] }, lists: { allow: ['Done'] } });
+
+      const defaults = resolveTrelloFilters('board-2');
+      expect(defaults.labels).to.deep.equal({ deny: ['wontfix'] });
+      expect(defaults.actionTypes.deny).to.include('createCheckItem');
+    });
+  });
+});
\ No newline at end of file